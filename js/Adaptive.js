@@ -0,0 +1,150 @@
+/**
+ * Adaptive.js - Adaptive Beamforming
+ * - Sample covariance synthesis from point sources plus white noise
+ * - MVDR / Capon weights: w = R^-1 a / (a^H R^-1 a)
+ *
+ * Steering vectors come from PhasedArray.getSteeringVectorAt, so they use the
+ * same near-field propagation model as the heatmap. Weights follow the
+ * receive convention y = w^H x and are applied with PhasedArray.setComplexWeights.
+ * Switched-off elements (sparse layouts, failures) are left out of the solve
+ * and get zero weight.
+ */
+
+import {
+    zeros, identity, addOuter, solveVector, dot, matVec,
+    cabs2, cadd, cscale, createRandom, complexGaussian
+} from './LinearAlgebra.js';
+
+export const DEFAULT_MVDR_SETTINGS = {
+    snr: 10,              // Desired source power over per-element noise (dB)
+    inr: 30,              // Interferer power over per-element noise (dB)
+    snapshots: 200,       // Number of simulated snapshots in the sample covariance
+    diagonalLoading: 0,   // Loading added to R, in dB relative to the noise power
+    seed: 1
+};
+
+/**
+ * Scale a steering vector to unit average element power (||a||^2 = N),
+ * so source powers read as per-element SNR/INR
+ * @param {Array<{real, imag}>} a
+ */
+export function normalizeSteering(a) {
+    const norm = Math.sqrt(a.reduce((sum, v) => sum + cabs2(v), 0) / a.length) || 1;
+    return a.map(v => cscale(v, 1 / norm));
+}
+
+/**
+ * Sample covariance R = 1/K sum x_k x_k^H with
+ * x_k = sum_s s_k a_s + n_k (independent complex Gaussian sources and noise)
+ * @param {Array<{steering: Array, power: number}>} sources
+ * @param {number} numElements
+ * @param {number} noisePower
+ * @param {number} snapshots
+ * @param {Function} random - Uniform generator from createRandom
+ * @returns {Array<Array<{real, imag}>>}
+ */
+export function sampleCovariance(sources, numElements, noisePower, snapshots, random) {
+    const r = zeros(numElements, numElements);
+
+    for (let k = 0; k < snapshots; k++) {
+        const x = [];
+        for (let i = 0; i < numElements; i++) x.push(complexGaussian(random, noisePower));
+
+        sources.forEach(src => {
+            const s = complexGaussian(random, src.power);
+            src.steering.forEach((a, i) => {
+                x[i] = cadd(x[i], {
+                    real: s.real * a.real - s.imag * a.imag,
+                    imag: s.real * a.imag + s.imag * a.real
+                });
+            });
+        });
+
+        addOuter(r, x, 1 / snapshots);
+    }
+    return r;
+}
+
+/**
+ * Exact (ensemble) covariance of a set of sources plus noise
+ */
+export function modelCovariance(sources, numElements, noisePower) {
+    const r = identity(numElements).map(row => row.map(v => cscale(v, noisePower)));
+    sources.forEach(src => addOuter(r, src.steering, src.power));
+    return r;
+}
+
+/**
+ * MVDR (Capon) weights toward a desired point source
+ * @param {PhasedArray} array
+ * @param {{x: number, y: number, z?: number}} desired - Desired source position
+ * @param {Array<{x: number, y: number, z?: number, power?: number}>} interferers - power in dB INR overrides settings.inr
+ * @param {Object} settings - See DEFAULT_MVDR_SETTINGS
+ * @returns {{weights: Array<{real, imag}>, sinr: number}} sinr in dB for the ensemble model
+ */
+export function computeMvdrWeights(array, desired, interferers, settings = {}) {
+    const opts = { ...DEFAULT_MVDR_SETTINGS, ...settings };
+    const active = array.getActiveMask();
+    const n = active.filter(Boolean).length;
+    const noisePower = 1;
+    const fromDb = (db) => Math.pow(10, db / 10);
+
+    const target = activeSteering(array, desired, active);
+    const jammers = interferers.map(intf => ({
+        steering: activeSteering(array, intf, active),
+        power: fromDb(intf.power !== undefined ? intf.power : opts.inr) * noisePower
+    }));
+    const desiredPower = fromDb(opts.snr) * noisePower;
+
+    const random = createRandom(opts.seed);
+    const r = sampleCovariance(
+        [{ steering: target, power: desiredPower }, ...jammers],
+        n, noisePower, opts.snapshots, random
+    );
+
+    const loading = fromDb(opts.diagonalLoading) * noisePower;
+    for (let i = 0; i < n; i++) r[i][i].real += loading;
+
+    // w = R^-1 a / (a^H R^-1 a)
+    const rInvA = solveVector(r, target);
+    const denom = dot(target, rInvA);
+    const denomMag = cabs2(denom);
+    const weights = rInvA.map(v => ({
+        real: (v.real * denom.real + v.imag * denom.imag) / denomMag,
+        imag: (v.imag * denom.real - v.real * denom.imag) / denomMag
+    }));
+
+    // Output SINR against the true interference-plus-noise covariance
+    const rin = modelCovariance(jammers, n, noisePower);
+    const signal = desiredPower * cabs2(dot(weights, target));
+    const rinW = matVec(rin, weights);
+    const noise = dot(weights, rinW).real;
+    const sinr = 10 * Math.log10(signal / Math.max(noise, 1e-30));
+
+    // Back to one weight per element
+    let j = 0;
+    return { weights: active.map(on => (on ? weights[j++] : { real: 0, imag: 0 })), sinr };
+}
+
+/**
+ * Beamformer output power response w^H a(P) toward a point, in dB
+ * relative to the distortionless look direction
+ * @param {PhasedArray} array
+ * @param {Array<{real, imag}>} weights
+ * @param {{x: number, y: number, z?: number}} point
+ */
+export function responseAt(array, weights, point) {
+    const active = array.getActiveMask();
+    const a = activeSteering(array, point, active);
+    const g = dot(weights.filter((_, i) => active[i]), a);
+    return 10 * Math.log10(cabs2(g) + 1e-30);
+}
+
+/**
+ * Normalized steering vector over the active elements only
+ * @private
+ */
+function activeSteering(array, point, active) {
+    const a = array.getSteeringVectorAt(point.x, point.y, point.z);
+    return normalizeSteering(a.filter((_, i) => active[i]));
+}
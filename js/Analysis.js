@@ -0,0 +1,387 @@
+/**
+ * Analysis.js - Beam Analysis on top of PhasedArray
+ * - Grating-lobe prediction and spatial-aliasing check
+ * - Beam metrics: pointing, -3 dB and null-to-null width, sidelobe level, directivity
+ * - Beam squint: main-lobe pointing across the excitation band
+ * - Monte Carlo tolerance analysis: phase/amplitude errors, position jitter, failures
+ */
+
+import { createRandom } from './LinearAlgebra.js';
+
+// ==================== GRATING LOBES ====================
+
+/**
+ * Pitch limit for grating-lobe-free steering: d_max = λ / (1 + |sin θ0|)
+ * @param {number} wavelength
+ * @param {number} steeringAngle - Degrees
+ * @returns {number}
+ */
+export function gratingLobeLimit(wavelength, steeringAngle) {
+    return wavelength / (1 + Math.abs(Math.sin(steeringAngle * Math.PI / 180)));
+}
+
+/**
+ * Grating-lobe analysis for the current pitch, frequency and steering.
+ * Lobes sit where sin θ = sin θ0 + m λ/d (m ≠ 0) lands inside visible space.
+ * Curved arrays use the arc pitch, which is only approximate. Custom layouts
+ * use the mean spacing of their elements along the axis, exact when they sit
+ * evenly on it. Circular and ring arrays have no single pitch and are not analyzed.
+ * @param {PhasedArray} array
+ * @returns {{
+ *   applicable: boolean,      // false for circular and ring arrays (no lobes, never aliased)
+ *   pitchRatio: number,       // d / λ (null when not applicable)
+ *   limitRatio: number,       // d_max / λ at the current steering
+ *   aliased: boolean,         // d > d_max
+ *   approximate: boolean,     // true for curved, planar and uneven custom geometries
+ *   lobes: Array<{order: number, angle: number}>  // angles relative to the array broadside (deg)
+ * }}
+ */
+export function analyzeGratingLobes(array) {
+    const wavelength = array.wavelength;
+    const steering = array.steeringAngle;
+    const sinSteer = Math.sin(steering * Math.PI / 180);
+    const limit = gratingLobeLimit(wavelength, steering);
+
+    if (array.geometry === 'circular' || array.geometry === 'rings') {
+        return { applicable: false, pitchRatio: null, limitRatio: limit / wavelength, aliased: false, approximate: false, lobes: [] };
+    }
+
+    // A custom array without coordinates is laid out as a linear one
+    const custom = array.geometry === 'custom' && array.customElements;
+    const { pitch, uniform } = custom
+        ? axisSpacing(custom)
+        : { pitch: array.pitch, uniform: array.geometry === 'linear' || array.geometry === 'custom' };
+
+    const lobes = [];
+    const spaced = array.numElements > 1 && pitch > 0;
+    if (spaced) {
+        const step = wavelength / pitch;
+        const maxOrder = Math.ceil(2 / step);
+        for (let m = -maxOrder; m <= maxOrder; m++) {
+            if (m === 0) continue;
+            const s = sinSteer + m * step;
+            if (Math.abs(s) <= 1) {
+                lobes.push({ order: m, angle: Math.asin(s) * 180 / Math.PI });
+            }
+        }
+    }
+
+    return {
+        applicable: true,
+        pitchRatio: pitch / wavelength,
+        limitRatio: limit / wavelength,
+        aliased: spaced && pitch > limit,
+        approximate: !uniform,
+        lobes
+    };
+}
+
+/**
+ * Mean neighbour spacing of element positions along the array axis (x), and
+ * whether they form an evenly spaced line parallel to it
+ * @param {Array<{x: number, y: number}>} elements - Array-frame coordinates
+ * @returns {{pitch: number, uniform: boolean}}
+ */
+function axisSpacing(elements) {
+    if (elements.length < 2) return { pitch: 0, uniform: true };
+    const xs = elements.map(p => p.x).sort((a, b) => a - b);
+    const pitch = (xs[xs.length - 1] - xs[0]) / (xs.length - 1);
+    const tolerance = 1e-3 * pitch;
+    const even = xs.every((x, i) => Math.abs(x - xs[0] - i * pitch) <= tolerance);
+    const straight = elements.every(p => Math.abs(p.y - elements[0].y) <= tolerance);
+    return { pitch, uniform: even && straight };
+}
+
+// ==================== BEAM METRICS ====================
+
+/**
+ * Width of the lobe containing peakIndex at a level below the peak
+ * @param {Array<number>} xs - Sample positions (angles or distances)
+ * @param {Array<number>} dbs - Response in dB relative to the peak
+ * @param {number} peakIndex
+ * @param {number} level - Level in dB (negative, e.g. -3)
+ * @returns {{left: number, right: number, width: number}|null} null if the lobe runs off the sweep
+ */
+export function measureLobeWidth(xs, dbs, peakIndex, level) {
+    const crossing = (i, j) => {
+        // Linear interpolation between samples i (above level) and j (below level)
+        const t = (dbs[i] - level) / (dbs[i] - dbs[j]);
+        return xs[i] + t * (xs[j] - xs[i]);
+    };
+
+    let l = peakIndex;
+    while (l > 0 && dbs[l - 1] >= level) l--;
+    let r = peakIndex;
+    while (r < dbs.length - 1 && dbs[r + 1] >= level) r++;
+
+    if (l === 0 || r === dbs.length - 1) return null;
+
+    const left = crossing(l, l - 1);
+    const right = crossing(r, r + 1);
+    return { left, right, width: right - left };
+}
+
+/**
+ * Far-field beam metrics from a pattern function
+ * Lobes are measured over the front half-plane (-90°..90°, as in the polar plot);
+ * directivity integrates the full in-plane circle, so it is a 2D directivity.
+ * @param {Function} patternFn - angle (deg) -> intensity (any scale)
+ * @param {number} step - Sweep resolution in degrees
+ * @returns {{
+ *   pointing: number,        // Main-lobe angle (deg)
+ *   hpbw: number|null,       // -3 dB beamwidth (deg)
+ *   fnbw: number|null,       // Null-to-null width (deg)
+ *   psl: number|null,        // Peak sidelobe level (dB relative to main lobe)
+ *   directivity: number      // dB
+ * }}
+ */
+export function computeBeamMetrics(patternFn, step = 0.1) {
+    const angles = [];
+    const values = [];
+    let total = 0;
+
+    // Full circle for the directivity integral
+    const count = Math.round(360 / step);
+    for (let i = 0; i < count; i++) {
+        const angle = -180 + i * step;
+        const v = patternFn(angle);
+        total += v * step;
+        if (angle >= -90 && angle <= 90) {
+            angles.push(angle);
+            values.push(v);
+        }
+    }
+
+    let peakIndex = 0;
+    values.forEach((v, i) => {
+        if (v > values[peakIndex]) peakIndex = i;
+    });
+    const peak = values[peakIndex];
+    if (!(peak > 0)) {
+        return { pointing: 0, hpbw: null, fnbw: null, psl: null, directivity: -Infinity };
+    }
+
+    const dbs = values.map(v => 10 * Math.log10(v / peak + 1e-12));
+
+    // Parabolic refinement of the peak position
+    let pointing = angles[peakIndex];
+    if (peakIndex > 0 && peakIndex < dbs.length - 1) {
+        const a = dbs[peakIndex - 1];
+        const b = dbs[peakIndex];
+        const c = dbs[peakIndex + 1];
+        const denom = a - 2 * b + c;
+        if (denom !== 0) pointing += 0.5 * step * (a - c) / denom;
+    }
+
+    const half = measureLobeWidth(angles, dbs, peakIndex, -3);
+
+    // First nulls: walk down the main lobe until the response turns back up
+    let l = peakIndex;
+    while (l > 0 && values[l - 1] <= values[l]) l--;
+    let r = peakIndex;
+    while (r < values.length - 1 && values[r + 1] <= values[r]) r++;
+    const nullsFound = l > 0 && r < values.length - 1;
+
+    let sidelobe = 0;
+    values.forEach((v, i) => {
+        if (i < l || i > r) sidelobe = Math.max(sidelobe, v);
+    });
+
+    return {
+        pointing,
+        hpbw: half ? half.width : null,
+        fnbw: nullsFound ? angles[r] - angles[l] : null,
+        psl: sidelobe > 0 ? 10 * Math.log10(sidelobe / peak) : null,
+        directivity: 10 * Math.log10(peak * 360 / total)
+    };
+}
+
+// ==================== BEAM SQUINT ====================
+
+/**
+ * Main-lobe direction of a pattern over -90°..90°, refined with a parabola
+ * through the dB values around the strongest sample
+ * @param {Function} patternFn - angle (deg) -> intensity (any scale)
+ * @param {number} step - Sweep resolution in degrees
+ * @returns {number} Angle in degrees
+ */
+export function findBeamPeak(patternFn, step = 1) {
+    const count = Math.round(180 / step);
+    const dbs = [];
+    let peakIndex = 0;
+    for (let i = 0; i <= count; i++) {
+        dbs.push(10 * Math.log10(patternFn(-90 + i * step) + 1e-12));
+        if (dbs[i] > dbs[peakIndex]) peakIndex = i;
+    }
+
+    let pointing = -90 + peakIndex * step;
+    if (peakIndex > 0 && peakIndex < count) {
+        const a = dbs[peakIndex - 1];
+        const b = dbs[peakIndex];
+        const c = dbs[peakIndex + 1];
+        const denom = a - 2 * b + c;
+        if (denom !== 0) pointing += 0.5 * step * (a - c) / denom;
+    }
+    return pointing;
+}
+
+/**
+ * Beam pointing at each frequency and its squint from the design frequency.
+ * Phase-shifter arrays squint as sin θ(f) = sin θ0 · f0 / f; true time delay does not
+ * @param {PhasedArray} array
+ * @param {Array<number>} frequencies
+ * @returns {Array<{frequency: number, pointing: number, squint: number}>} Angles in the array frame (deg)
+ */
+export function measureBeamSquint(array, frequencies) {
+    const reference = findBeamPeak(angle => array.calculateBeamPattern(angle));
+    return frequencies.map(frequency => {
+        const pointing = findBeamPeak(angle => array.calculateBeamPattern(angle, frequency));
+        return { frequency, pointing, squint: pointing - reference };
+    });
+}
+
+// ==================== TOLERANCE ANALYSIS ====================
+
+export const DEFAULT_TOLERANCE = {
+    trials: 100,
+    phaseStd: 5,          // Phase error, degrees RMS
+    amplitudeStd: 0.5,    // Amplitude error, dB RMS
+    positionStd: 0,       // Position jitter per axis, same units as the array (wavelengths)
+    failureRate: 0,       // Probability that an element is dead
+    seed: 1,
+    step: 0.5,            // Pattern sampling, degrees
+    band: [10, 90]        // Percentiles of the shaded band
+};
+
+/**
+ * Monte Carlo tolerance analysis of the far-field pattern. Each trial draws
+ * Gaussian phase, log-normal amplitude and position errors plus random
+ * failures, injects them with PhasedArray.elementErrors and samples
+ * calculateComplexResponse over -90°..90° (relative to the array broadside).
+ * All levels are in dB relative to the error-free main-lobe peak, so gain loss
+ * shows as a drop of the mean pattern. Sidelobe levels are measured outside
+ * the error-free main lobe (between its first nulls), relative to each
+ * trial's own peak. The array is restored before returning.
+ * @param {PhasedArray} array
+ * @param {Object} options - See DEFAULT_TOLERANCE
+ * @returns {{
+ *   angles: Array<number>,
+ *   ideal: Array<number>,     // Error-free pattern (dB)
+ *   mean: Array<number>,      // Mean power over trials (dB)
+ *   lower: Array<number>,     // Lower band percentile (dB)
+ *   upper: Array<number>,     // Upper band percentile (dB)
+ *   psl: Array<number>,       // Peak sidelobe level of every trial (dB)
+ *   pslIdeal: number|null,    // Error-free peak sidelobe level (dB)
+ *   gainLoss: number,         // Mean main-lobe peak drop (dB, >= 0 on average)
+ *   trials: number
+ * }}
+ */
+export function runToleranceAnalysis(array, options = {}) {
+    const opts = { ...DEFAULT_TOLERANCE, ...options };
+    const trials = Math.max(1, Math.round(opts.trials));
+    const toDb = (v) => 10 * Math.log10(v + 1e-12);
+
+    const angles = [];
+    for (let a = -90; a <= 90 + 1e-9; a += opts.step) angles.push(a);
+
+    const origin = array.position;
+    const sample = () => angles.map(angle => {
+        const { real, imag } = array.calculateComplexResponse(angle + array.orientation, origin);
+        return real * real + imag * imag;
+    });
+
+    const saved = array.elementErrors;
+    const n = array.elementCount;
+    const random = createRandom(opts.seed);
+    const phaseStd = opts.phaseStd * Math.PI / 180;
+    const ampStd = opts.amplitudeStd * Math.LN10 / 20; // dB -> natural log of amplitude
+
+    const powers = [];
+    let ideal;
+    try {
+        array.elementErrors = null;
+        ideal = sample();
+
+        for (let t = 0; t < trials; t++) {
+            const phase = [];
+            const gain = [];
+            const offset = [];
+            for (let i = 0; i < n; i++) {
+                phase.push(phaseStd * gaussian(random));
+                const dead = random() < opts.failureRate;
+                gain.push(dead ? 0 : Math.exp(ampStd * gaussian(random)));
+                offset.push({ x: opts.positionStd * gaussian(random), y: opts.positionStd * gaussian(random) });
+            }
+            array.elementErrors = { phase, gain, offset };
+            powers.push(sample());
+        }
+    } finally {
+        array.elementErrors = saved;
+    }
+
+    const peak = Math.max(...ideal) || 1;
+
+    // Error-free main lobe: walk down from the peak to the first nulls
+    const peakIndex = ideal.indexOf(peak);
+    let l = peakIndex;
+    while (l > 0 && ideal[l - 1] <= ideal[l]) l--;
+    let r = peakIndex;
+    while (r < ideal.length - 1 && ideal[r + 1] <= ideal[r]) r++;
+
+    const sidelobeLevel = (values) => {
+        let main = 0;
+        let side = 0;
+        values.forEach((v, i) => {
+            if (i >= l && i <= r) main = Math.max(main, v);
+            else side = Math.max(side, v);
+        });
+        return side > 0 && main > 0 ? toDb(side / main) : null;
+    };
+
+    const mean = [];
+    const lower = [];
+    const upper = [];
+    angles.forEach((_, j) => {
+        const column = powers.map(p => p[j]).sort((a, b) => a - b);
+        mean.push(toDb(column.reduce((sum, v) => sum + v, 0) / trials / peak));
+        lower.push(toDb(percentile(column, opts.band[0]) / peak));
+        upper.push(toDb(percentile(column, opts.band[1]) / peak));
+    });
+
+    const gainLoss = -toDb(powers.reduce((sum, p) => sum + Math.max(...p.slice(l, r + 1)), 0) / trials / peak);
+
+    return {
+        angles,
+        ideal: ideal.map(v => toDb(v / peak)),
+        mean,
+        lower,
+        upper,
+        psl: powers.map(sidelobeLevel).filter(v => v !== null),
+        pslIdeal: sidelobeLevel(ideal),
+        gainLoss,
+        trials
+    };
+}
+
+/**
+ * Linear-interpolated percentile of sorted values
+ * @param {Array<number>} sorted - Ascending
+ * @param {number} p - 0..100
+ * @returns {number}
+ */
+export function percentile(sorted, p) {
+    if (sorted.length === 0) return NaN;
+    const pos = (sorted.length - 1) * Math.min(100, Math.max(0, p)) / 100;
+    const i = Math.floor(pos);
+    const f = pos - i;
+    return i + 1 < sorted.length ? sorted[i] * (1 - f) + sorted[i + 1] * f : sorted[i];
+}
+
+/**
+ * Standard normal sample (Box-Muller)
+ * @private
+ */
+function gaussian(random) {
+    const u1 = Math.max(random(), 1e-12);
+    return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * random());
+}
@@ -0,0 +1,213 @@
+/**
+ * Apodization.js - Amplitude Tapering Windows
+ * - Classic windows (uniform, Hamming, Hann, Blackman)
+ * - Dolph-Chebyshev (equiripple sidelobes at a chosen level)
+ * - Taylor (n̄ near-in sidelobes at a chosen level)
+ * - Kaiser (β trade-off between main-lobe width and sidelobes)
+ *
+ * All windows are symmetric and normalized to a peak weight of 1.
+ * sampleWindow evaluates them at arbitrary positions (radial tapers).
+ */
+
+export const WINDOW_TYPES = [
+    { key: 'uniform', name: 'Uniform' },
+    { key: 'hamming', name: 'Hamming' },
+    { key: 'hann', name: 'Hann' },
+    { key: 'blackman', name: 'Blackman' },
+    { key: 'chebyshev', name: 'Chebyshev' },
+    { key: 'taylor', name: 'Taylor' },
+    { key: 'kaiser', name: 'Kaiser' }
+];
+
+export const DEFAULT_WINDOW = {
+    type: 'uniform',
+    sidelobeLevel: 30,   // dB below the main lobe (Chebyshev, Taylor)
+    nbar: 4,             // Number of near-in equal sidelobes (Taylor)
+    beta: 6              // Shape parameter (Kaiser)
+};
+
+/**
+ * Compute element weights for a window
+ * @param {string} type - One of WINDOW_TYPES keys
+ * @param {number} n - Number of elements
+ * @param {Object} params - {sidelobeLevel, nbar, beta}
+ * @returns {Array<number>} Weights with max = 1
+ */
+export function computeWindow(type, n, params = {}) {
+    if (n <= 1) return [1];
+
+    const opts = { ...DEFAULT_WINDOW, ...params };
+    let w;
+
+    switch (type) {
+        case 'hamming':
+            w = cosineSum(n, [0.54, 0.46]);
+            break;
+        case 'hann':
+            w = cosineSum(n, [0.5, 0.5]);
+            break;
+        case 'blackman':
+            w = cosineSum(n, [0.42, 0.5, 0.08]);
+            break;
+        case 'chebyshev':
+            w = chebyshevWindow(n, opts.sidelobeLevel);
+            break;
+        case 'taylor':
+            w = taylorWindow(n, opts.nbar, opts.sidelobeLevel);
+            break;
+        case 'kaiser':
+            w = kaiserWindow(n, opts.beta);
+            break;
+        default:
+            w = new Array(n).fill(1);
+    }
+
+    const peak = Math.max(...w.map(Math.abs));
+    return peak > 0 ? w.map(v => Math.max(0, v / peak)) : new Array(n).fill(1);
+}
+
+/**
+ * Evaluate a window at arbitrary normalized coordinates, for element layouts
+ * that are not a uniform line (the window is sampled finely and interpolated)
+ * @param {string} type - One of WINDOW_TYPES keys
+ * @param {Array<number>} coords - Positions in [-1, 1], 0 = aperture center
+ * @param {Object} params - {sidelobeLevel, nbar, beta}
+ * @returns {Array<number>} Weights with max = 1
+ */
+export function sampleWindow(type, coords, params = {}) {
+    const samples = 201;
+    const table = computeWindow(type, samples, params);
+
+    const w = coords.map(t => {
+        const pos = (Math.min(1, Math.max(-1, t)) + 1) / 2 * (samples - 1);
+        const i = Math.min(samples - 2, Math.floor(pos));
+        const f = pos - i;
+        return table[i] * (1 - f) + table[i + 1] * f;
+    });
+
+    // Elements all at the same radius (e.g. a single ring) land on one value
+    const peak = Math.max(...w);
+    return peak > 0 ? w.map(v => v / peak) : w.map(() => 1);
+}
+
+/**
+ * Generalized cosine-sum window: a0 - a1 cos(x) + a2 cos(2x) - ...
+ * @private
+ */
+function cosineSum(n, coeffs) {
+    const w = [];
+    for (let i = 0; i < n; i++) {
+        const x = 2 * Math.PI * i / (n - 1);
+        let v = 0;
+        coeffs.forEach((a, k) => {
+            v += (k % 2 === 0 ? 1 : -1) * a * Math.cos(k * x);
+        });
+        w.push(v);
+    }
+    return w;
+}
+
+/**
+ * Dolph-Chebyshev window via the inverse DFT of the Chebyshev polynomial
+ * @private
+ */
+function chebyshevWindow(n, sidelobeLevel) {
+    const order = n - 1;
+    const r = Math.pow(10, Math.abs(sidelobeLevel) / 20);
+    const x0 = Math.cosh(Math.acosh(r) / order);
+
+    const cheb = (x) => {
+        if (x > 1) return Math.cosh(order * Math.acosh(x));
+        if (x < -1) return (order % 2 === 0 ? 1 : -1) * Math.cosh(order * Math.acosh(-x));
+        return Math.cos(order * Math.acos(x));
+    };
+
+    // Real part of the DFT of the (phase-shifted for even n) polynomial samples
+    const p = [];
+    for (let k = 0; k < n; k++) {
+        const value = cheb(x0 * Math.cos(Math.PI * k / n));
+        const shift = n % 2 === 0 ? Math.PI * k / n : 0;
+        p.push({ real: value * Math.cos(shift), imag: value * Math.sin(shift) });
+    }
+
+    const dft = [];
+    for (let m = 0; m < n; m++) {
+        let sum = 0;
+        for (let k = 0; k < n; k++) {
+            const angle = -2 * Math.PI * k * m / n;
+            sum += p[k].real * Math.cos(angle) - p[k].imag * Math.sin(angle);
+        }
+        dft.push(sum);
+    }
+
+    // Unfold the half spectrum into a symmetric window
+    if (n % 2 === 1) {
+        const half = dft.slice(0, (n + 1) / 2);
+        return [...half.slice(1).reverse(), ...half];
+    }
+    const half = dft.slice(0, n / 2 + 1);
+    return [...half.slice(1).reverse(), ...half.slice(1)];
+}
+
+/**
+ * Taylor window with n̄ equal near-in sidelobes
+ * @private
+ */
+function taylorWindow(n, nbar, sidelobeLevel) {
+    nbar = Math.max(1, Math.round(nbar));
+    const b = Math.pow(10, Math.abs(sidelobeLevel) / 20);
+    const a = Math.acosh(b) / Math.PI;
+    const s2 = nbar * nbar / (a * a + (nbar - 0.5) ** 2);
+
+    const fm = [];
+    for (let m = 1; m < nbar; m++) {
+        let numer = (m % 2 === 1 ? 1 : -1);
+        let denom = 2;
+        for (let j = 1; j < nbar; j++) {
+            numer *= 1 - (m * m / s2) / (a * a + (j - 0.5) ** 2);
+            if (j !== m) denom *= 1 - (m * m) / (j * j);
+        }
+        fm.push(numer / denom);
+    }
+
+    const w = [];
+    for (let i = 0; i < n; i++) {
+        let v = 1;
+        fm.forEach((f, idx) => {
+            const m = idx + 1;
+            v += 2 * f * Math.cos(2 * Math.PI * m * (i - n / 2 + 0.5) / n);
+        });
+        w.push(v);
+    }
+    return w;
+}
+
+/**
+ * Kaiser window
+ * @private
+ */
+function kaiserWindow(n, beta) {
+    const denom = besselI0(beta);
+    const w = [];
+    for (let i = 0; i < n; i++) {
+        const t = 2 * i / (n - 1) - 1;
+        w.push(besselI0(beta * Math.sqrt(Math.max(0, 1 - t * t))) / denom);
+    }
+    return w;
+}
+
+/**
+ * Modified Bessel function of the first kind, order 0 (power series)
+ * @private
+ */
+function besselI0(x) {
+    let sum = 1;
+    let term = 1;
+    const half = x / 2;
+    for (let k = 1; k < 50; k++) {
+        term *= (half / k) * (half / k);
+        sum += term;
+        if (term < sum * 1e-12) break;
+    }
+    return sum;
+}
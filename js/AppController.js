@@ -1,6 +1,44 @@
 import { PhasedArray, SimulationContext } from './PhasedArray.js';
-import { HeatmapRenderer, BeamPatternRenderer, ArrayVisualizationRenderer } from './Renderers.js';
-import { getScenario, getScenarioList } from './Scenarios.js';
+import {
+    HeatmapRenderer, BeamPatternRenderer, ProfileRenderer, UVPatternRenderer, ToleranceRenderer,
+    DOASpectrumRenderer, ArchitectureRenderer, BModeRenderer, ArrayVisualizationRenderer
+} from './Renderers.js';
+import { getScenario, getScenarioList, registerScenario } from './Scenarios.js';
+import {
+    exportScene, parseScene, encodeSceneHash, decodeSceneHash, parseElementCsv, formatElementCsv,
+    parseSequenceCsv, formatSequenceCsv,
+    parseLayerCsv, formatLayerCsv
+} from './SceneIO.js';
+import { WINDOW_TYPES } from './Apodization.js';
+import { LAYOUT_TYPES } from './SparseLayouts.js';
+import { EXCITATION_TYPES } from './Excitation.js';
+import { SEQUENCE_TYPES, sequenceDwell } from './Sequences.js';
+import { ELEMENT_PATTERNS } from './ElementPatterns.js';
+import { MEDIA, DEFAULT_MEDIUM, resolveMedium, getMediumPreset, normalizeAbsorption, attenuationAt } from './Media.js';
+import { normalizeLayers, MAX_LAYERS } from './Layers.js';
+import { computeMvdrWeights, DEFAULT_MVDR_SETTINGS } from './Adaptive.js';
+import { multiUserSinr, PRECODERS, DEFAULT_PRECODING } from './Precoding.js';
+import { computeHybridPrecoder, compareArchitectures } from './Hybrid.js';
+import { createInterferer, calculateSinr } from './Interferers.js';
+import { createWall, createScatterer, MAX_WALLS } from './Reflectors.js';
+import { analyzeGratingLobes, computeBeamMetrics, runToleranceAnalysis, DEFAULT_TOLERANCE } from './Analysis.js';
+import { simulateBMode, DEFAULT_IMAGING } from './Imaging.js';
+import { estimateDoa, DEFAULT_DOA, DOA_METHODS } from './DOA.js';
+
+// B-mode slider id -> [imaging setting, label format]
+const IMAGING_CONTROLS = {
+    'sld-bmode-lines': ['lines', v => v],
+    'sld-bmode-sector': ['sector', v => v + '°'],
+    'sld-bmode-fnumber': ['fNumber', v => v.toFixed(1)],
+    'sld-bmode-speckle': ['speckle', v => v]
+};
+
+// DOA slider id -> [estimation setting, label format]
+const DOA_CONTROLS = {
+    'sld-doa-snr': ['snr', v => v + ' dB'],
+    'sld-doa-snapshots': ['snapshots', v => v],
+    'sld-doa-order': ['order', v => (v > 0 ? v : 'MDL')]
+};
 
 export class AppController {
     constructor() {
@@ -9,15 +47,26 @@ export class AppController {
         // Renderers
         this.heatmapRenderer = null;
         this.beamPatternRenderer = null;
+        this.profileRenderer = null;
+        this.uvRenderer = null;
+        this.toleranceRenderer = null;
+        this.doaRenderer = null;
+        this.hybridRenderer = null;
+        this.bmodeRenderer = null;
         this.arrayVisRenderer = null;
 
         // State
         this.selectedArrayId = null;
         this.receivers = new Map();
         this.selectedReceiverId = 'rx1';
+        this.interferers = new Map();
+        this.selectedInterfererId = null;
+        this.reflectors = new Map(); // Walls and scatterers, in wavelengths
+        this.selectedReflectorId = null;
         this.time = 0;
         this.lastTime = performance.now();
         this.currentScenarioKey = null;
+        this.analysisView = 'pattern'; // Which view the beam analysis quadrant shows
 
         this.physicsState = {
             baseFrequency: 40000,
@@ -28,20 +77,174 @@ export class AppController {
 
         // Stores { target: val, current: val } for properties
         this.targets = new Map();
+
+        // Propagation medium in physical units (see Media.js); arrays get it normalized
+        this.medium = resolveMedium(DEFAULT_MEDIUM);
+
+        // MVDR adaptive beamforming toward the selected probe
+        this.adaptive = {
+            enabled: false,
+            ...DEFAULT_MVDR_SETTINGS,
+            signatures: new Map(), // arrayId -> inputs of the last solve
+            sinr: new Map(),       // arrayId -> output SINR (dB)
+            errors: new Map()      // arrayId -> why the last solve failed
+        };
+
+        // Multi-user MIMO precoding: every probe is a user with its own stream
+        this.precoding = {
+            ...DEFAULT_PRECODING,
+            signatures: new Map(), // arrayId -> inputs of the last solve
+            sinr: new Map(),       // receiverId -> {signal, interference, sinr, rate}
+            sumRate: 0,            // bit/s/Hz
+            errors: new Map()      // arrayId -> why the last solve failed
+        };
+
+        // Beam metrics are a fine angular sweep, so recompute only when the excitation changes
+        this.metricsCache = new Map(); // arrayId | 'combined' -> { signature, metrics }
+        this.metricsLayout = null;     // Rows the metrics table was built for, see _updateBeamMetrics
+
+        // Monte Carlo tolerance analysis of the selected array, rerun when its inputs change
+        this.tolerance = { ...DEFAULT_TOLERANCE };
+        this.toleranceCache = { signature: null, result: null };
+
+        // B-mode imaging settings (see Imaging.js); pending holds inputs that have not settled yet
+        this.imaging = { ...DEFAULT_IMAGING };
+        this.imagingCache = { signature: null, pending: null, result: null, reference: null };
+
+        // Receive-mode direction finding of the interferers by the selected array (see DOA.js)
+        this.doa = { ...DEFAULT_DOA };
+        this.doaCache = { signature: null, pending: null, result: null };
+
+        // Digital / hybrid / analog comparison for the selected array (see Hybrid.js)
+        this.hybridCache = { signature: null, pending: null, result: null };
     }
 
     init() {
         // Scenario Dropdown
-        const scenarioSelect = document.getElementById('scenario-select');
-        if (scenarioSelect) {
-            scenarioSelect.innerHTML = '';
-            getScenarioList().forEach(sc => {
+        this._refreshScenarioDropdown();
+
+        // Apodization Dropdowns (transmit and B-mode receive)
+        ['sel-window', 'sel-bmode-window'].forEach(id => {
+            const windowSelect = document.getElementById(id);
+            if (!windowSelect) return;
+            windowSelect.innerHTML = '';
+            WINDOW_TYPES.forEach(win => {
+                const opt = document.createElement('option');
+                opt.value = win.key;
+                opt.innerText = win.name;
+                windowSelect.appendChild(opt);
+            });
+        });
+        this._syncImagingControls();
+
+        // DOA Estimator Dropdown
+        const doaSelect = document.getElementById('sel-doa-method');
+        if (doaSelect) {
+            doaSelect.innerHTML = '';
+            DOA_METHODS.forEach(method => {
+                const opt = document.createElement('option');
+                opt.value = method.key;
+                opt.innerText = method.name;
+                doaSelect.appendChild(opt);
+            });
+        }
+        this._syncDoaControls();
+
+        // Precoder Dropdown
+        const precoderSelect = document.getElementById('sel-precoder');
+        if (precoderSelect) {
+            precoderSelect.innerHTML = '';
+            PRECODERS.forEach(precoder => {
+                const opt = document.createElement('option');
+                opt.value = precoder.key;
+                opt.innerText = precoder.name;
+                precoderSelect.appendChild(opt);
+            });
+            precoderSelect.value = this.precoding.method;
+        }
+
+        // Steering Hardware Dropdown
+        const hardwareSelect = document.getElementById('sel-hardware');
+        if (hardwareSelect) {
+            hardwareSelect.innerHTML = '';
+            PhasedArray.HARDWARE_TYPES.forEach(hw => {
+                const opt = document.createElement('option');
+                opt.value = hw.key;
+                opt.innerText = hw.name;
+                hardwareSelect.appendChild(opt);
+            });
+        }
+
+        // RF Architecture Dropdown
+        const architectureSelect = document.getElementById('sel-architecture');
+        if (architectureSelect) {
+            architectureSelect.innerHTML = '';
+            PhasedArray.ARCHITECTURES.forEach(arch => {
+                const opt = document.createElement('option');
+                opt.value = arch.key;
+                opt.innerText = arch.name;
+                architectureSelect.appendChild(opt);
+            });
+        }
+
+        // Excitation Dropdown
+        const excitationSelect = document.getElementById('sel-excitation');
+        if (excitationSelect) {
+            excitationSelect.innerHTML = '';
+            EXCITATION_TYPES.forEach(exc => {
+                const opt = document.createElement('option');
+                opt.value = exc.key;
+                opt.innerText = exc.name;
+                excitationSelect.appendChild(opt);
+            });
+        }
+
+        // Transmit Sequence Dropdown
+        const sequenceSelect = document.getElementById('sel-sequence');
+        if (sequenceSelect) {
+            sequenceSelect.innerHTML = '';
+            SEQUENCE_TYPES.forEach(seq => {
+                const opt = document.createElement('option');
+                opt.value = seq.key;
+                opt.innerText = seq.name;
+                sequenceSelect.appendChild(opt);
+            });
+        }
+
+        // Element Pattern Dropdown
+        const patternSelect = document.getElementById('sel-element-pattern');
+        if (patternSelect) {
+            patternSelect.innerHTML = '';
+            ELEMENT_PATTERNS.forEach(pattern => {
+                const opt = document.createElement('option');
+                opt.value = pattern.key;
+                opt.innerText = pattern.name;
+                patternSelect.appendChild(opt);
+            });
+        }
+
+        // Propagation Medium Dropdown
+        const mediumSelect = document.getElementById('sel-medium');
+        if (mediumSelect) {
+            mediumSelect.innerHTML = '';
+            [...MEDIA, { key: 'custom', name: 'Custom' }].forEach(medium => {
+                const opt = document.createElement('option');
+                opt.value = medium.key;
+                opt.innerText = medium.name;
+                mediumSelect.appendChild(opt);
+            });
+        }
+
+        // Sparse Layout Dropdown
+        const layoutSelect = document.getElementById('sel-layout');
+        if (layoutSelect) {
+            layoutSelect.innerHTML = '';
+            LAYOUT_TYPES.forEach(layout => {
                 const opt = document.createElement('option');
-                opt.value = sc.key;
-                opt.innerText = sc.name;
-                scenarioSelect.appendChild(opt);
+                opt.value = layout.key;
+                opt.innerText = layout.name;
+                layoutSelect.appendChild(opt);
             });
-            scenarioSelect.value = '5G_MIMO';
         }
 
         this.context.globalSettings.speedOfSound = 1.0;
@@ -49,10 +252,22 @@ export class AppController {
         // 1. Initialize Renderers
         const heatmapCanvas = document.getElementById('heatmap-canvas');
         const beamCanvas = document.getElementById('beam-pattern-canvas');
+        const profileCanvas = document.getElementById('profile-canvas');
+        const uvCanvas = document.getElementById('uv-canvas');
+        const toleranceCanvas = document.getElementById('tolerance-canvas');
+        const doaCanvas = document.getElementById('doa-canvas');
+        const hybridCanvas = document.getElementById('hybrid-canvas');
+        const bmodeCanvas = document.getElementById('bmode-canvas');
         const visCanvas = document.getElementById('array-vis-canvas');
 
         if (heatmapCanvas) this.heatmapRenderer = new HeatmapRenderer(heatmapCanvas);
         if (beamCanvas) this.beamPatternRenderer = new BeamPatternRenderer(beamCanvas);
+        if (profileCanvas) this.profileRenderer = new ProfileRenderer(profileCanvas);
+        if (uvCanvas) this.uvRenderer = new UVPatternRenderer(uvCanvas);
+        if (toleranceCanvas) this.toleranceRenderer = new ToleranceRenderer(toleranceCanvas);
+        if (doaCanvas) this.doaRenderer = new DOASpectrumRenderer(doaCanvas);
+        if (hybridCanvas) this.hybridRenderer = new ArchitectureRenderer(hybridCanvas);
+        if (bmodeCanvas) this.bmodeRenderer = new BModeRenderer(bmodeCanvas);
         if (visCanvas) this.arrayVisRenderer = new ArrayVisualizationRenderer(visCanvas);
 
         this.overlayCanvas = document.getElementById('overlay-canvas');
@@ -64,8 +279,8 @@ export class AppController {
         // 3. Bind UI Events
         this._bindEvents();
 
-        // 4. Load Initial Scenario
-        this.loadScenario('5G_MIMO');
+        // 4. Load Initial Scenario (a shared link takes precedence)
+        if (!this._loadSceneFromHash()) this.loadScenario('5G_MIMO');
 
         // 5. Start Loop
         this._animate();
@@ -80,6 +295,26 @@ export class AppController {
             });
         }
 
+        // Scene Import/Export
+        const exportBtn = document.getElementById('export-scene');
+        if (exportBtn) exportBtn.addEventListener('click', () => this._exportSceneFile());
+
+        const importFile = document.getElementById('scene-file');
+        const importBtn = document.getElementById('import-scene');
+        if (importBtn && importFile) {
+            importBtn.addEventListener('click', () => importFile.click());
+            importFile.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                if (file) this._importSceneFile(file);
+                e.target.value = ''; // Allow re-importing the same file
+            });
+        }
+
+        const shareBtn = document.getElementById('share-scene');
+        if (shareBtn) shareBtn.addEventListener('click', () => this._shareSceneLink(shareBtn));
+
+        window.addEventListener('hashchange', () => this._loadSceneFromHash());
+
         //  Array Management 
         const addArrayBtn = document.getElementById('add-array');
         if (addArrayBtn) addArrayBtn.addEventListener('click', () => this._addNewArray());
@@ -113,6 +348,13 @@ export class AppController {
                 // Handle pitch slider enable/disable based on element count
                 if (prop === 'numElements') {
                     this._updatePitchSliderState(Math.round(val));
+                    this._refreshElementList();
+                }
+
+                // A piston without its own width follows the pitch
+                if (prop === 'pitch') {
+                    const array = this.context.getArray(this.selectedArrayId);
+                    if (array) this._updateElementPatternControls(array);
                 }
             });
         };
@@ -123,6 +365,10 @@ export class AppController {
         bindSlider('sld-curve', 'curvatureRadius', v => v + 'λ', true);
         bindSlider('sld-freq', 'frequency', v => this._formatFrequency(v), true);
         bindSlider('sld-steer', 'steeringAngle', v => v + '°', true);
+        bindSlider('sld-rows', 'numRows', v => Math.round(v), true);
+        bindSlider('sld-row-pitch', 'rowPitch', v => v.toFixed(1) + 'λ', true);
+        bindSlider('sld-elev', 'elevationAngle', v => v + '°', true);
+        bindSlider('sld-rings', 'numRings', v => Math.round(v), true);
 
         // Position X/Y need special handling because 'position' is an object {x,y}
 
@@ -150,6 +396,230 @@ export class AppController {
         bindSlider('sld-orient', 'orientation', v => v + '°', true);
         bindSlider('sld-amp', 'amplitude', v => v.toFixed(1), true);
 
+        // Apodization Controls
+        const windowSelect = document.getElementById('sel-window');
+        if (windowSelect) {
+            windowSelect.addEventListener('change', (e) => {
+                const array = this.context.getArray(this.selectedArrayId);
+                if (array) {
+                    array.window = { type: e.target.value };
+                    this._updateWindowControls(array);
+                }
+            });
+        }
+
+        const bindWindowSlider = (id, param, fmt) => {
+            const el = document.getElementById(id);
+            if (!el) return;
+            el.addEventListener('input', (e) => {
+                const val = parseFloat(e.target.value);
+                const labelEl = document.getElementById(id.replace('sld', 'val'));
+                if (labelEl) labelEl.innerText = fmt(val);
+
+                const array = this.context.getArray(this.selectedArrayId);
+                if (array) array.window = { [param]: val };
+            });
+        };
+        bindWindowSlider('sld-sll', 'sidelobeLevel', v => '-' + v + ' dB');
+        bindWindowSlider('sld-nbar', 'nbar', v => v);
+        bindWindowSlider('sld-beta', 'beta', v => v.toFixed(1));
+
+        // Steering Hardware Controls
+        const hardwareSelect = document.getElementById('sel-hardware');
+        if (hardwareSelect) {
+            hardwareSelect.addEventListener('change', (e) => {
+                const array = this.context.getArray(this.selectedArrayId);
+                if (array) {
+                    array.hardware = { type: e.target.value };
+                    this._updateHardwareControls(array);
+                }
+            });
+        }
+        const bitsSlider = document.getElementById('sld-bits');
+        if (bitsSlider) {
+            bitsSlider.addEventListener('input', (e) => {
+                const array = this.context.getArray(this.selectedArrayId);
+                if (array) {
+                    array.hardware = { bits: parseInt(e.target.value) };
+                    this._updateHardwareControls(array);
+                }
+            });
+        }
+        const architectureSelect = document.getElementById('sel-architecture');
+        if (architectureSelect) {
+            architectureSelect.addEventListener('change', (e) => {
+                const array = this.context.getArray(this.selectedArrayId);
+                if (array) {
+                    array.architecture = { type: e.target.value };
+                    this._updateHardwareControls(array);
+                }
+            });
+        }
+        const chainsSlider = document.getElementById('sld-rf-chains');
+        if (chainsSlider) {
+            chainsSlider.addEventListener('input', (e) => {
+                const array = this.context.getArray(this.selectedArrayId);
+                if (array) {
+                    array.architecture = { rfChains: parseInt(e.target.value) };
+                    this._updateHardwareControls(array);
+                }
+            });
+        }
+
+        // Excitation Controls
+        const excitationSelect = document.getElementById('sel-excitation');
+        if (excitationSelect) {
+            excitationSelect.addEventListener('change', (e) => {
+                const array = this.context.getArray(this.selectedArrayId);
+                if (array) {
+                    array.excitation = { type: e.target.value };
+                    this._updateExcitationControls(array);
+                    this._updateSequenceControls(array);
+                }
+            });
+        }
+        const bindExcitationSlider = (id, param) => {
+            const el = document.getElementById(id);
+            if (!el) return;
+            el.addEventListener('input', (e) => {
+                const array = this.context.getArray(this.selectedArrayId);
+                if (array) {
+                    array.excitation = { [param]: parseFloat(e.target.value) };
+                    this._updateExcitationControls(array);
+                }
+            });
+        };
+        bindExcitationSlider('sld-bandwidth', 'bandwidth');
+        bindExcitationSlider('sld-duration', 'duration');
+        bindExcitationSlider('sld-period', 'period');
+
+        // Transmit Sequence Controls
+        const sequenceSelect = document.getElementById('sel-sequence');
+        if (sequenceSelect) {
+            sequenceSelect.addEventListener('change', (e) => {
+                const array = this.context.getArray(this.selectedArrayId);
+                if (array) {
+                    const change = { type: e.target.value };
+                    // Start a custom list from the events that were firing
+                    if (change.type === 'custom' && !array.sequence.events) change.events = array.getTransmitEvents();
+                    array.sequence = change;
+                    this._updateSequenceControls(array);
+                }
+            });
+        }
+        const bindSequenceSlider = (id, param) => {
+            const el = document.getElementById(id);
+            if (!el) return;
+            el.addEventListener('input', (e) => {
+                const array = this.context.getArray(this.selectedArrayId);
+                if (array) {
+                    array.sequence = { [param]: parseFloat(e.target.value) };
+                    this._updateSequenceControls(array);
+                }
+            });
+        };
+        bindSequenceSlider('sld-seq-count', 'count');
+        bindSequenceSlider('sld-seq-span', 'span');
+        bindSequenceSlider('sld-seq-aperture', 'aperture');
+        bindSequenceSlider('sld-seq-dwell', 'dwell');
+        const applySequence = document.getElementById('apply-sequence');
+        if (applySequence) {
+            applySequence.addEventListener('click', () => {
+                const array = this.context.getArray(this.selectedArrayId);
+                const text = document.getElementById('txt-sequence');
+                if (!array || !text) return;
+                try {
+                    array.sequence = { events: parseSequenceCsv(text.value) };
+                    this._updateSequenceControls(array);
+                } catch (err) {
+                    alert('Could not read transmit events: ' + err.message);
+                }
+            });
+        }
+
+        // Element Pattern Controls
+        const patternSelect = document.getElementById('sel-element-pattern');
+        if (patternSelect) {
+            patternSelect.addEventListener('change', (e) => {
+                const array = this.context.getArray(this.selectedArrayId);
+                if (array) {
+                    array.elementPattern = { type: e.target.value };
+                    this._updateElementPatternControls(array);
+                }
+            });
+        }
+        const bindPatternSlider = (id, param) => {
+            const el = document.getElementById(id);
+            if (!el) return;
+            el.addEventListener('input', (e) => {
+                const array = this.context.getArray(this.selectedArrayId);
+                if (array) {
+                    array.elementPattern = { [param]: parseFloat(e.target.value) };
+                    this._updateElementPatternControls(array);
+                }
+            });
+        };
+        bindPatternSlider('sld-pattern-exp', 'exponent');
+        bindPatternSlider('sld-pattern-width', 'width');
+
+        // Sparse Layout Controls
+        const layoutSelect = document.getElementById('sel-layout');
+        if (layoutSelect) {
+            layoutSelect.addEventListener('change', (e) => {
+                const array = this.context.getArray(this.selectedArrayId);
+                if (array) {
+                    array.layout = { type: e.target.value };
+                    this._updateLayoutControls(array);
+                }
+            });
+        }
+
+        const bindLayoutSlider = (id, param, fmt) => {
+            const el = document.getElementById(id);
+            if (!el) return;
+            el.addEventListener('input', (e) => {
+                const val = parseFloat(e.target.value);
+                const array = this.context.getArray(this.selectedArrayId);
+                if (array) {
+                    array.layout = { [param]: val };
+                    this._updateLayoutControls(array);
+                } else {
+                    const labelEl = document.getElementById(id.replace('sld', 'val'));
+                    if (labelEl) labelEl.innerText = fmt(val);
+                }
+            });
+        };
+        bindLayoutSlider('sld-fill', 'fill', v => Math.round(v * 100) + '%');
+        bindLayoutSlider('sld-seed', 'seed', v => v);
+
+        const restoreBtn = document.getElementById('restore-elements');
+        if (restoreBtn) {
+            restoreBtn.addEventListener('click', () => {
+                const array = this.context.getArray(this.selectedArrayId);
+                if (array) {
+                    array.elementMask = null;
+                    this._updateLayoutControls(array);
+                }
+            });
+        }
+
+        // Clicking an element in the layout view fails it (or brings it back)
+        const visCanvas = document.getElementById('array-vis-canvas');
+        if (visCanvas) {
+            visCanvas.addEventListener('click', (e) => {
+                if (!this.arrayVisRenderer) return;
+                const rect = visCanvas.getBoundingClientRect();
+                const hit = this.arrayVisRenderer.hitTestElement(
+                    this.context, e.clientX - rect.left, e.clientY - rect.top
+                );
+                if (!hit) return;
+                const array = this.context.getArray(hit.arrayId);
+                const mask = array.elementMask;
+                array.setElementEnabled(hit.index, Boolean(mask && mask[hit.index] === false));
+                if (hit.arrayId === this.selectedArrayId) this._updateLayoutControls(array);
+            });
+        }
+
         // Focal Distance Controls
         const sldFocus = document.getElementById('sld-focus');
         const chkFocusInf = document.getElementById('chk-focus-inf');
@@ -192,22 +662,48 @@ export class AppController {
             });
         }
 
+        // Focus through layers: travel times along refracted rays vs the background speed
+        const chkRefraction = document.getElementById('chk-refraction');
+        if (chkRefraction) {
+            chkRefraction.addEventListener('change', (e) => {
+                const array = this.context.getArray(this.selectedArrayId);
+                if (array) array.refractionCorrection = e.target.checked;
+            });
+        }
+
         // Geometry Radios (Immediate)
         document.querySelectorAll('input[name="geometry"]').forEach(r => {
             r.addEventListener('change', (e) => {
-                const grpCurve = document.getElementById('grp-curve');
-                if (grpCurve) grpCurve.style.display = (e.target.value === 'curved') ? 'block' : 'none';
-
                 // Geometry changes are structural, apply immediately
                 const array = this.context.getArray(this.selectedArrayId);
                 if (array) {
                     array.geometry = e.target.value;
                     // Reset targets to prevent jumps
                     this.targets.clear();
+                    // Switching to custom resizes to the seeded layout
+                    this._selectArray(array.id);
+                } else {
+                    this._updateGeometryControls(e.target.value);
                 }
             });
         });
 
+        // Custom element coordinates (wavelengths, array frame)
+        const applyElements = document.getElementById('apply-elements');
+        if (applyElements) {
+            applyElements.addEventListener('click', () => {
+                const array = this.context.getArray(this.selectedArrayId);
+                const text = document.getElementById('txt-elements');
+                if (!array || !text) return;
+                try {
+                    array.customElements = parseElementCsv(text.value);
+                    this._selectArray(array.id);
+                } catch (err) {
+                    alert('Could not read element coordinates: ' + err.message);
+                }
+            });
+        }
+
         // Text Inputs (Name)
         ['array-name'].forEach(id => {
             const el = document.getElementById(id);
@@ -232,6 +728,245 @@ export class AppController {
             });
         }
 
+        // Field display mode and dynamic range
+        const displayMode = document.getElementById('display-mode');
+        if (displayMode) {
+            displayMode.addEventListener('change', (e) => {
+                this.context.globalSettings.displayMode = parseInt(e.target.value);
+                this._syncDisplayControls();
+            });
+        }
+
+        // Propagation medium: a preset, or custom once the attenuation is edited
+        const mediumSelect = document.getElementById('sel-medium');
+        if (mediumSelect) {
+            mediumSelect.addEventListener('change', (e) => {
+                this._setMedium(e.target.value === 'custom'
+                    ? { ...this.medium, type: 'custom' }
+                    : resolveMedium(e.target.value));
+            });
+        }
+        const attenSld = document.getElementById('sld-atten');
+        if (attenSld) {
+            attenSld.addEventListener('input', (e) => {
+                // Log scale: the presets span water (0.002) to bone (20)
+                const value = parseFloat(e.target.value);
+                const attenuation = value <= parseFloat(attenSld.min) ? 0 : Math.pow(10, value);
+                this._setMedium({ ...this.medium, type: 'custom', attenuation });
+            });
+        }
+        const powerSld = document.getElementById('sld-atten-power');
+        if (powerSld) {
+            powerSld.addEventListener('input', (e) => {
+                this._setMedium({ ...this.medium, type: 'custom', power: parseFloat(e.target.value) });
+            });
+        }
+
+        // Layers below the background medium (depth in λ, speed in m/s)
+        const applyLayers = document.getElementById('apply-layers');
+        if (applyLayers) {
+            applyLayers.addEventListener('click', () => {
+                const text = document.getElementById('txt-layers');
+                if (!text) return;
+                try {
+                    const layers = parseLayerCsv(text.value);
+                    if (layers.length > MAX_LAYERS) {
+                        throw new Error(`At most ${MAX_LAYERS} layers are supported`);
+                    }
+                    this._setLayers(layers.map(l => ({ ...l, depth: l.depth / this.physicsState.scaleFactor })));
+                } catch (err) {
+                    alert('Could not read layers: ' + err.message);
+                }
+            });
+        }
+
+        //  Reflectors 
+        const addWallBtn = document.getElementById('add-wall');
+        if (addWallBtn) addWallBtn.addEventListener('click', () => this._addReflector('wall'));
+
+        const addScattererBtn = document.getElementById('add-scatterer');
+        if (addScattererBtn) addScattererBtn.addEventListener('click', () => this._addReflector('scatterer'));
+
+        const removeReflectorBtn = document.getElementById('remove-reflector');
+        if (removeReflectorBtn) removeReflectorBtn.addEventListener('click', () => this._removeReflector());
+
+        const reflectorSelect = document.getElementById('reflector-select');
+        if (reflectorSelect) reflectorSelect.addEventListener('change', (e) => this._selectReflector(e.target.value));
+
+        const reflectionSld = document.getElementById('sld-reflection');
+        if (reflectionSld) {
+            reflectionSld.addEventListener('input', (e) => {
+                const reflector = this.reflectors.get(this.selectedReflectorId);
+                if (!reflector) return;
+                reflector.reflection = parseFloat(e.target.value);
+                const labelEl = document.getElementById('val-reflection');
+                if (labelEl) labelEl.innerText = reflector.reflection.toFixed(2);
+                this._syncReflectors();
+            });
+        }
+
+        const rangeSld = document.getElementById('sld-range');
+        if (rangeSld) {
+            rangeSld.addEventListener('input', (e) => {
+                this.context.globalSettings.dynamicRange = parseFloat(e.target.value);
+                this._syncDisplayControls();
+            });
+        }
+
+        const profileSld = document.getElementById('sld-profile');
+        if (profileSld) {
+            profileSld.addEventListener('input', (e) => {
+                this.context.globalSettings.profileDepth = parseFloat(e.target.value);
+                this._syncDisplayControls();
+            });
+        }
+
+        const sliceSld = document.getElementById('sld-slice');
+        if (sliceSld) {
+            sliceSld.addEventListener('input', (e) => {
+                this.context.globalSettings.sliceHeight = parseFloat(e.target.value);
+                this._syncDisplayControls();
+            });
+        }
+
+        // Beam pattern mode (combined vs per-array overlay)
+        const patternMode = document.getElementById('pattern-mode');
+        if (patternMode) {
+            patternMode.addEventListener('change', (e) => {
+                if (this.beamPatternRenderer) this.beamPatternRenderer.mode = e.target.value;
+            });
+        }
+
+        const chkCombined = document.getElementById('chk-combined');
+        if (chkCombined) {
+            chkCombined.addEventListener('change', (e) => {
+                if (this.beamPatternRenderer) this.beamPatternRenderer.showCombined = e.target.checked;
+            });
+        }
+
+        // Beam analysis view tabs
+        document.querySelectorAll('.view-tab').forEach(tab => {
+            tab.addEventListener('click', () => this._setAnalysisView(tab.dataset.view));
+        });
+
+        //  Multi-user Precoding 
+        const chkPrecoding = document.getElementById('chk-precoding');
+        if (chkPrecoding) {
+            chkPrecoding.addEventListener('change', (e) => this._setPrecodingEnabled(e.target.checked));
+        }
+        const precoderSel = document.getElementById('sel-precoder');
+        if (precoderSel) precoderSel.addEventListener('change', (e) => { this.precoding.method = e.target.value; });
+
+        //  Interferer Management 
+        const addIntfBtn = document.getElementById('add-interferer');
+        if (addIntfBtn) addIntfBtn.addEventListener('click', () => this._addInterferer());
+
+        const removeIntfBtn = document.getElementById('remove-interferer');
+        if (removeIntfBtn) removeIntfBtn.addEventListener('click', () => this._removeInterferer());
+
+        const intfSelect = document.getElementById('interferer-select');
+        if (intfSelect) intfSelect.addEventListener('change', (e) => this._selectInterferer(e.target.value));
+
+        // Selected interferer properties
+        const bindIntfSlider = (id, apply, fmt) => {
+            const el = document.getElementById(id);
+            if (!el) return;
+            el.addEventListener('input', (e) => {
+                const val = parseFloat(e.target.value);
+                const labelEl = document.getElementById(id.replace('sld', 'val'));
+                if (labelEl) labelEl.innerText = fmt(val);
+
+                const intf = this.interferers.get(this.selectedInterfererId);
+                if (intf) apply(intf, val);
+            });
+        };
+        bindIntfSlider('sld-intf-power', (intf, v) => { intf.power = v; }, v => v + ' dB');
+        bindIntfSlider('sld-intf-freq', (intf, v) => { intf.frequency = v; }, v => this._formatFrequency(v));
+        bindIntfSlider('sld-intf-rate', (intf, v) => { intf.modulation.rate = v; }, v => v.toFixed(2) + 'x');
+
+        const intfMod = document.getElementById('sel-intf-mod');
+        if (intfMod) {
+            intfMod.addEventListener('change', (e) => {
+                const intf = this.interferers.get(this.selectedInterfererId);
+                if (intf) {
+                    intf.modulation.type = e.target.value;
+                    this._selectInterferer(intf.id);
+                }
+            });
+        }
+
+        //  MVDR Settings 
+        const chkMvdr = document.getElementById('chk-mvdr');
+        if (chkMvdr) {
+            chkMvdr.addEventListener('change', (e) => this._setAdaptiveEnabled(e.target.checked));
+        }
+
+        const bindMvdrSlider = (id, prop, fmt) => {
+            const el = document.getElementById(id);
+            if (!el) return;
+            el.addEventListener('input', (e) => {
+                const val = parseFloat(e.target.value);
+                this.adaptive[prop] = val;
+                const labelEl = document.getElementById(id.replace('sld', 'val'));
+                if (labelEl) labelEl.innerText = fmt(val);
+            });
+        };
+        bindMvdrSlider('sld-snr', 'snr', v => v + ' dB');
+        bindMvdrSlider('sld-inr', 'inr', v => v + ' dB');
+        bindMvdrSlider('sld-loading', 'diagonalLoading', v => v + ' dB');
+
+        //  Tolerance Analysis Settings 
+        const bindToleranceSlider = (id, prop, fmt) => {
+            const el = document.getElementById(id);
+            if (!el) return;
+            el.addEventListener('input', (e) => {
+                const val = parseFloat(e.target.value);
+                this.tolerance[prop] = val;
+                const labelEl = document.getElementById(id.replace('sld', 'val'));
+                if (labelEl) labelEl.innerText = fmt(val);
+            });
+        };
+        bindToleranceSlider('sld-tol-trials', 'trials', v => v);
+        bindToleranceSlider('sld-tol-phase', 'phaseStd', v => v + '°');
+        bindToleranceSlider('sld-tol-amp', 'amplitudeStd', v => v.toFixed(1) + ' dB');
+        bindToleranceSlider('sld-tol-pos', 'positionStd', v => v.toFixed(2) + 'λ');
+        bindToleranceSlider('sld-tol-fail', 'failureRate', v => Math.round(v * 100) + '%');
+        bindToleranceSlider('sld-tol-seed', 'seed', v => v);
+
+        //  DOA Estimation Settings 
+        const chkDoa = document.getElementById('chk-doa');
+        if (chkDoa) chkDoa.addEventListener('change', (e) => { this.doa.enabled = e.target.checked; });
+        const doaMethod = document.getElementById('sel-doa-method');
+        if (doaMethod) doaMethod.addEventListener('change', (e) => { this.doa.method = e.target.value; });
+        Object.keys(DOA_CONTROLS).forEach(id => {
+            const el = document.getElementById(id);
+            if (!el) return;
+            el.addEventListener('input', (e) => {
+                const [prop, fmt] = DOA_CONTROLS[id];
+                const val = parseFloat(e.target.value);
+                this.doa[prop] = val;
+                const labelEl = document.getElementById(id.replace('sld', 'val'));
+                if (labelEl) labelEl.innerText = fmt(val);
+            });
+        });
+
+        //  B-mode Imaging Settings 
+        Object.keys(IMAGING_CONTROLS).forEach(id => {
+            const el = document.getElementById(id);
+            if (!el) return;
+            el.addEventListener('input', (e) => {
+                const [prop, fmt] = IMAGING_CONTROLS[id];
+                const val = parseFloat(e.target.value);
+                this.imaging[prop] = val;
+                const labelEl = document.getElementById(id.replace('sld', 'val'));
+                if (labelEl) labelEl.innerText = fmt(val);
+            });
+        });
+        const bmodeWindow = document.getElementById('sel-bmode-window');
+        if (bmodeWindow) {
+            bmodeWindow.addEventListener('change', (e) => { this.imaging.window = e.target.value; });
+        }
+
         const speedSld = document.getElementById('sld-speed');
         if (speedSld) {
             speedSld.addEventListener('input', (e) => {
@@ -247,7 +982,7 @@ export class AppController {
         if (!canvas) return;
 
         let isDragging = false;
-        let dragTarget = null; // { type: 'array'|'receiver', id: string }
+        let dragTarget = null; // { type: 'receiver'|'interferer'|'element'|'reflector', id }
 
         const getMousePos = (e) => {
             const rect = canvas.getBoundingClientRect();
@@ -289,6 +1024,48 @@ export class AppController {
                     return;
                 }
             }
+
+            // Check Interferers
+            for (const [id, intf] of this.interferers) {
+                const dx = p.x - intf.x;
+                const dy = p.y - intf.y;
+                const hitRadius = this.context.globalSettings.fieldWidth * 0.05;
+
+                if (Math.sqrt(dx * dx + dy * dy) < hitRadius) {
+                    isDragging = true;
+                    dragTarget = { type: 'interferer', id: id };
+                    this._selectInterferer(id);
+                    return;
+                }
+            }
+
+            // Check Reflectors: scatterers and wall endpoints, then anywhere along a wall
+            const handle = this._hitTestReflector(p.x, p.y);
+            if (handle) {
+                isDragging = true;
+                dragTarget = { type: 'reflector', ...handle, last: p };
+                this._selectReflector(handle.id);
+                return;
+            }
+
+            // Check elements of the selected custom array (nearest within a small radius)
+            const array = this.context.getArray(this.selectedArrayId);
+            if (array && array.geometry === 'custom') {
+                const hitRadius = this.context.globalSettings.fieldWidth * 0.015;
+                let best = -1;
+                let bestDist = hitRadius;
+                array.getElementData().forEach((el, i) => {
+                    const dist = Math.hypot(p.x - el.x, p.y - el.y);
+                    if (dist < bestDist) {
+                        best = i;
+                        bestDist = dist;
+                    }
+                });
+                if (best >= 0) {
+                    isDragging = true;
+                    dragTarget = { type: 'element', id: best };
+                }
+            }
         });
 
         canvas.addEventListener('mousemove', (e) => {
@@ -306,10 +1083,23 @@ export class AppController {
                     rx.x = p.x;
                     rx.y = p.y;
                 }
+            } else if (dragTarget.type === 'interferer') {
+                const intf = this.interferers.get(dragTarget.id);
+                if (intf) {
+                    intf.x = p.x;
+                    intf.y = p.y;
+                }
+            } else if (dragTarget.type === 'element') {
+                const array = this.context.getArray(this.selectedArrayId);
+                if (array) array.moveCustomElement(dragTarget.id, p.x, p.y);
+            } else if (dragTarget.type === 'reflector') {
+                this._moveReflector(dragTarget, p);
+                dragTarget.last = p;
             }
         });
 
         canvas.addEventListener('mouseup', () => {
+            if (dragTarget && dragTarget.type === 'element') this._refreshElementList();
             isDragging = false;
             dragTarget = null;
         });
@@ -373,6 +1163,208 @@ export class AppController {
         }
     }
 
+    /**
+     * Sync the apodization picker and show only the parameters the window uses
+     * @param {PhasedArray} array
+     */
+    _updateWindowControls(array) {
+        const win = array.window;
+
+        const windowSelect = document.getElementById('sel-window');
+        if (windowSelect) windowSelect.value = win.type;
+
+        const show = (id, visible) => {
+            const el = document.getElementById(id);
+            if (el) el.style.display = visible ? 'block' : 'none';
+        };
+        show('grp-window-sll', win.type === 'chebyshev' || win.type === 'taylor');
+        show('grp-window-nbar', win.type === 'taylor');
+        show('grp-window-beta', win.type === 'kaiser');
+
+        const setSlider = (id, val, text) => {
+            const el = document.getElementById(id);
+            if (el) el.value = val;
+            const txt = document.getElementById(id.replace('sld', 'val'));
+            if (txt) txt.innerText = text;
+        };
+        setSlider('sld-sll', win.sidelobeLevel, '-' + win.sidelobeLevel + ' dB');
+        setSlider('sld-nbar', win.nbar, String(win.nbar));
+        setSlider('sld-beta', win.beta, win.beta.toFixed(1));
+    }
+
+    /**
+     * Sync the steering hardware picker, the phase bit count and the RF architecture
+     * @param {PhasedArray} array
+     */
+    _updateHardwareControls(array) {
+        const hw = array.hardware;
+
+        const hardwareSelect = document.getElementById('sel-hardware');
+        if (hardwareSelect) hardwareSelect.value = hw.type;
+
+        const grpBits = document.getElementById('grp-hardware-bits');
+        if (grpBits) grpBits.style.display = hw.type === 'quantized' ? 'block' : 'none';
+
+        const bitsSlider = document.getElementById('sld-bits');
+        if (bitsSlider) bitsSlider.value = hw.bits;
+        const valBits = document.getElementById('val-bits');
+        if (valBits) valBits.innerText = `${hw.bits} (${(360 / Math.pow(2, hw.bits)).toFixed(1)}°)`;
+
+        const arch = array.architecture;
+        const architectureSelect = document.getElementById('sel-architecture');
+        if (architectureSelect) architectureSelect.value = arch.type;
+
+        const grpChains = document.getElementById('grp-rf-chains');
+        if (grpChains) grpChains.style.display = arch.type === 'hybrid' ? 'block' : 'none';
+
+        // Subarrays split the columns, so there are at most as many chains
+        const columns = array.geometry === 'planar' ? array.numElements : array.elementCount;
+        const chains = Math.min(arch.rfChains, columns);
+        const chainsSlider = document.getElementById('sld-rf-chains');
+        if (chainsSlider) {
+            chainsSlider.max = columns;
+            chainsSlider.value = chains;
+        }
+        const valChains = document.getElementById('val-rf-chains');
+        if (valChains) valChains.innerText = `${chains} × ${Math.ceil(columns / chains)}`;
+    }
+
+    /**
+     * Sync the excitation picker and show the pulse parameters it uses
+     * @param {PhasedArray} array
+     */
+    _updateExcitationControls(array) {
+        const exc = array.excitation;
+
+        const excitationSelect = document.getElementById('sel-excitation');
+        if (excitationSelect) excitationSelect.value = exc.type;
+
+        const grpExcitation = document.getElementById('grp-excitation');
+        if (grpExcitation) grpExcitation.style.display = exc.type === 'cw' ? 'none' : 'block';
+        const grpChirp = document.getElementById('grp-chirp');
+        if (grpChirp) grpChirp.style.display = exc.type === 'chirp' ? 'block' : 'none';
+
+        const setSlider = (id, val, text) => {
+            const el = document.getElementById(id);
+            if (el) el.value = val;
+            const txt = document.getElementById(id.replace('sld', 'val'));
+            if (txt) txt.innerText = text;
+        };
+        setSlider('sld-bandwidth', exc.bandwidth, Math.round(exc.bandwidth * 100) + '%');
+        setSlider('sld-duration', exc.duration, exc.duration + ' cyc');
+        setSlider('sld-period', exc.period, exc.period + ' cyc');
+    }
+
+    /**
+     * Sync the transmit sequence picker and show the parameters its type uses
+     * @param {PhasedArray} array
+     */
+    _updateSequenceControls(array) {
+        const seq = array.sequence;
+
+        const sequenceSelect = document.getElementById('sel-sequence');
+        if (sequenceSelect) sequenceSelect.value = seq.type;
+
+        const show = (id, visible) => {
+            const el = document.getElementById(id);
+            if (el) el.style.display = visible ? 'block' : 'none';
+        };
+        show('grp-sequence', seq.type !== 'single');
+        show('grp-seq-count', seq.type === 'plane-wave' || seq.type === 'synthetic-aperture');
+        show('grp-seq-span', seq.type === 'plane-wave');
+        show('grp-seq-aperture', seq.type === 'synthetic-aperture');
+        show('grp-seq-dwell', array.excitation.type === 'cw');
+        show('grp-seq-custom', seq.type === 'custom');
+
+        const setSlider = (id, val, text) => {
+            const el = document.getElementById(id);
+            if (el) el.value = val;
+            const txt = document.getElementById(id.replace('sld', 'val'));
+            if (txt) txt.innerText = text;
+        };
+        setSlider('sld-seq-count', seq.count, seq.count);
+        setSlider('sld-seq-span', seq.span, seq.span + '°');
+        setSlider('sld-seq-aperture', seq.aperture, seq.aperture + ' el');
+        setSlider('sld-seq-dwell', seq.dwell, seq.dwell + ' cyc');
+
+        const text = document.getElementById('txt-sequence');
+        if (text && seq.type === 'custom' && document.activeElement !== text) {
+            text.value = formatSequenceCsv(array.getTransmitEvents());
+        }
+    }
+
+    /**
+     * Step each array through its transmit sequence: event i fires during the
+     * i-th dwell (one pulse repetition) of the animation clock, cyclically
+     */
+    _updateTransmitSequences() {
+        this.context.getAllArrays().forEach(array => {
+            const label = array.id === this.selectedArrayId ? document.getElementById('val-sequence-event') : null;
+            if (array.sequence.type === 'single') {
+                if (array.transmitEvent) array.transmitEvent = null;
+                if (label) label.innerText = '';
+                return;
+            }
+
+            const events = array.getTransmitEvents();
+            const dwell = sequenceDwell(array.sequence, array.excitation, array.frequency);
+            const index = Math.floor(Math.max(0, this.time) / dwell) % events.length;
+            if (JSON.stringify(events[index]) !== JSON.stringify(array.transmitEvent)) {
+                array.transmitEvent = events[index];
+            }
+            if (label) label.innerText = `${index + 1} / ${events.length}`;
+        });
+    }
+
+    /**
+     * Sync the element pattern picker and show the parameter the pattern uses
+     * @param {PhasedArray} array
+     */
+    _updateElementPatternControls(array) {
+        const pattern = array.getElementPattern();
+
+        const patternSelect = document.getElementById('sel-element-pattern');
+        if (patternSelect) patternSelect.value = pattern.type;
+
+        const grpExp = document.getElementById('grp-pattern-exp');
+        if (grpExp) grpExp.style.display = pattern.type === 'cosine' ? 'block' : 'none';
+        const grpWidth = document.getElementById('grp-pattern-width');
+        if (grpWidth) grpWidth.style.display = pattern.type === 'piston' ? 'block' : 'none';
+
+        const setSlider = (id, val, text) => {
+            const el = document.getElementById(id);
+            if (el) el.value = val;
+            const txt = document.getElementById(id.replace('sld', 'val'));
+            if (txt) txt.innerText = text;
+        };
+        setSlider('sld-pattern-exp', pattern.exponent, pattern.exponent.toFixed(1));
+        setSlider('sld-pattern-width', pattern.width, pattern.width.toFixed(2) + 'λ');
+    }
+
+    /**
+     * Sync the layout picker and show the parameters the layout uses
+     * @param {PhasedArray} array
+     */
+    _updateLayoutControls(array) {
+        const layout = array.layout;
+
+        const layoutSelect = document.getElementById('sel-layout');
+        if (layoutSelect) layoutSelect.value = layout.type;
+
+        const grpRandom = document.getElementById('grp-layout-random');
+        if (grpRandom) grpRandom.style.display = layout.type === 'random' ? 'block' : 'none';
+
+        const setSlider = (id, val, text) => {
+            const el = document.getElementById(id);
+            if (el) el.value = val;
+            const txt = document.getElementById(id.replace('sld', 'val'));
+            if (txt) txt.innerText = text;
+        };
+        setSlider('sld-fill', layout.fill, Math.round(layout.fill * 100) + '%');
+        setSlider('sld-seed', layout.seed, String(layout.seed));
+
+    }
+
     _formatFrequency(val) {
         if (!this.physicsState) return val.toFixed(1) + 'x';
         const realHz = val * this.physicsState.baseFrequency;
@@ -383,6 +1375,121 @@ export class AppController {
         return Math.round(realHz) + ' Hz';
     }
 
+    /**
+     * Switch the propagation medium and push its absorption to every array
+     * @param {Object} medium - Resolved medium {type, attenuation, power}
+     */
+    _setMedium(medium) {
+        this.medium = medium;
+        this.context.setAbsorption(normalizeAbsorption(medium, this.physicsState));
+        this._syncMediumControls();
+    }
+
+    /**
+     * Replace the layers below the background medium
+     * @param {Array<{name: string, depth: number, speedOfSound: number}>} layers - Depth in meters, speed in m/s
+     */
+    _setLayers(layers) {
+        this.context.setLayers(normalizeLayers(layers, this.physicsState));
+
+        const text = document.getElementById('txt-layers');
+        if (text) {
+            text.value = formatLayerCsv((this.context.globalSettings.layers || []).map(l => ({
+                name: l.name,
+                depth: l.depth,
+                speedOfSound: l.speed * this.physicsState.speedOfSound
+            })));
+        }
+    }
+
+    /**
+     * Reflect the medium in its controls, with the attenuation at the base frequency
+     */
+    _syncMediumControls() {
+        const medium = this.medium;
+
+        const mediumSelect = document.getElementById('sel-medium');
+        if (mediumSelect) mediumSelect.value = medium.type;
+
+        const attenSld = document.getElementById('sld-atten');
+        if (attenSld) {
+            attenSld.value = medium.attenuation > 0 ? Math.log10(medium.attenuation) : attenSld.min;
+        }
+        const attenVal = document.getElementById('val-atten');
+        if (attenVal) attenVal.innerText = `${+medium.attenuation.toPrecision(2)} dB/(cm·MHz^y)`;
+
+        const powerSld = document.getElementById('sld-atten-power');
+        if (powerSld) powerSld.value = medium.power;
+        const powerVal = document.getElementById('val-atten-power');
+        if (powerVal) powerVal.innerText = medium.power.toFixed(2);
+
+        const lossVal = document.getElementById('val-medium-loss');
+        if (lossVal) {
+            const loss = attenuationAt(medium, this.physicsState.baseFrequency);
+            lossVal.innerText = `${+loss.toPrecision(2)} dB/cm @ ${this._formatFrequency(1)}`;
+        }
+    }
+
+    /**
+     * Reflect globalSettings.displayMode / dynamicRange in the controls and legend
+     */
+    _syncDisplayControls() {
+        const settings = this.context.globalSettings;
+        const isIntensity = settings.displayMode === 1;
+
+        const displayMode = document.getElementById('display-mode');
+        if (displayMode) displayMode.value = String(settings.displayMode);
+
+        const rangeSld = document.getElementById('sld-range');
+        if (rangeSld) rangeSld.value = settings.dynamicRange;
+        const rangeVal = document.getElementById('val-range');
+        if (rangeVal) rangeVal.innerText = settings.dynamicRange + ' dB';
+
+        // Profile depth slider spans the visible field depth
+        const profileSld = document.getElementById('sld-profile');
+        if (profileSld) {
+            profileSld.min = (settings.fieldCenterY - settings.fieldHeight / 2).toFixed(1);
+            profileSld.max = (settings.fieldCenterY + settings.fieldHeight / 2).toFixed(1);
+            profileSld.value = settings.profileDepth;
+        }
+        const profileVal = document.getElementById('val-profile');
+        if (profileVal) profileVal.innerText = settings.profileDepth.toFixed(1) + 'λ';
+
+        // Slice height spans as far above/below the field plane as the field is deep
+        const sliceSld = document.getElementById('sld-slice');
+        if (sliceSld) {
+            sliceSld.min = (-settings.fieldHeight / 2).toFixed(1);
+            sliceSld.max = (settings.fieldHeight / 2).toFixed(1);
+            sliceSld.value = settings.sliceHeight;
+        }
+        const sliceVal = document.getElementById('val-slice');
+        if (sliceVal) sliceVal.innerText = settings.sliceHeight.toFixed(1) + 'λ';
+
+        const speedSld = document.getElementById('sld-speed');
+        if (speedSld) speedSld.value = settings.timeScale;
+
+        const legendBar = document.getElementById('legend-bar');
+        if (legendBar) legendBar.classList.toggle('intensity', isIntensity);
+        const legendTop = document.getElementById('legend-top');
+        if (legendTop) legendTop.innerText = isIntensity ? '0 dB' : '+';
+        const legendBottom = document.getElementById('legend-bottom');
+        if (legendBottom) legendBottom.innerText = isIntensity ? `-${settings.dynamicRange} dB` : '-';
+    }
+
+    /**
+     * Switch the beam analysis quadrant between its views
+     * @param {string} view - Matches a data-view attribute on the tabs/canvases
+     */
+    _setAnalysisView(view) {
+        this.analysisView = view;
+        document.querySelectorAll('.view-tab').forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.view === view);
+        });
+        document.querySelectorAll('.view-canvas').forEach(cvs => {
+            cvs.style.display = cvs.dataset.view === view ? 'block' : 'none';
+        });
+    }
+
     _updateArrayFromInputs() {
         const array = this.context.getArray(this.selectedArrayId);
         if (!array) return;
@@ -401,6 +1508,9 @@ export class AppController {
         if (!scenario) return;
 
         this.currentScenarioKey = key;
+        const scenarioSelect = document.getElementById('scenario-select');
+        if (scenarioSelect) scenarioSelect.value = key;
+
         this.context.clearArrays();
         this.targets.clear(); // Clear smoothing targets
 
@@ -409,12 +1519,18 @@ export class AppController {
         let baseFreq = 40000;
         let speedOfSound = 343;
 
+        const medium = resolveMedium(scenario.globalSettings && scenario.globalSettings.medium);
+        const mediumPreset = getMediumPreset(medium.type);
         if (scenario.globalSettings && scenario.globalSettings.speedOfSound) {
             speedOfSound = scenario.globalSettings.speedOfSound;
+        } else if (mediumPreset && mediumPreset.speedOfSound) {
+            speedOfSound = mediumPreset.speedOfSound;
         }
 
         // Find the first array's frequency to use as base
-        if (scenario.arrays && scenario.arrays.length > 0) {
+        if (scenario.baseFrequency) {
+            baseFreq = scenario.baseFrequency;
+        } else if (scenario.arrays && scenario.arrays.length > 0) {
             baseFreq = scenario.arrays[0].frequency;
         }
 
@@ -434,6 +1550,8 @@ export class AppController {
             speedOfSound: 1.0, // Normalized c=1
             timeScale: 1.0
         };
+        this._setMedium(medium);
+        this._setLayers((scenario.globalSettings && scenario.globalSettings.layers) || []);
 
         if (scenario.globalSettings) {
             if (scenario.globalSettings.fieldWidth)
@@ -444,7 +1562,20 @@ export class AppController {
                 this.context.globalSettings.fieldCenterX = scenario.globalSettings.fieldCenterX * scaleFactor;
             if (scenario.globalSettings.fieldCenterY !== undefined)
                 this.context.globalSettings.fieldCenterY = scenario.globalSettings.fieldCenterY * scaleFactor;
+            if (scenario.globalSettings.displayMode !== undefined)
+                this.context.globalSettings.displayMode = scenario.globalSettings.displayMode;
+            if (scenario.globalSettings.dynamicRange)
+                this.context.globalSettings.dynamicRange = scenario.globalSettings.dynamicRange;
+            if (scenario.globalSettings.noiseFloor !== undefined)
+                this.context.globalSettings.noiseFloor = scenario.globalSettings.noiseFloor;
+            // Pulsed scenes run faster so the wavepacket crosses the field in a few seconds
+            if (scenario.globalSettings.timeScale)
+                this.context.globalSettings.timeScale = scenario.globalSettings.timeScale;
+            if (scenario.globalSettings.profileDepth !== undefined)
+                this.context.globalSettings.profileDepth = scenario.globalSettings.profileDepth * scaleFactor;
+            this.context.globalSettings.sliceHeight = (scenario.globalSettings.sliceHeight || 0) * scaleFactor;
         }
+        this._syncDisplayControls();
 
         // 3. Configure Arrays (Normalized)
         if (scenario.arrays) {
@@ -454,6 +1585,7 @@ export class AppController {
 
                 // Normalize Spatial Properties
                 if (normConf.pitch) normConf.pitch *= scaleFactor;
+                if (normConf.rowPitch) normConf.rowPitch *= scaleFactor;
                 if (normConf.position) {
                     normConf.position = {
                         x: normConf.position.x * scaleFactor,
@@ -461,9 +1593,30 @@ export class AppController {
                     };
                 }
                 if (normConf.curvatureRadius) normConf.curvatureRadius *= scaleFactor;
+                if (normConf.customElements) {
+                    normConf.customElements = normConf.customElements.map(p => ({
+                        x: p.x * scaleFactor,
+                        y: p.y * scaleFactor
+                    }));
+                }
+                if (normConf.elementPattern && normConf.elementPattern.width) {
+                    normConf.elementPattern = {
+                        ...normConf.elementPattern,
+                        width: normConf.elementPattern.width * scaleFactor
+                    };
+                }
                 if (normConf.focalDistance && normConf.focalDistance !== Infinity) {
                     normConf.focalDistance *= scaleFactor;
                 }
+                if (normConf.sequence && normConf.sequence.events) {
+                    normConf.sequence = {
+                        ...normConf.sequence,
+                        events: normConf.sequence.events.map(event => ({
+                            ...event,
+                            focalDistance: event.focalDistance > 0 ? event.focalDistance * scaleFactor : Infinity
+                        }))
+                    };
+                }
 
                 // Normalize Frequency/Speed
                 // If the array freq matches base, it becomes 1.0
@@ -471,10 +1624,95 @@ export class AppController {
                 normConf.frequency = conf.frequency / baseFreq;
                 normConf.speedOfSound = 1.0;
 
-                const arr = new PhasedArray(normConf);
-                this.context.addArray(arr);
+                const arr = new PhasedArray(normConf);
+                this.context.addArray(arr);
+            });
+        }
+
+        // 4. Interferers (Normalized)
+        this.interferers.clear();
+        if (scenario.interferers) {
+            scenario.interferers.forEach(conf => {
+                const modulation = conf.modulation ? { ...conf.modulation } : undefined;
+                if (modulation && modulation.rate) modulation.rate /= baseFreq;
+
+                this._addInterferer({
+                    name: conf.name,
+                    x: conf.position.x * scaleFactor,
+                    y: conf.position.y * scaleFactor,
+                    power: conf.power,
+                    frequency: conf.frequency ? conf.frequency / baseFreq : 1.0,
+                    modulation
+                });
+            });
+        }
+        this._refreshInterfererDropdown();
+        this._selectInterferer(this.interferers.keys().next().value || null);
+
+        // 5. Reflectors (Normalized)
+        this.reflectors.clear();
+        this.selectedReflectorId = null;
+        (scenario.walls || []).slice(0, MAX_WALLS).forEach(conf => {
+            this._addReflector('wall', {
+                name: conf.name,
+                x1: conf.start.x * scaleFactor,
+                y1: conf.start.y * scaleFactor,
+                x2: conf.end.x * scaleFactor,
+                y2: conf.end.y * scaleFactor,
+                reflection: conf.reflection
+            });
+        });
+        (scenario.scatterers || []).forEach(conf => {
+            this._addReflector('scatterer', {
+                name: conf.name,
+                x: conf.position.x * scaleFactor,
+                y: conf.position.y * scaleFactor,
+                reflection: conf.reflection
+            });
+        });
+        this._syncReflectors();
+        this._refreshReflectorDropdown();
+        this._selectReflector(this.reflectors.keys().next().value || null);
+
+        // 6. Probes (kept from the previous scene unless the scenario defines them)
+        if (scenario.receivers && scenario.receivers.length > 0) {
+            this.receivers.clear();
+            scenario.receivers.forEach((conf, i) => {
+                const id = 'rx' + (i + 1);
+                this.receivers.set(id, {
+                    id,
+                    name: conf.name || 'Probe ' + (i + 1),
+                    x: conf.position.x * scaleFactor,
+                    y: conf.position.y * scaleFactor
+                });
+            });
+            this._refreshRxDropdown();
+            this._selectReceiver(this.receivers.keys().next().value);
+        }
+
+        // 7. B-mode imaging
+        this.imaging = { ...DEFAULT_IMAGING, ...(scenario.imaging || {}) };
+        this._syncImagingControls();
+
+        // 8. DOA estimation
+        this.doa = { ...DEFAULT_DOA, ...(scenario.doa || {}) };
+        this._syncDoaControls();
+
+        // 9. Beamformer
+        this.precoding.method = (scenario.precoding && scenario.precoding.method) || DEFAULT_PRECODING.method;
+        const precoderSelect = document.getElementById('sel-precoder');
+        if (precoderSelect) precoderSelect.value = this.precoding.method;
+        if (scenario.mvdr) {
+            Object.assign(this.adaptive, scenario.mvdr);
+            [['sld-snr', 'snr'], ['sld-inr', 'inr'], ['sld-loading', 'diagonalLoading']].forEach(([id, prop]) => {
+                const el = document.getElementById(id);
+                if (el) el.value = this.adaptive[prop];
+                const labelEl = document.getElementById(id.replace('sld', 'val'));
+                if (labelEl) labelEl.innerText = this.adaptive[prop] + ' dB';
             });
         }
+        this._setAdaptiveEnabled(scenario.beamformer === 'mvdr');
+        this._setPrecodingEnabled(scenario.beamformer === 'mu-mimo');
 
         this._refreshArrayDropdown();
         const allArrays = this.context.getAllArrays();
@@ -483,6 +1721,117 @@ export class AppController {
         }
     }
 
+    _refreshScenarioDropdown() {
+        const sel = document.getElementById('scenario-select');
+        if (!sel) return;
+
+        sel.innerHTML = '';
+        let importedGroup = null;
+        getScenarioList().forEach(sc => {
+            const opt = document.createElement('option');
+            opt.value = sc.key;
+            opt.innerText = sc.name;
+            if (sc.imported) {
+                if (!importedGroup) {
+                    importedGroup = document.createElement('optgroup');
+                    importedGroup.label = 'Imported';
+                    sel.appendChild(importedGroup);
+                }
+                importedGroup.appendChild(opt);
+            } else {
+                sel.appendChild(opt);
+            }
+        });
+        if (this.currentScenarioKey) sel.value = this.currentScenarioKey;
+    }
+
+    /**
+     * Register a scene (file or shared link), list it in the dropdown and load it
+     * @param {string|Object} source - Scene JSON text or object
+     */
+    _importScene(source) {
+        const key = registerScenario(parseScene(source));
+        this.currentScenarioKey = key;
+        this._refreshScenarioDropdown();
+        this.loadScenario(key);
+    }
+
+    _currentScene() {
+        const scenario = getScenario(this.currentScenarioKey);
+        return exportScene({
+            context: this.context,
+            receivers: this.receivers.values(),
+            interferers: this.interferers.values(),
+            reflectors: this.reflectors.values(),
+            physicsState: this.physicsState,
+            adaptive: this.adaptive,
+            precoding: this.precoding,
+            imaging: this.imaging,
+            doa: this.doa,
+            medium: this.medium
+        }, scenario ? scenario.name : undefined);
+    }
+
+    _exportSceneFile() {
+        const scene = this._currentScene();
+        const blob = new Blob([JSON.stringify(scene, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = scene.name.replace(/[^A-Za-z0-9]+/g, '_') + '.json';
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    _importSceneFile(file) {
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                this._importScene(reader.result);
+            } catch (e) {
+                alert(`Cannot import ${file.name}: ${e.message}`);
+            }
+        };
+        reader.readAsText(file);
+    }
+
+    /**
+     * Put the current scene in the URL hash and copy the link
+     * @param {HTMLElement} button - Flashes a confirmation
+     */
+    _shareSceneLink(button) {
+        const hash = encodeSceneHash(this._currentScene());
+        // replaceState does not fire hashchange, so the scene is not reloaded
+        history.replaceState(null, '', hash);
+
+        const label = button.innerText;
+        const done = (text) => {
+            button.innerText = text;
+            setTimeout(() => { button.innerText = label; }, 1500);
+        };
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(location.href).then(() => done('Link Copied'), () => done('Link in URL'));
+        } else {
+            done('Link in URL');
+        }
+    }
+
+    /**
+     * Load a scene shared through the URL hash
+     * @returns {boolean} True if the hash held a scene
+     */
+    _loadSceneFromHash() {
+        try {
+            const scene = decodeSceneHash(location.hash);
+            if (!scene) return false;
+            this._importScene(scene);
+            return true;
+        } catch (e) {
+            alert(e.message);
+            return false;
+        }
+    }
+
     _refreshArrayDropdown() {
         const sel = document.getElementById('array-select');
         if (!sel) return;
@@ -523,6 +1872,10 @@ export class AppController {
         setSlider('sld-curve', array.curvatureRadius, 'val-curve', v => v + 'λ');
         setSlider('sld-freq', array.frequency, 'val-freq', v => v.toFixed(1) + 'x');
         setSlider('sld-steer', array.steeringAngle, 'val-steer', v => v + '°');
+        setSlider('sld-rows', array.numRows, 'val-rows', v => v);
+        setSlider('sld-row-pitch', array.rowPitch, 'val-row-pitch', v => v.toFixed(1) + 'λ');
+        setSlider('sld-elev', array.elevationAngle, 'val-elev', v => v + '°');
+        setSlider('sld-rings', array.numRings, 'val-rings', v => v);
 
         // New Controls Update
         setSlider('sld-pos-x', array.position.x, 'val-pos-x', v => v.toFixed(1) + 'λ');
@@ -553,20 +1906,56 @@ export class AppController {
 
         // Update pitch slider state based on element count
         this._updatePitchSliderState(array.numElements);
+        this._updateWindowControls(array);
+        this._updateLayoutControls(array);
+        this._updateHardwareControls(array);
+        this._updateExcitationControls(array);
+        this._updateSequenceControls(array);
+        this._updateElementPatternControls(array);
 
-        const radLin = document.getElementById('geo-lin');
-        const radCur = document.getElementById('geo-cur');
-        if (radLin && radCur) {
-            if (array.geometry === 'curved') radCur.checked = true;
-            else radLin.checked = true;
-        }
+        const chkRefraction = document.getElementById('chk-refraction');
+        if (chkRefraction) chkRefraction.checked = array.refractionCorrection;
 
-        const grpCurve = document.getElementById('grp-curve');
-        if (grpCurve) grpCurve.style.display = array.geometry === 'curved' ? 'flex' : 'none';
+        const radio = document.querySelector(`input[name="geometry"][value="${array.geometry}"]`);
+        if (radio) radio.checked = true;
+        this._updateGeometryControls(array.geometry);
+        this._refreshElementList();
 
         this._updateInfoPanel(array);
     }
 
+    /**
+     * Fill the coordinate list of the selected custom array
+     */
+    _refreshElementList() {
+        const text = document.getElementById('txt-elements');
+        const array = this.context.getArray(this.selectedArrayId);
+        if (!text || !array || array.geometry !== 'custom') return;
+        text.value = formatElementCsv(array.customElements || []);
+    }
+
+    /**
+     * Show the controls that apply to a geometry
+     * @param {string} geometry - One of PhasedArray.GEOMETRIES
+     */
+    _updateGeometryControls(geometry) {
+        const grpCurve = document.getElementById('grp-curve');
+        if (grpCurve) grpCurve.style.display = geometry === 'curved' ? 'flex' : 'none';
+
+        const grpPlanar = document.getElementById('grp-planar');
+        if (grpPlanar) grpPlanar.style.display = geometry === 'planar' ? 'block' : 'none';
+
+        const grpRings = document.getElementById('grp-rings');
+        if (grpRings) grpRings.style.display = geometry === 'rings' ? 'block' : 'none';
+
+        const grpCustom = document.getElementById('grp-custom');
+        if (grpCustom) grpCustom.style.display = geometry === 'custom' ? 'block' : 'none';
+
+        const labels = { planar: 'Columns', rings: 'Outer Ring' };
+        const lblElem = document.getElementById('lbl-elem');
+        if (lblElem) lblElem.innerText = labels[geometry] || 'Elements';
+    }
+
     _addNewArray() {
         // Default new array uses normalized physics
         // We want it to match the current scenario's scale
@@ -652,6 +2041,338 @@ export class AppController {
         this._selectReceiver(nextRx);
     }
 
+    /**
+     * Add an interferer (jammer) point source
+     * @param {Object} conf - Optional {name, x, y, power}; power is INR in dB
+     */
+    _addInterferer(conf = {}) {
+        const settings = this.context.globalSettings;
+        const id = 'intf' + (this.interferers.size + 1 + Math.floor(Math.random() * 1000));
+        this.interferers.set(id, createInterferer(id, {
+            ...conf,
+            name: conf.name || 'Jammer ' + (this.interferers.size + 1),
+            x: conf.x !== undefined ? conf.x : settings.fieldCenterX + settings.fieldWidth / 4,
+            y: conf.y !== undefined ? conf.y : settings.fieldCenterY
+        }));
+        this._refreshInterfererDropdown();
+        this._selectInterferer(id);
+    }
+
+    _refreshInterfererDropdown() {
+        const sel = document.getElementById('interferer-select');
+        if (!sel) return;
+        sel.innerHTML = '';
+        this.interferers.forEach(intf => {
+            const opt = document.createElement('option');
+            opt.value = intf.id;
+            opt.text = intf.name;
+            sel.appendChild(opt);
+        });
+        if (this.selectedInterfererId) sel.value = this.selectedInterfererId;
+    }
+
+    _selectInterferer(id) {
+        this.selectedInterfererId = id;
+        const sel = document.getElementById('interferer-select');
+        if (sel && id) sel.value = id;
+
+        const intf = this.interferers.get(id);
+        const grp = document.getElementById('grp-interferer');
+        if (grp) grp.style.display = intf ? 'block' : 'none';
+        if (!intf) return;
+
+        const setSlider = (sldId, val, text) => {
+            const el = document.getElementById(sldId);
+            if (el) el.value = val;
+            const txt = document.getElementById(sldId.replace('sld', 'val'));
+            if (txt) txt.innerText = text;
+        };
+        setSlider('sld-intf-power', intf.power, intf.power + ' dB');
+        setSlider('sld-intf-freq', intf.frequency, this._formatFrequency(intf.frequency));
+        setSlider('sld-intf-rate', intf.modulation.rate, intf.modulation.rate.toFixed(2) + 'x');
+
+        const modSel = document.getElementById('sel-intf-mod');
+        if (modSel) modSel.value = intf.modulation.type;
+        const grpRate = document.getElementById('grp-intf-rate');
+        if (grpRate) grpRate.style.display = intf.modulation.type === 'am' ? 'block' : 'none';
+    }
+
+    _removeInterferer() {
+        if (!this.selectedInterfererId) return;
+        this.interferers.delete(this.selectedInterfererId);
+        this._refreshInterfererDropdown();
+        this._selectInterferer(this.interferers.keys().next().value || null);
+    }
+
+    /**
+     * Add a reflecting wall or point scatterer in the middle of the field
+     * @param {string} type - 'wall' or 'scatterer'
+     * @param {Object} conf - Optional overrides, see Reflectors.createWall / createScatterer
+     */
+    _addReflector(type, conf = {}) {
+        const settings = this.context.globalSettings;
+        const walls = Array.from(this.reflectors.values()).filter(r => r.type === 'wall').length;
+        if (type === 'wall' && walls >= MAX_WALLS) {
+            alert(`At most ${MAX_WALLS} walls are supported`);
+            return;
+        }
+
+        const id = 'refl' + (this.reflectors.size + 1 + Math.floor(Math.random() * 1000));
+        const cx = settings.fieldCenterX;
+        const cy = settings.fieldCenterY;
+        const reflector = type === 'wall'
+            ? createWall(id, {
+                name: 'Wall ' + (walls + 1),
+                x1: cx - settings.fieldWidth / 4,
+                y1: cy + settings.fieldHeight / 4,
+                x2: cx + settings.fieldWidth / 4,
+                y2: cy + settings.fieldHeight / 4,
+                ...conf
+            })
+            : createScatterer(id, {
+                name: 'Scatterer ' + (this.reflectors.size - walls + 1),
+                x: cx,
+                y: cy,
+                ...conf
+            });
+        this.reflectors.set(id, reflector);
+        this._syncReflectors();
+        this._refreshReflectorDropdown();
+        this._selectReflector(id);
+    }
+
+    _removeReflector() {
+        if (!this.selectedReflectorId) return;
+        this.reflectors.delete(this.selectedReflectorId);
+        this._syncReflectors();
+        this._refreshReflectorDropdown();
+        this._selectReflector(this.reflectors.keys().next().value || null);
+    }
+
+    _refreshReflectorDropdown() {
+        const sel = document.getElementById('reflector-select');
+        if (!sel) return;
+        sel.innerHTML = '';
+        this.reflectors.forEach(r => {
+            const opt = document.createElement('option');
+            opt.value = r.id;
+            opt.text = r.name;
+            sel.appendChild(opt);
+        });
+        if (this.selectedReflectorId) sel.value = this.selectedReflectorId;
+    }
+
+    _selectReflector(id) {
+        this.selectedReflectorId = id;
+        const sel = document.getElementById('reflector-select');
+        if (sel && id) sel.value = id;
+
+        const reflector = this.reflectors.get(id);
+        const grp = document.getElementById('grp-reflector');
+        if (grp) grp.style.display = reflector ? 'block' : 'none';
+        if (!reflector) return;
+
+        // Walls may invert the wave (pressure-release surface); scatterers only weaken it
+        const sld = document.getElementById('sld-reflection');
+        if (sld) {
+            sld.min = reflector.type === 'wall' ? -1 : 0;
+            sld.value = reflector.reflection;
+        }
+        const val = document.getElementById('val-reflection');
+        if (val) val.innerText = reflector.reflection.toFixed(2);
+    }
+
+    /**
+     * Push the reflector list to the simulation after any change
+     */
+    _syncReflectors() {
+        const list = Array.from(this.reflectors.values(), r => ({ ...r }));
+        this.context.setReflectors(list.length ? list : null);
+    }
+
+    /**
+     * Reflector handle under a point
+     * @returns {{id: string, part: string}|null} part is 'point', 'start', 'end' or 'wall'
+     */
+    _hitTestReflector(x, y) {
+        const hitRadius = this.context.globalSettings.fieldWidth * 0.03;
+        let along = null;
+        for (const [id, r] of this.reflectors) {
+            if (r.type === 'scatterer') {
+                if (Math.hypot(x - r.x, y - r.y) < hitRadius) return { id, part: 'point' };
+                continue;
+            }
+            if (Math.hypot(x - r.x1, y - r.y1) < hitRadius) return { id, part: 'start' };
+            if (Math.hypot(x - r.x2, y - r.y2) < hitRadius) return { id, part: 'end' };
+
+            // Distance to the segment
+            const dx = r.x2 - r.x1;
+            const dy = r.y2 - r.y1;
+            const t = Math.max(0, Math.min(1, ((x - r.x1) * dx + (y - r.y1) * dy) / (dx * dx + dy * dy)));
+            if (!along && Math.hypot(x - r.x1 - t * dx, y - r.y1 - t * dy) < hitRadius / 2) {
+                along = { id, part: 'wall' };
+            }
+        }
+        return along;
+    }
+
+    /**
+     * Drag a reflector handle to a point
+     * @param {{id: string, part: string, last: {x: number, y: number}}} target
+     */
+    _moveReflector(target, p) {
+        const r = this.reflectors.get(target.id);
+        if (!r) return;
+        if (target.part === 'point') {
+            r.x = p.x;
+            r.y = p.y;
+        } else if (target.part === 'start') {
+            r.x1 = p.x;
+            r.y1 = p.y;
+        } else if (target.part === 'end') {
+            r.x2 = p.x;
+            r.y2 = p.y;
+        } else {
+            const dx = p.x - target.last.x;
+            const dy = p.y - target.last.y;
+            r.x1 += dx; r.y1 += dy;
+            r.x2 += dx; r.y2 += dy;
+        }
+        this._syncReflectors();
+    }
+
+    /**
+     * Turn MVDR weighting on/off; off restores geometric steering on every array
+     * @param {boolean} enabled
+     */
+    _setAdaptiveEnabled(enabled) {
+        if (enabled && this.precoding.enabled) this._setPrecodingEnabled(false);
+        this.adaptive.enabled = enabled;
+        this.adaptive.signatures.clear();
+        this.adaptive.sinr.clear();
+        this.adaptive.errors.clear();
+
+        if (!enabled) {
+            this.context.getAllArrays().forEach(arr => arr.setComplexWeights(null));
+        }
+
+        const chk = document.getElementById('chk-mvdr');
+        if (chk) chk.checked = enabled;
+    }
+
+    /**
+     * Re-solve MVDR weights for every enabled array whose inputs changed:
+     * desired source = selected probe, interferers = jammer list, plus noise
+     */
+    _updateAdaptiveWeights() {
+        const rx = this.receivers.get(this.selectedReceiverId);
+        if (!rx) return;
+
+        // Jammer strength in the covariance model comes from the INR setting
+        const jammers = Array.from(this.interferers.values()).map(intf => ({ x: intf.x, y: intf.y }));
+        const settings = {
+            snr: this.adaptive.snr,
+            inr: this.adaptive.inr,
+            snapshots: this.adaptive.snapshots,
+            diagonalLoading: this.adaptive.diagonalLoading,
+            seed: this.adaptive.seed
+        };
+
+        this.context.getAllArrays().forEach(arr => {
+            if (!arr.enabled) return;
+
+            // Look direction (for display only, the weights do the steering)
+            const dx = rx.x - arr.position.x;
+            const dy = rx.y - arr.position.y;
+            const lookAngle = Math.max(-90, Math.min(90, Math.atan2(dx, dy) * 180 / Math.PI));
+            arr.steeringAngle = lookAngle;
+
+            if (arr.id === this.selectedArrayId) {
+                const sld = document.getElementById('sld-steer');
+                const val = document.getElementById('val-steer');
+                if (sld) sld.value = lookAngle;
+                if (val) val.innerText = lookAngle.toFixed(1) + '°';
+            }
+
+            const { complexWeights, ...config } = arr.toJSON();
+            const { sliceHeight, absorption, layers, reflectors } = this.context.globalSettings;
+            const signature = JSON.stringify([
+                config, rx.x, rx.y, sliceHeight, absorption, layers, reflectors, jammers, settings
+            ]);
+            // A failed solve is not retried until its inputs change
+            if (this.adaptive.signatures.get(arr.id) === signature && (complexWeights || this.adaptive.errors.has(arr.id))) return;
+
+            try {
+                const desired = { x: rx.x, y: rx.y, z: this.context.globalSettings.sliceHeight };
+                const { weights, sinr } = computeMvdrWeights(arr, desired, jammers, settings);
+                arr.setComplexWeights(weights);
+                this.adaptive.sinr.set(arr.id, sinr);
+                this.adaptive.errors.delete(arr.id);
+            } catch (e) {
+                console.error('MVDR solve failed:', e);
+                arr.setComplexWeights(null);
+                this.adaptive.sinr.delete(arr.id);
+                this.adaptive.errors.set(arr.id, e.message);
+            }
+            this.adaptive.signatures.set(arr.id, signature);
+        });
+    }
+
+    /**
+     * Turn multi-user precoding on/off; off returns every array to a single beam
+     * @param {boolean} enabled
+     */
+    _setPrecodingEnabled(enabled) {
+        if (enabled && this.adaptive.enabled) this._setAdaptiveEnabled(false);
+        this.precoding.enabled = enabled;
+        this.precoding.signatures.clear();
+        this.precoding.sinr.clear();
+        this.precoding.sumRate = 0;
+        this.precoding.errors.clear();
+
+        if (!enabled) {
+            this.context.getAllArrays().forEach(arr => arr.setStreamWeights(null));
+        }
+
+        const chk = document.getElementById('chk-precoding');
+        if (chk) chk.checked = enabled;
+    }
+
+    /**
+     * Re-solve the precoders of every enabled array whose inputs changed, one
+     * stream per probe, then measure each user's SINR
+     */
+    _updatePrecoding() {
+        const settings = this.context.globalSettings;
+        const receivers = Array.from(this.receivers.values());
+        const users = receivers.map(rx => ({ x: rx.x, y: rx.y, z: settings.sliceHeight }));
+        const precoder = { method: this.precoding.method, noisePower: Math.pow(10, settings.noiseFloor / 10) };
+
+        this.context.getAllArrays().forEach(arr => {
+            if (!arr.enabled) return;
+
+            const { absorption, layers, reflectors } = settings;
+            const signature = JSON.stringify([arr.toJSON(), users, absorption, layers, reflectors, precoder]);
+            // A failed solve is not retried until its inputs change
+            if (this.precoding.signatures.get(arr.id) === signature && (arr.streamWeights || this.precoding.errors.has(arr.id))) return;
+
+            try {
+                arr.setComplexWeights(null);
+                arr.setStreamWeights(computeHybridPrecoder(arr, users, precoder));
+                this.precoding.errors.delete(arr.id);
+            } catch (e) {
+                console.error('Precoder solve failed:', e);
+                arr.setStreamWeights(null);
+                this.precoding.errors.set(arr.id, e.message);
+            }
+            this.precoding.signatures.set(arr.id, signature);
+        });
+
+        const result = multiUserSinr(this.context, users, this.interferers.values(), settings.noiseFloor);
+        this.precoding.sinr = new Map(receivers.map((rx, i) => [rx.id, result.users[i]]));
+        this.precoding.sumRate = result.sumRate;
+    }
+
     _animate() {
         requestAnimationFrame(() => this._animate());
 
@@ -659,40 +2380,19 @@ export class AppController {
         const dt = (now - this.lastTime) / 1000;
         this.lastTime = now;
 
-        // 0. ADAPTIVE TRACKING (MVDR Scenario)
-        if (this.currentScenarioKey === 'MVDR') {
-            const rx = this.receivers.get(this.selectedReceiverId);
-            if (rx) {
-                this.context.getAllArrays().forEach(arr => {
-                    if (!arr.enabled) return;
-
-                    // Calculate angle to receiver
-                    // atan2(dx, dy) gives angle from +Y axis (0 deg)
-                    // +X is +90 deg, -X is -90 deg
-                    const dx = rx.x - arr.position.x;
-                    const dy = rx.y - arr.position.y;
-
-                    // Convert to degrees
-                    let targetAngle = Math.atan2(dx, dy) * 180 / Math.PI;
-
-                    // Clamp to -90 to 90
-                    targetAngle = Math.max(-90, Math.min(90, targetAngle));
-
-                    // Apply directly (bypass smoothing for responsiveness)
-                    arr.steeringAngle = targetAngle;
-
-                    if (arr.id === this.selectedArrayId) {
-                        const sld = document.getElementById('sld-steer');
-                        const val = document.getElementById('val-steer');
-                        if (sld) sld.value = targetAngle;
-                        if (val) val.innerText = targetAngle.toFixed(1) + '°';
-                    }
-                });
-            }
+        // 0. ADAPTIVE WEIGHTS (MVDR)
+        if (this.adaptive.enabled) {
+            this._updateAdaptiveWeights();
+        }
+
+        // 0b. MULTI-USER PRECODING
+        if (this.precoding.enabled) {
+            this._updatePrecoding();
         }
 
         // 1. APPLY SMOOTHING
         this._smoothUpdate();
+        this._updateTransmitSequences();
 
         // 2. TIME STEP
         const chkWaves = document.getElementById('chk-waves');
@@ -701,15 +2401,55 @@ export class AppController {
         }
 
         // 3. RENDER
-        if (this.heatmapRenderer) this.heatmapRenderer.render(this.context, this.time);
-        if (this.beamPatternRenderer) this.beamPatternRenderer.render(this.context, this.selectedArrayId);
-        if (this.arrayVisRenderer) this.arrayVisRenderer.render(this.context, this.receivers, this.selectedReceiverId);
+        if (this.heatmapRenderer) {
+            this.heatmapRenderer.render(this.context, this.time, Array.from(this.interferers.values()));
+        }
+        if (this.analysisView === 'pattern' && this.beamPatternRenderer) {
+            this.beamPatternRenderer.render(this.context, this.selectedArrayId, this._getPatternMarkers());
+        }
+        if (this.analysisView === 'profile' && this.profileRenderer) {
+            const overlay = document.getElementById('overlay-canvas');
+            const aspect = overlay && overlay.height > 0 ? overlay.width / overlay.height : 1;
+            this.profileRenderer.render(this.context, this.context.globalSettings.profileDepth, aspect);
+        }
+        if (this.analysisView === 'uv' && this.uvRenderer) {
+            this.uvRenderer.render(this.context, this.selectedArrayId);
+        }
+        if (this.analysisView === 'tolerance' && this.toleranceRenderer) {
+            const range = Math.max(1, this.context.globalSettings.dynamicRange || 40);
+            this.toleranceRenderer.render(this._getToleranceResult(), range, this.tolerance.band);
+        }
+        if (this.analysisView === 'doa' && this.doaRenderer) {
+            this.doaRenderer.render(this._getDoaResult(), Math.max(1, this.context.globalSettings.dynamicRange || 40));
+        }
+        if (this.analysisView === 'hybrid' && this.hybridRenderer) {
+            this.hybridRenderer.render(this._getArchitectureComparison(), Math.max(1, this.context.globalSettings.dynamicRange || 40));
+        }
+        if (this.analysisView === 'bmode' && this.bmodeRenderer) {
+            const range = Math.max(1, this.context.globalSettings.dynamicRange || 40);
+            const bmode = this._getBModeResult();
+            this.bmodeRenderer.render(bmode.result, range, this.physicsState.baseWavelength, bmode.reference);
+        }
+        if (this.arrayVisRenderer) this.arrayVisRenderer.render(this.context, this.receivers, this.selectedReceiverId, this.interferers);
 
         this._renderOverlay();
         this._updateStats();
         this._updateInfoPanel(this.context.getArray(this.selectedArrayId));
     }
 
+    /**
+     * Probe and interferer positions to mark on the polar plot
+     */
+    _getPatternMarkers() {
+        const markers = [];
+        const rx = this.receivers.get(this.selectedReceiverId);
+        if (rx) markers.push({ x: rx.x, y: rx.y, color: '#4ade80', label: rx.name });
+        this.interferers.forEach(intf => {
+            markers.push({ x: intf.x, y: intf.y, color: '#ef4444', label: intf.name });
+        });
+        return markers;
+    }
+
     _renderOverlay() {
         if (!this.overlayCtx || !this.overlayCanvas) return;
 
@@ -728,6 +2468,35 @@ export class AppController {
         const mapX = (x) => ((x - settings.fieldCenterX) / settings.fieldWidth / aspect + 0.5) * cvs.width;
         const mapY = (y) => (0.5 - (y - settings.fieldCenterY) / settings.fieldHeight) * cvs.height;
 
+        // Beam profile cut line
+        const depthY = mapY(settings.profileDepth);
+        ctx.strokeStyle = 'rgba(74, 222, 128, 0.7)';
+        ctx.lineWidth = 1;
+        ctx.setLineDash([6, 4]);
+        ctx.beginPath();
+        ctx.moveTo(0, depthY);
+        ctx.lineTo(cvs.width, depthY);
+        ctx.stroke();
+        ctx.setLineDash([]);
+        ctx.fillStyle = 'rgba(74, 222, 128, 0.9)';
+        ctx.font = '10px monospace';
+        ctx.fillText('profile', 5, depthY - 4);
+
+        // Layer interfaces, labelled on the side of the layer that starts there
+        (settings.layers || []).forEach(layer => {
+            const y = mapY(layer.depth);
+            ctx.strokeStyle = 'rgba(251, 191, 36, 0.6)';
+            ctx.setLineDash([2, 3]);
+            ctx.beginPath();
+            ctx.moveTo(0, y);
+            ctx.lineTo(cvs.width, y);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.fillStyle = 'rgba(251, 191, 36, 0.9)';
+            const speed = Math.round(layer.speed * this.physicsState.speedOfSound);
+            ctx.fillText(`${layer.name} · ${speed} m/s`, 5, y - 4);
+        });
+
         this.receivers.forEach(rx => {
             const x = mapX(rx.x);
             const y = mapY(rx.y);
@@ -742,7 +2511,91 @@ export class AppController {
             ctx.fillStyle = '#fff';
             ctx.font = '10px monospace';
             ctx.fillText(rx.name, x + 12, y - 12);
+            const probe = this._getProbeSinr(rx);
+            const rate = probe.rate !== undefined ? ` · ${probe.rate.toFixed(1)} b/s/Hz` : '';
+            ctx.fillText(`SINR ${probe.sinr.toFixed(1)} dB${rate}`, x + 12, y - 1);
+        });
+
+        this.interferers.forEach(intf => {
+            const x = mapX(intf.x);
+            const y = mapY(intf.y);
+
+            ctx.strokeStyle = (intf.id === this.selectedInterfererId) ? '#ff8888' : 'rgba(239,68,68,0.7)';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(x, y - 9); ctx.lineTo(x + 9, y);
+            ctx.lineTo(x, y + 9); ctx.lineTo(x - 9, y);
+            ctx.closePath();
+            ctx.stroke();
+
+            ctx.fillStyle = '#ef4444';
+            ctx.font = '10px monospace';
+            ctx.fillText(intf.name, x + 12, y - 12);
+        });
+
+        // Estimated arrival directions, as rays from the receiving array
+        const doa = this._getDoaResult();
+        const receiver = this.context.getArray(this.selectedArrayId);
+        if (doa && receiver) {
+            const reach = Math.hypot(settings.fieldWidth * aspect, settings.fieldHeight);
+            const ox = mapX(receiver.position.x);
+            const oy = mapY(receiver.position.y);
+            ctx.strokeStyle = 'rgba(250, 204, 21, 0.8)';
+            ctx.fillStyle = '#facc15';
+            ctx.lineWidth = 1.5;
+            ctx.font = '10px monospace';
+            doa.estimates.forEach(angle => {
+                const rad = (receiver.orientation + angle) * Math.PI / 180;
+                const ex = receiver.position.x + reach * Math.sin(rad);
+                const ey = receiver.position.y + reach * Math.cos(rad);
+                ctx.setLineDash([8, 5]);
+                ctx.beginPath();
+                ctx.moveTo(ox, oy);
+                ctx.lineTo(mapX(ex), mapY(ey));
+                ctx.stroke();
+                ctx.setLineDash([]);
+                const lx = receiver.position.x + 0.3 * reach * Math.sin(rad);
+                const ly = receiver.position.y + 0.3 * reach * Math.cos(rad);
+                ctx.fillText(`DOA ${angle.toFixed(1)}°`, mapX(lx) + 6, mapY(ly));
+            });
+        }
+
+        // Walls with endpoint handles, scatterers as rings; dashed when out of phase
+        this.reflectors.forEach(r => {
+            const selected = r.id === this.selectedReflectorId;
+            ctx.strokeStyle = selected ? '#e2e8f0' : 'rgba(203, 213, 225, 0.7)';
+            ctx.fillStyle = ctx.strokeStyle;
+            ctx.lineWidth = 2;
+            ctx.setLineDash(r.reflection < 0 ? [6, 4] : []);
+            ctx.beginPath();
+            if (r.type === 'wall') {
+                ctx.moveTo(mapX(r.x1), mapY(r.y1));
+                ctx.lineTo(mapX(r.x2), mapY(r.y2));
+                ctx.stroke();
+                ctx.setLineDash([]);
+                [[r.x1, r.y1], [r.x2, r.y2]].forEach(([x, y]) => {
+                    ctx.fillRect(mapX(x) - 3, mapY(y) - 3, 6, 6);
+                });
+                ctx.fillText(`${r.name} · R ${r.reflection.toFixed(2)}`, mapX(r.x1) + 6, mapY(r.y1) - 6);
+            } else {
+                ctx.arc(mapX(r.x), mapY(r.y), 6, 0, 2 * Math.PI);
+                ctx.stroke();
+                ctx.setLineDash([]);
+                ctx.fillText(r.name, mapX(r.x) + 10, mapY(r.y) - 8);
+            }
         });
+
+        // Drag handles for the elements of a selected custom array
+        const array = this.context.getArray(this.selectedArrayId);
+        if (array && array.geometry === 'custom') {
+            ctx.strokeStyle = 'rgba(79, 195, 247, 0.9)';
+            ctx.lineWidth = 1.5;
+            array.getElementData().forEach(el => {
+                ctx.beginPath();
+                ctx.arc(mapX(el.x), mapY(el.y), 5, 0, 2 * Math.PI);
+                ctx.stroke();
+            });
+        }
     }
 
     _updateStats() {
@@ -752,37 +2605,373 @@ export class AppController {
 
     _updateInfoPanel(array) {
         if (!array) return;
+        const planar = array.geometry === 'planar';
+        const rows = array.elementCount / array.numElements;
+
         const elType = document.getElementById('info-type');
-        if (elType) elType.innerText = array.geometry.toUpperCase();
+        if (elType) {
+            elType.innerText = array.geometry.toUpperCase() +
+                (planar ? ` ${rows}×${array.numElements}` : '') +
+                (array.geometry === 'rings' ? ` ${array.numRings}×, ${array.elementCount} el` : '');
+        }
 
         const elAp = document.getElementById('info-aperture');
-        if (elAp) elAp.innerText = array.getAperture().toFixed(1) + 'λ';
+        if (elAp) {
+            elAp.innerText = array.getAperture().toFixed(1) +
+                (planar ? ` × ${((rows - 1) * array.rowPitch).toFixed(1)}` : '') + 'λ';
+        }
 
         const elAng = document.getElementById('info-angle');
-        if (elAng) elAng.innerText = array.steeringAngle.toFixed(1) + '°'; // Show smoothed value
+        if (elAng) {
+            // Show smoothed value
+            elAng.innerText = array.steeringAngle.toFixed(1) + '°' +
+                (planar ? ` az, ${array.elevationAngle.toFixed(1)}° el` : '');
+        }
+
+        const valActive = document.getElementById('val-active');
+        if (valActive) valActive.innerText = `${array.getActiveElementCount()} / ${array.elementCount}`;
+
+        const elHw = document.getElementById('info-hardware');
+        if (elHw) {
+            const hw = array.hardware;
+            elHw.innerText = hw.type === 'quantized' ? `${hw.bits}-bit phase` : (hw.type === 'ttd' ? 'True time delay' : 'Phase');
+        }
+
+        const elChains = document.getElementById('info-rf-chains');
+        if (elChains) {
+            const arch = PhasedArray.ARCHITECTURES.find(a => a.key === array.architecture.type);
+            elChains.innerText = `${new Set(array.getRfChains()).size} (${arch.name})`;
+        }
 
         const elFoc = document.getElementById('info-focus');
         if (elFoc) elFoc.innerText = (array.focalDistance < 1000) ? array.focalDistance + 'λ' : 'Infinity';
 
+        const elGl = document.getElementById('info-grating');
+        if (elGl) {
+            const gl = analyzeGratingLobes(array);
+            const approx = gl.approximate ? '~' : '';
+            if (!gl.applicable) {
+                elGl.innerText = `n/a (${array.geometry})`;
+            } else if (gl.aliased) {
+                const angles = gl.lobes.map(l => l.angle.toFixed(1) + '°').join(', ');
+                elGl.innerText = `${approx}d=${gl.pitchRatio.toFixed(2)}λ > ${gl.limitRatio.toFixed(2)}λ` +
+                    (angles ? ` @ ${angles}` : '');
+            } else {
+                elGl.innerText = `None (${approx}d=${gl.pitchRatio.toFixed(2)}λ ≤ ${gl.limitRatio.toFixed(2)}λ)`;
+            }
+            elGl.classList.toggle('info-warning', gl.aliased);
+        }
+
+        const elBf = document.getElementById('info-beamformer');
+        if (elBf) {
+            const sinr = this.adaptive.sinr.get(array.id);
+            const precoder = PRECODERS.find(p => p.key === this.precoding.method);
+            const error = this.adaptive.enabled && this.adaptive.errors.get(array.id);
+            if (error) {
+                elBf.innerText = `MVDR failed: ${error}`;
+            } else if (this.adaptive.enabled && array.complexWeights && sinr !== undefined) {
+                elBf.innerText = `MVDR (SINR ${sinr.toFixed(1)} dB)`;
+            } else if (this.precoding.enabled && array.streamWeights && precoder) {
+                elBf.innerText = `${precoder.name}, ${array.streamWeights.length} users`;
+            } else {
+                elBf.innerText = 'Conventional';
+            }
+            elBf.classList.toggle('info-warning', Boolean(error));
+        }
+
+        this._updateBeamMetrics();
+
         const rx = this.receivers.get(this.selectedReceiverId);
         if (rx) {
             const rxPos = document.getElementById('info-rx-pos');
             if (rxPos) rxPos.innerText = `${rx.x.toFixed(1)}, ${rx.y.toFixed(1)}`;
 
-            let signal = 0;
-            this.context.getAllArrays().forEach(arr => {
-                if (arr.enabled) signal += arr.calculateFieldAt(rx.x, rx.y, this.time);
-            });
+            const { signal, interference, sinr } = this._getProbeSinr(rx);
 
-            const db = 20 * Math.log10(Math.abs(signal) + 0.0001);
             const elSig = document.getElementById('info-signal');
-            if (elSig) elSig.innerText = db.toFixed(1) + ' dB';
+            if (elSig) elSig.innerText = signal.toFixed(1) + ' dB';
+
+            const elIntf = document.getElementById('info-interference');
+            if (elIntf) elIntf.innerText = isFinite(interference) ? interference.toFixed(1) + ' dB' : '-';
+
+            const elSinr = document.getElementById('info-sinr');
+            if (elSinr) elSinr.innerText = sinr.toFixed(1) + ' dB';
+        }
+
+        const elRate = document.getElementById('info-sum-rate');
+        if (elRate) {
+            const [error] = this.precoding.enabled ? this.precoding.errors.values() : [];
+            if (error) {
+                elRate.innerText = `Precoder failed: ${error}`;
+            } else {
+                elRate.innerText = this.precoding.enabled
+                    ? `${this.precoding.sumRate.toFixed(2)} b/s/Hz (${this.precoding.sinr.size} users)`
+                    : '-';
+            }
+            elRate.classList.toggle('info-warning', Boolean(error));
+        }
+    }
+
+    /**
+     * Tolerance analysis of the selected array, cached on its excitation and the settings
+     * @returns {Object|null} See Analysis.runToleranceAnalysis
+     */
+    _getToleranceResult() {
+        const array = this.context.getArray(this.selectedArrayId);
+        if (!array || !array.enabled) return null;
+
+        const signature = JSON.stringify([array.orientation, array.wavelength, array.getElementPattern(), array.getElementData(), this.tolerance]);
+        if (this.toleranceCache.signature !== signature) {
+            this.toleranceCache = { signature, result: runToleranceAnalysis(array, this.tolerance) };
+        }
+        return this.toleranceCache.result;
+    }
+
+    /**
+     * Pulse-echo image of the selected array over the visible field; the
+     * phantom is the scatterers of the Reflectors list. A transmit sequence
+     * is compared with its middle event fired alone. A scan takes a few
+     * hundred milliseconds, so it reruns only once its inputs have held still
+     * for a frame rather than on every step of a slider drag
+     * @returns {{result: Object|null, reference: Object|null}} See Imaging.simulateBMode
+     */
+    _getBModeResult() {
+        const array = this.context.getArray(this.selectedArrayId);
+        if (!array || !array.enabled) return { result: null, reference: null };
+
+        // Deepest visible point along the array broadside
+        const settings = this.context.globalSettings;
+        const overlay = document.getElementById('overlay-canvas');
+        const aspect = overlay && overlay.height > 0 ? overlay.width / overlay.height : 1;
+        const halfW = settings.fieldWidth * aspect / 2;
+        const halfH = settings.fieldHeight / 2;
+        const rad = array.orientation * Math.PI / 180;
+        let depth = 10 * array.wavelength;
+        [[-1, -1], [1, -1], [-1, 1], [1, 1]].forEach(([sx, sy]) => {
+            const x = settings.fieldCenterX + sx * halfW - array.position.x;
+            const y = settings.fieldCenterY + sy * halfH - array.position.y;
+            depth = Math.max(depth, x * Math.sin(rad) + y * Math.cos(rad));
+        });
+
+        const phantom = Array.from(this.reflectors.values())
+            .filter(r => r.type === 'scatterer')
+            .map(r => ({ x: r.x, y: r.y, reflection: r.reflection }));
+        // The scan replaces the steering, so steering changes do not rerun it
+        const config = { ...array.toJSON(), steeringAngle: 0, complexWeights: null };
+        const signature = JSON.stringify([config, array.absorption, array.layers, phantom, this.imaging, depth]);
+
+        const cache = this.imagingCache;
+        if (cache.signature !== signature) {
+            if (cache.pending === signature) {
+                const options = { ...this.imaging, depth };
+                const events = array.getTransmitEvents();
+                const compounded = array.sequence.type !== 'single' && events.length > 1;
+                this.imagingCache = {
+                    signature, pending: null,
+                    result: simulateBMode(array, phantom, options),
+                    reference: compounded
+                        ? simulateBMode(array, phantom, { ...options, events: [events[Math.floor(events.length / 2)]] })
+                        : null
+                };
+            } else {
+                cache.pending = signature;
+            }
+        }
+        return { result: this.imagingCache.result, reference: this.imagingCache.reference };
+    }
+
+    /**
+     * Direction-of-arrival estimate of the interferers as received by the
+     * selected array. Like the B-mode scan, a large array's estimate reruns
+     * only once its inputs have held still for a frame
+     * @returns {Object|null} See DOA.estimateDoa
+     */
+    _getDoaResult() {
+        const array = this.context.getArray(this.selectedArrayId);
+        if (!this.doa.enabled || !array || !array.enabled || this.interferers.size === 0) return null;
+
+        const z = this.context.globalSettings.sliceHeight;
+        const sources = Array.from(this.interferers.values()).map(intf => ({ x: intf.x, y: intf.y, z, power: intf.power }));
+        // Receiving ignores the transmit steering (MVDR rewrites it every frame)
+        const config = { ...array.toJSON(), steeringAngle: 0, complexWeights: null };
+        const { absorption, layers, reflectors } = this.context.globalSettings;
+        const signature = JSON.stringify([config, absorption, layers, reflectors, sources, this.doa]);
+
+        const cache = this.doaCache;
+        if (cache.signature !== signature) {
+            if (cache.pending === signature || array.getActiveElementCount() <= 32) {
+                this.doaCache = { signature, pending: null, result: estimateDoa(array, sources, this.doa) };
+            } else {
+                cache.pending = signature;
+            }
+        }
+        return this.doaCache.result;
+    }
+
+    /**
+     * Digital / hybrid / analog comparison of the selected array serving the
+     * probes with the current precoder, cached like the DOA result
+     * @returns {Object|null} See Hybrid.compareArchitectures
+     */
+    _getArchitectureComparison() {
+        const array = this.context.getArray(this.selectedArrayId);
+        if (!array || !array.enabled || this.receivers.size === 0) return null;
+
+        const settings = this.context.globalSettings;
+        const users = Array.from(this.receivers.values()).map(rx => ({ x: rx.x, y: rx.y, z: settings.sliceHeight }));
+        const interferers = Array.from(this.interferers.values());
+        const { absorption, layers, reflectors, noiseFloor } = settings;
+        const signature = JSON.stringify([array.toJSON(), absorption, layers, reflectors, noiseFloor, users, interferers, this.precoding.method]);
+
+        const cache = this.hybridCache;
+        if (cache.signature !== signature) {
+            if (cache.pending === signature || array.getActiveElementCount() <= 32) {
+                const result = compareArchitectures(array, users, {
+                    method: this.precoding.method,
+                    noiseFloor,
+                    interferers,
+                    environment: settings
+                });
+                this.hybridCache = { signature, pending: null, result };
+            } else {
+                cache.pending = signature;
+            }
         }
+        return this.hybridCache.result;
+    }
+
+    /**
+     * Reflect the DOA settings in the DOA controls
+     */
+    _syncDoaControls() {
+        const chk = document.getElementById('chk-doa');
+        if (chk) chk.checked = this.doa.enabled;
+        const methodSelect = document.getElementById('sel-doa-method');
+        if (methodSelect) methodSelect.value = this.doa.method;
+        Object.entries(DOA_CONTROLS).forEach(([id, [prop, fmt]]) => {
+            const el = document.getElementById(id);
+            if (el) el.value = this.doa[prop];
+            const labelEl = document.getElementById(id.replace('sld', 'val'));
+            if (labelEl) labelEl.innerText = fmt(this.doa[prop]);
+        });
+    }
+
+    /**
+     * Reflect the imaging settings in the B-mode controls
+     */
+    _syncImagingControls() {
+        Object.entries(IMAGING_CONTROLS).forEach(([id, [prop, fmt]]) => {
+            const el = document.getElementById(id);
+            if (el) el.value = this.imaging[prop];
+            const labelEl = document.getElementById(id.replace('sld', 'val'));
+            if (labelEl) labelEl.innerText = fmt(this.imaging[prop]);
+        });
+        const windowSelect = document.getElementById('sel-bmode-window');
+        if (windowSelect) windowSelect.value = this.imaging.window;
+    }
+
+    /**
+     * Fill the beam metrics table: one row per enabled array (in its own frame)
+     * and one for the combined system (world frame). The rows are rebuilt only
+     * when the arrays or the selection change; otherwise changed cells are
+     * updated in place, so tooltips and text selection survive the frame loop
+     */
+    _updateBeamMetrics() {
+        const body = document.getElementById('metrics-body');
+        if (!body) return;
+
+        const fmt = (v, unit) => {
+            if (v === null || !isFinite(v)) return '-';
+            return (Math.abs(v) < 0.05 ? 0 : v).toFixed(1) + unit; // no "-0.0"
+        };
+        const rows = [];
+        const signatures = [];
+
+        for (const array of this.context.getAllArrays()) {
+            if (!array.enabled) continue;
+            const signature = JSON.stringify([array.orientation, array.wavelength, array.getElementPattern(), array.getElementData()]);
+            signatures.push(signature);
+            rows.push({
+                id: array.id,
+                name: array.name,
+                metrics: this._getCachedMetrics(array.id, signature, angle => array.calculateBeamPattern(angle))
+            });
+        }
+
+        if (rows.length > 1) {
+            rows.push({
+                id: 'combined',
+                name: 'Combined',
+                metrics: this._getCachedMetrics('combined', signatures.join('|'),
+                    angle => this.context.calculateCombinedPattern(angle))
+            });
+        }
+
+        const cellText = ({ name, metrics: m }) => [name, fmt(m.pointing, '°'), fmt(m.hpbw, '°'), fmt(m.fnbw, '°'),
+            fmt(m.psl, ' dB'), fmt(m.directivity, ' dB')];
+
+        const layout = JSON.stringify([this.selectedArrayId, rows.map(({ id, name }) => [id, name])]);
+        if (layout === this.metricsLayout && body.rows.length === rows.length) {
+            rows.forEach((row, r) => {
+                cellText(row).forEach((text, c) => {
+                    const td = body.rows[r].cells[c];
+                    if (td.innerText !== text) td.innerText = text;
+                });
+            });
+            return;
+        }
+
+        this.metricsLayout = layout;
+        body.innerHTML = '';
+        rows.forEach(row => {
+            const tr = document.createElement('tr');
+            if (row.id === this.selectedArrayId) tr.className = 'selected';
+            cellText(row).forEach(text => {
+                const td = document.createElement('td');
+                td.innerText = text;
+                tr.appendChild(td);
+            });
+            tr.firstChild.title = row.name;
+            body.appendChild(tr);
+        });
+    }
+
+    /**
+     * Beam metrics for a pattern, reusing the last result while the signature is unchanged
+     * @param {string} key - Array id or 'combined'
+     * @param {string} signature - Serialized inputs the pattern depends on
+     * @param {Function} patternFn - angle (deg) -> normalized intensity
+     */
+    _getCachedMetrics(key, signature, patternFn) {
+        const cached = this.metricsCache.get(key);
+        if (cached && cached.signature === signature) return cached.metrics;
+
+        const metrics = computeBeamMetrics(patternFn);
+        this.metricsCache.set(key, { signature, metrics });
+        return metrics;
+    }
+
+    /**
+     * Time-averaged signal, interference and SINR at a probe (dB)
+     * @param {{x: number, y: number}} rx
+     */
+    _getProbeSinr(rx) {
+        // With precoding on, a probe is a user and its own stream is the signal
+        if (this.precoding.enabled && this.precoding.sinr.has(rx.id)) return this.precoding.sinr.get(rx.id);
+
+        const settings = this.context.globalSettings;
+        return calculateSinr(this.context, this.interferers.values(), rx.x, rx.y,
+            settings.noiseFloor, settings.sliceHeight);
     }
 
     _onResize() {
-        if (this.heatmapRenderer) this.heatmapRenderer.render(this.context, this.time);
+        if (this.heatmapRenderer) {
+            this.heatmapRenderer.render(this.context, this.time, Array.from(this.interferers.values()));
+        }
         if (this.beamPatternRenderer) this.beamPatternRenderer.resize();
+        if (this.profileRenderer) this.profileRenderer.resize();
+        if (this.uvRenderer) this.uvRenderer.resize();
+        if (this.toleranceRenderer) this.toleranceRenderer.resize();
         if (this.arrayVisRenderer) this.arrayVisRenderer.resize();
     }
 }
\ No newline at end of file
@@ -0,0 +1,313 @@
+/**
+ * DOA.js - Direction-of-Arrival Estimation (Receive Mode)
+ * - Snapshot covariance of emitters received by the array plus white noise
+ * - Spectral estimators: Bartlett (conventional), Capon (MVDR) and MUSIC
+ * - Search-free estimators for uniform linear arrays: root-MUSIC and ESPRIT
+ * - Number of sources from the MDL criterion when it is not given
+ *
+ * Snapshots use the full propagation model (PhasedArray.getSteeringVectorAt:
+ * near field, element pattern, medium and multipath), while the estimators
+ * assume far-field plane waves in the field plane, as a receiver would, so
+ * near sources, coherent multipath and element errors show up as estimation
+ * errors. Only the active elements receive. Angles are relative to the array
+ * broadside, like steeringAngle, and cover the front half-plane.
+ */
+
+import {
+    zeros, matMul, hermitian, solve, inverse, eigHermitian, polynomialRoots, eigenvalues,
+    cabs2, createRandom
+} from './LinearAlgebra.js';
+import { sampleCovariance } from './Adaptive.js';
+
+export const DOA_METHODS = [
+    { key: 'bartlett', name: 'Bartlett' },
+    { key: 'capon', name: 'Capon (MVDR)' },
+    { key: 'music', name: 'MUSIC' },
+    { key: 'root-music', name: 'Root-MUSIC' },
+    { key: 'esprit', name: 'ESPRIT' }
+];
+
+export const DEFAULT_DOA = {
+    enabled: false,
+    method: 'music',
+    snr: 10,              // Per-element SNR of the strongest source (dB)
+    snapshots: 100,       // Snapshots in the sample covariance
+    order: 0,             // Number of sources to estimate, 0 = MDL
+    seed: 1
+};
+
+const SCAN_STEP = 0.25;   // Spectrum grid, degrees
+const FLOOR_DB = -60;
+
+/**
+ * Estimate the directions of point emitters from simulated array snapshots
+ * @param {PhasedArray} array - Receiving array
+ * @param {Array<{x: number, y: number, z?: number, power: number}>} sources -
+ *        Emitters; power in dB, relative between the sources
+ * @param {Object} settings - See DEFAULT_DOA
+ * @returns {{
+ *   method: string,             // Key of the estimator (see DOA_METHODS)
+ *   angles: Array<number>,      // Scan grid (deg)
+ *   spectrum: Array<number>,    // Spatial spectrum on the grid (dB re its peak)
+ *   spectrumMethod: string,     // Estimator of the spectrum (MUSIC for root-MUSIC and ESPRIT)
+ *   estimates: Array<number>,   // Estimated directions (deg), ascending
+ *   truth: Array<number>,       // Geometric directions of the sources from the array position (deg)
+ *   order: number,              // Number of sources estimated
+ *   eigenvalues: Array<number>, // Covariance eigenvalues re the noise power (dB), descending
+ *   error: string|null          // Why the method could not run (estimates then come from MUSIC)
+ * }|null} Null without active elements or sources
+ */
+export function estimateDoa(array, sources, settings = {}) {
+    const opts = { ...DEFAULT_DOA, ...settings };
+    const active = array.getActiveMask();
+    const elements = array.getElementData().filter((_, i) => active[i]);
+    const n = elements.length;
+    if (n < 2 || sources.length === 0) return null;
+
+    const origin = array.position;
+    const orientation = array.orientation;
+    const truth = sources.map(src => wrapDegrees(Math.atan2(src.x - origin.x, src.y - origin.y) * 180 / Math.PI - orientation));
+
+    // Received steering vectors, scaled so the strongest source has the set SNR
+    const noisePower = 1;
+    const received = sources.map(src => {
+        const steering = array.getSteeringVectorAt(src.x, src.y, src.z || 0).filter((_, i) => active[i]);
+        const power = Math.pow(10, (src.power || 0) / 10);
+        return { steering, power, elementPower: power * steering.reduce((sum, v) => sum + cabs2(v), 0) / n };
+    });
+    const strongest = Math.max(...received.map(src => src.elementPower));
+    if (!(strongest > 0)) return null;
+    const scale = Math.pow(10, opts.snr / 10) * noisePower / strongest;
+    const r = sampleCovariance(
+        received.map(src => ({ steering: src.steering, power: src.power * scale })),
+        n, noisePower, Math.max(1, Math.round(opts.snapshots)), createRandom(opts.seed)
+    );
+
+    const { values, vectors } = eigHermitian(r);
+    const snapshots = Math.max(1, Math.round(opts.snapshots));
+    const order = Math.min(n - 1, opts.order > 0 ? Math.round(opts.order) : mdlOrder(values, snapshots));
+
+    // Far-field manifold over the grid: a_i = exp(-jk (e_i - o)·u)
+    const k = 2 * Math.PI / array.wavelength;
+    const manifold = (angle) => {
+        const rad = (orientation + angle) * Math.PI / 180;
+        const ux = Math.sin(rad);
+        const uy = Math.cos(rad);
+        return elements.map(el => {
+            const phase = -k * ((el.x - origin.x) * ux + (el.y - origin.y) * uy);
+            return { real: Math.cos(phase), imag: Math.sin(phase) };
+        });
+    };
+    const angles = [];
+    for (let a = -90; a <= 90 + 1e-9; a += SCAN_STEP) angles.push(a);
+
+    const spectral = opts.method === 'bartlett' || opts.method === 'capon' ? opts.method : 'music';
+    const power = spectrumPower(spectral, r, vectors.slice(order), manifold, angles, n);
+    const peak = Math.max(...power);
+    const spectrum = power.map(p => Math.max(FLOOR_DB, 10 * Math.log10(p / peak + 1e-30)));
+
+    let estimates = order > 0 ? spectrumPeaks(spectrum, angles, order) : [];
+    let error = null;
+    if ((opts.method === 'root-music' || opts.method === 'esprit') && order > 0) {
+        const line = uniformLine(elements);
+        if (!line) {
+            error = `${opts.method === 'esprit' ? 'ESPRIT' : 'Root-MUSIC'} needs a uniform linear array`;
+        } else {
+            const shifts = opts.method === 'esprit'
+                ? espritShifts(vectors.slice(0, order))
+                : rootMusicShifts(vectors.slice(order), order);
+            estimates = shifts.map(z => shiftAngle(z, line, k, orientation)).filter(a => a !== null);
+        }
+    }
+
+    return {
+        method: opts.method,
+        angles,
+        spectrum,
+        spectrumMethod: spectral,
+        estimates: estimates.sort((a, b) => a - b),
+        truth,
+        order,
+        eigenvalues: values.map(v => 10 * Math.log10(Math.max(v, 1e-12) / noisePower)),
+        error
+    };
+}
+
+/**
+ * Number of sources by the minimum description length: the split of the
+ * eigenvalues whose smallest part looks most like white noise
+ * @param {Array<number>} values - Covariance eigenvalues, descending
+ * @param {number} snapshots
+ * @returns {number}
+ */
+export function mdlOrder(values, snapshots) {
+    const n = values.length;
+    let best = { order: 0, score: Infinity };
+    for (let d = 0; d < n; d++) {
+        const noise = values.slice(d).map(v => Math.max(v, 1e-12));
+        const m = noise.length;
+        const logGeometric = noise.reduce((sum, v) => sum + Math.log(v), 0) / m;
+        const arithmetic = noise.reduce((sum, v) => sum + v, 0) / m;
+        const score = -snapshots * m * (logGeometric - Math.log(arithmetic)) +
+            0.5 * d * (2 * n - d) * Math.log(snapshots);
+        if (score < best.score) best = { order: d, score };
+    }
+    return best.order;
+}
+
+/**
+ * Spatial spectrum on the grid: Bartlett a^H R a / N, Capon 1 / a^H R^-1 a,
+ * MUSIC N / ||E_n^H a||^2 with E_n the noise eigenvectors
+ * @private
+ */
+function spectrumPower(method, r, noiseVectors, manifold, angles, n) {
+    const quadratic = (m, a) => {
+        let sum = 0;
+        for (let i = 0; i < n; i++) {
+            let re = 0;
+            let im = 0;
+            for (let j = 0; j < n; j++) {
+                re += m[i][j].real * a[j].real - m[i][j].imag * a[j].imag;
+                im += m[i][j].real * a[j].imag + m[i][j].imag * a[j].real;
+            }
+            sum += a[i].real * re + a[i].imag * im;
+        }
+        return sum;
+    };
+
+    if (method === 'bartlett') return angles.map(angle => Math.max(quadratic(r, manifold(angle)) / n, 1e-30));
+    if (method === 'capon') {
+        // Light loading keeps R invertible with fewer snapshots than elements
+        let loading = 0;
+        for (let i = 0; i < n; i++) loading += r[i][i].real;
+        const loaded = r.map((row, i) => row.map((v, j) => (i === j ? { real: v.real + 1e-3 * loading / n, imag: v.imag } : v)));
+        const rInv = inverse(loaded);
+        return angles.map(angle => 1 / Math.max(quadratic(rInv, manifold(angle)), 1e-30));
+    }
+    return angles.map(angle => {
+        const a = manifold(angle);
+        let projection = 0;
+        noiseVectors.forEach(e => {
+            let re = 0;
+            let im = 0;
+            for (let i = 0; i < n; i++) {
+                re += e[i].real * a[i].real + e[i].imag * a[i].imag;
+                im += e[i].real * a[i].imag - e[i].imag * a[i].real;
+            }
+            projection += re * re + im * im;
+        });
+        return n / Math.max(projection, 1e-30);
+    });
+}
+
+/**
+ * The count highest local maxima of a spectrum, refined by a parabola through
+ * the neighboring grid points
+ * @private
+ */
+function spectrumPeaks(spectrum, angles, count) {
+    const peaks = [];
+    for (let i = 1; i < spectrum.length - 1; i++) {
+        if (spectrum[i] > spectrum[i - 1] && spectrum[i] >= spectrum[i + 1]) {
+            const curvature = spectrum[i - 1] - 2 * spectrum[i] + spectrum[i + 1];
+            const offset = curvature < 0 ? 0.5 * (spectrum[i - 1] - spectrum[i + 1]) / curvature : 0;
+            peaks.push({ value: spectrum[i], angle: angles[i] + offset * (angles[1] - angles[0]) });
+        }
+    }
+    return peaks.sort((a, b) => b.value - a.value).slice(0, count).map(p => p.angle);
+}
+
+/**
+ * Spacing vector of the active elements if they are evenly spaced on a line
+ * @private
+ */
+function uniformLine(elements) {
+    const dx = elements[1].x - elements[0].x;
+    const dy = elements[1].y - elements[0].y;
+    const spacing = Math.hypot(dx, dy);
+    if (!(spacing > 0)) return null;
+    for (let i = 1; i < elements.length; i++) {
+        const ex = elements[i].x - elements[i - 1].x - dx;
+        const ey = elements[i].y - elements[i - 1].y - dy;
+        if (Math.hypot(ex, ey) > 1e-6 * spacing || Math.abs(elements[i].z - elements[0].z) > 1e-6 * spacing) return null;
+    }
+    return { dx, dy };
+}
+
+/**
+ * Root-MUSIC: the roots of a(z)^H E_n E_n^H a(z), a_i = z^i, nearest the unit
+ * circle from inside; z is the phase step between neighboring elements
+ * @private
+ */
+function rootMusicShifts(noiseVectors, order) {
+    const n = noiseVectors[0].length;
+    const c = zeros(n, n);
+    noiseVectors.forEach(e => {
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) {
+                c[i][j].real += e[i].real * e[j].real + e[i].imag * e[j].imag;
+                c[i][j].imag += e[i].imag * e[j].real - e[i].real * e[j].imag;
+            }
+        }
+    });
+
+    // Sum of C_il over l - i = m is the coefficient of z^(m + n - 1)
+    const coefficients = Array.from({ length: 2 * n - 1 }, () => ({ real: 0, imag: 0 }));
+    for (let i = 0; i < n; i++) {
+        for (let l = 0; l < n; l++) {
+            coefficients[l - i + n - 1].real += c[i][l].real;
+            coefficients[l - i + n - 1].imag += c[i][l].imag;
+        }
+    }
+
+    return polynomialRoots(coefficients)
+        .filter(z => cabs2(z) <= 1 + 1e-9)
+        .sort((a, b) => (1 - Math.sqrt(cabs2(a))) - (1 - Math.sqrt(cabs2(b))))
+        .slice(0, order);
+}
+
+/**
+ * Least-squares ESPRIT: the rotation between the signal subspaces of the
+ * first and last n - 1 elements, Φ = (E_1^H E_1)^-1 E_1^H E_2; its
+ * eigenvalues are the phase steps between neighboring elements
+ * @private
+ */
+function espritShifts(signalVectors) {
+    const n = signalVectors[0].length;
+    const es = Array.from({ length: n }, (_, i) => signalVectors.map(v => v[i]));
+    const e1 = es.slice(0, n - 1);
+    const e2 = es.slice(1);
+    const e1h = hermitian(e1);
+    try {
+        return eigenvalues(solve(matMul(e1h, e1), matMul(e1h, e2)));
+    } catch (e) {
+        return [];
+    }
+}
+
+/**
+ * Direction whose plane wave advances the phase by arg(z) per element step,
+ * exp(-jk Δ·u) = z, in the front half-plane of the array
+ * @private
+ */
+function shiftAngle(z, { dx, dy }, k, orientation) {
+    const spacing = Math.hypot(dx, dy);
+    const projection = -Math.atan2(z.imag, z.real) / (k * spacing);
+    if (Math.abs(projection) > 1 + 1e-6) return null;
+
+    // Δ·u = |Δ| sin(θ + β) with β the direction of the element step
+    const beta = Math.atan2(dy, dx);
+    const base = Math.asin(Math.max(-1, Math.min(1, projection)));
+    const candidates = [base - beta, Math.PI - base - beta]
+        .map(theta => wrapDegrees(theta * 180 / Math.PI - orientation));
+    return candidates.reduce((best, a) => (Math.abs(a) < Math.abs(best) ? a : best));
+}
+
+/**
+ * Angle in degrees wrapped to (-180, 180]
+ * @private
+ */
+function wrapDegrees(angle) {
+    const wrapped = ((angle + 180) % 360 + 360) % 360 - 180;
+    return wrapped === -180 ? 180 : wrapped;
+}
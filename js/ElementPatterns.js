@@ -0,0 +1,66 @@
+/**
+ * ElementPatterns.js - Element Directivity (Element Factor)
+ * - Isotropic point source
+ * - cos^n element
+ * - Baffled piston (strip) of a given width
+ * - Half-wave dipole parallel to the array axis
+ *
+ * Patterns are field (amplitude) factors, peak 1 along the element normal.
+ * A direction is given by its cosine to the normal and its component along
+ * the element face (the tangent in the field plane), so out-of-plane
+ * directions of planar arrays and heatmap slices work the same way. The
+ * heatmap shader mirrors elementFactor.
+ */
+
+export const ELEMENT_PATTERNS = [
+    { key: 'isotropic', name: 'Isotropic' },
+    { key: 'cosine', name: 'cosⁿ' },
+    { key: 'piston', name: 'Baffled Piston' },
+    { key: 'dipole', name: 'Half-Wave Dipole' }
+];
+
+export const DEFAULT_ELEMENT_PATTERN = {
+    type: 'isotropic',
+    exponent: 1,         // cos^n exponent
+    width: null          // Piston width in meters, null = element pitch (no kerf)
+};
+
+/**
+ * Field factor of one element
+ * @param {Object} pattern - {type, exponent, width}, width resolved to a number
+ * @param {number} cosine - Cosine between the direction and the element normal
+ * @param {number} sine - Direction component along the element face
+ * @param {number} k - Wave number (piston only)
+ * @returns {number} Field factor, 1 on the normal
+ */
+export function elementFactor(pattern, cosine, sine, k) {
+    switch (pattern.type) {
+        case 'cosine':
+            return cosine > 0 ? Math.pow(cosine, pattern.exponent) : 0;
+        case 'piston': {
+            // Rigid baffle: nothing radiates behind the face
+            if (cosine <= 0) return 0;
+            const x = 0.5 * k * pattern.width * sine;
+            return Math.abs(x) < 1e-6 ? 1 : Math.sin(x) / x;
+        }
+        case 'dipole': {
+            // Dipole along the face: cos(π/2 cos ψ) / sin ψ with cos ψ = sine
+            const s2 = 1 - sine * sine;
+            return s2 < 1e-9 ? 0 : Math.cos(0.5 * Math.PI * sine) / Math.sqrt(s2);
+        }
+        default:
+            return 1;
+    }
+}
+
+/**
+ * Pattern index and parameter as packed for the heatmap shader
+ * @param {Object} pattern - {type, exponent, width}, width resolved to a number
+ * @returns {{type: number, param: number}} type 0..3 in ELEMENT_PATTERNS order;
+ *          param is the exponent (cos^n) or the width (piston)
+ */
+export function shaderPattern(pattern) {
+    const type = Math.max(0, ELEMENT_PATTERNS.findIndex(p => p.key === pattern.type));
+    const param = pattern.type === 'cosine' ? pattern.exponent : pattern.type === 'piston' ? pattern.width : 0;
+    return { type, param };
+}
@@ -0,0 +1,91 @@
+/**
+ * Excitation.js - Transmit Waveforms
+ * - Continuous wave (single frequency)
+ * - Gaussian-windowed tone bursts
+ * - Linear FM (LFM) chirps with a Hann envelope
+ *
+ * Pulses are described in carrier cycles so they scale with the array
+ * frequency. Every `period` cycles each element emits one pulse, shifted by
+ * its envelope delay (see PhasedArray.getElementDelays). The heatmap shader
+ * evaluates the same envelope and chirp phase as samplePulse.
+ */
+
+export const EXCITATION_TYPES = [
+    { key: 'cw', name: 'Continuous Wave' },
+    { key: 'burst', name: 'Gaussian Tone Burst' },
+    { key: 'chirp', name: 'LFM Chirp' }
+];
+
+export const DEFAULT_EXCITATION = {
+    type: 'cw',
+    bandwidth: 0.5,      // Fractional bandwidth: -6 dB width (burst) or sweep span (chirp)
+    duration: 10,        // Chirp length in carrier cycles
+    period: 60           // Pulse repetition interval in carrier cycles
+};
+
+/**
+ * Resolve an excitation at a carrier frequency into the pulse parameters
+ * used by samplePulse and the heatmap shader
+ * @param {Object} excitation - {type, bandwidth, duration, period}
+ * @param {number} frequency - Carrier frequency
+ * @returns {{type: number, width: number, rate: number, center: number, period: number}}
+ *          type 0 = CW, 1 = burst, 2 = chirp; width is the Gaussian sigma
+ *          (burst) or the chirp length; rate is the chirp sweep rate
+ */
+export function pulseParameters(excitation, frequency) {
+    const opts = { ...DEFAULT_EXCITATION, ...excitation };
+    const bandwidth = opts.bandwidth * frequency;
+
+    let pulse;
+    switch (opts.type) {
+        case 'burst': {
+            // Gaussian envelope whose spectrum falls to half amplitude at f0 ± B/2
+            const sigma = Math.sqrt(2 * Math.LN2) / (Math.PI * bandwidth);
+            pulse = { type: 1, width: sigma, rate: 0, center: 3 * sigma };
+            break;
+        }
+        case 'chirp': {
+            const length = opts.duration / frequency;
+            pulse = { type: 2, width: length, rate: bandwidth / length, center: length / 2 };
+            break;
+        }
+        default:
+            return { type: 0, width: 0, rate: 0, center: 0, period: 0 };
+    }
+
+    // Pulses must not overlap their own repetitions
+    pulse.period = Math.max(opts.period / frequency, 2 * pulse.center);
+    return pulse;
+}
+
+/**
+ * Pulse envelope and chirp phase at a given emission time
+ * @param {Object} pulse - From pulseParameters
+ * @param {number} t - Emission time (retarded time minus the element delay)
+ * @returns {{envelope: number, phase: number}} Phase in radians, added to the carrier
+ */
+export function samplePulse(pulse, t) {
+    if (pulse.type === 0) return { envelope: 1, phase: 0 };
+
+    const u = ((t % pulse.period) + pulse.period) % pulse.period - pulse.center;
+    if (pulse.type === 1) {
+        return { envelope: Math.exp(-u * u / (2 * pulse.width * pulse.width)), phase: 0 };
+    }
+    if (Math.abs(u) > pulse.width / 2) return { envelope: 0, phase: 0 };
+    return {
+        envelope: 0.5 * (1 + Math.cos(2 * Math.PI * u / pulse.width)),
+        phase: Math.PI * pulse.rate * u * u
+    };
+}
+
+/**
+ * Lower and upper band edges of an excitation (CW has no band)
+ * @param {Object} excitation
+ * @param {number} frequency - Carrier frequency
+ * @returns {Array<number>} [low, high], both equal to the carrier for CW
+ */
+export function bandEdges(excitation, frequency) {
+    const opts = { ...DEFAULT_EXCITATION, ...excitation };
+    if (opts.type === 'cw') return [frequency, frequency];
+    return [frequency * (1 - opts.bandwidth / 2), frequency * (1 + opts.bandwidth / 2)];
+}
@@ -0,0 +1,155 @@
+/**
+ * Hybrid.js - Hybrid Analog/Digital Beamforming
+ * - Hybrid precoding W = F_RF F_BB: contiguous subarrays, each behind its own RF
+ *   chain with analog (phase-only) shifters, and digital baseband weights
+ *   across the chains
+ * - Two-stage design: each subarray's analog phases form the phase-only beam
+ *   that collects the most power from all users (dominant eigenvector of its
+ *   channel covariance), then the digital weights solve the precoder (MRT,
+ *   ZF, MMSE) on the effective channel H F_RF
+ * - Multi-beam comparison of fully digital, hybrid and fully analog designs
+ *   with the same elements: stream patterns, per-user SINR and sum rate
+ *
+ * With at least as many chains as users, ZF still nulls every stream at the
+ * other users; the hybrid gives up array gain instead. A single chain (fully
+ * analog) radiates one beam: every stream leaves with the same pattern, so the
+ * users cannot be separated in space. Chain layouts come from
+ * PhasedArray.getRfChains.
+ */
+
+import { matMul, hermitian, eigHermitian, cadd, cmul, cconj, cabs, cabs2, cscale, complex } from './LinearAlgebra.js';
+import { PhasedArray } from './PhasedArray.js';
+import { DEFAULT_PRECODING, channelMatrix, precoderRows, normalizeStreams, computePrecoder } from './Precoding.js';
+import { interfererIntensityAt } from './Interferers.js';
+
+/**
+ * Precoding weights of one array for a set of users under its RF architecture
+ * (or the one given), in the format of Precoding.computePrecoder
+ * @param {PhasedArray} array
+ * @param {Array<{x: number, y: number, z?: number}>} users
+ * @param {Object} settings - {method, noisePower, architecture}; architecture
+ *        {type, rfChains} defaults to array.architecture
+ * @returns {Array<Array<{real, imag}>>} One weight vector per user, one weight per element
+ */
+export function computeHybridPrecoder(array, users, settings = {}) {
+    const opts = { ...DEFAULT_PRECODING, noisePower: 0, architecture: array.architecture, ...settings };
+    if (opts.architecture.type === 'digital') return computePrecoder(array, users, opts);
+
+    const active = array.getActiveMask();
+    const n = active.filter(Boolean).length;
+    if (n === 0 || users.length === 0) return [];
+    const groups = subarrayGroups(array.getRfChains(opts.architecture), active);
+    const h = channelMatrix(array, users);
+
+    // Analog stage: unit-modulus weights, per subarray the phases of the
+    // dominant left singular vector of its channel block (|S_k| x U)
+    const analog = active.map(() => complex(1, 0));
+    groups.forEach(members => {
+        const block = members.map(i => h.map(row => row[i]));
+        const x = eigHermitian(matMul(hermitian(block), block)).vectors[0];
+        members.forEach((i, r) => {
+            const v = block[r].reduce((sum, b, u) => cadd(sum, cmul(b, x[u])), complex());
+            const mag = cabs(v);
+            if (mag > 0) analog[i] = cscale(v, 1 / mag);
+        });
+    });
+
+    // Digital stage on the effective channel: heff_uk = sum_{i in S_k} h_ui conj(a_i)
+    const heff = h.map(row => groups.map(members =>
+        members.reduce((sum, i) => cadd(sum, cmul(row[i], cconj(analog[i]))), complex())));
+    // Loading U σ²/P scaled by the mean subarray size (the chain gain in H F_RF)
+    const digital = precoderRows(heff, opts.method, users.length * opts.noisePower / groups.length);
+
+    // w_i = a_i d_k(i), then the usual equal power split
+    const owner = [];
+    groups.forEach((members, k) => members.forEach(i => { owner[i] = k; }));
+    const rows = digital.map(d => active.flatMap((on, i) => (on ? [cmul(analog[i], d[owner[i]])] : [])));
+    return normalizeStreams(rows, active, n);
+}
+
+/**
+ * Active elements of each RF chain, skipping chains with none
+ * @param {Array<number>} chains - Chain index per element (PhasedArray.getRfChains)
+ * @param {Array<boolean>} active
+ * @returns {Array<Array<number>>} Element indices per chain
+ */
+export function subarrayGroups(chains, active) {
+    const groups = new Map();
+    chains.forEach((k, i) => {
+        if (!active[i]) return;
+        if (!groups.has(k)) groups.set(k, []);
+        groups.get(k).push(i);
+    });
+    return Array.from(groups.values());
+}
+
+/**
+ * Serve the same users from the same elements with a fully digital, a hybrid
+ * (the array's chain count) and a fully analog front end. Patterns are in the
+ * frame of calculateBeamPattern, in dB re the broadside peak of the uniform
+ * excitation, so they show each stream's share of the power. The SINR counts the
+ * array's own streams, the interferers and the noise floor, as
+ * Precoding.multiUserSinr does for a lone array
+ * @param {PhasedArray} array
+ * @param {Array<{x: number, y: number, z?: number}>} users
+ * @param {Object} settings - {method, noiseFloor (dB), interferers, environment, step (deg)}
+ * @returns {{
+ *   angles: Array<number>,   // Pattern angles from broadside (deg)
+ *   users: Array<number>,    // User directions from broadside (deg)
+ *   method: string,
+ *   designs: Array<{type: string, name: string, chains: number,
+ *     patterns: Array<Array<number>>, sinr: Array<number>, sumRate: number}>
+ * }|null} Null without active elements or users
+ */
+export function compareArchitectures(array, users, settings = {}) {
+    const opts = { method: DEFAULT_PRECODING.method, noiseFloor: -40, interferers: [], environment: {}, step: 0.5, ...settings };
+    const active = array.getActiveMask();
+    const n = active.filter(Boolean).length;
+    if (n === 0 || users.length === 0) return null;
+
+    const toDb = (v) => 10 * Math.log10(v + 1e-30);
+    const noise = Math.pow(10, opts.noiseFloor / 10);
+    const reference = Math.pow(array.amplitude * n, 2);
+
+    const angles = [];
+    for (let a = -90; a <= 90 + 1e-9; a += opts.step) angles.push(a);
+
+    const jamming = users.map(user => opts.interferers.reduce((sum, intf) =>
+        sum + interfererIntensityAt(intf, user.x, user.y, user.z || 0, opts.environment), 0));
+
+    const designs = PhasedArray.ARCHITECTURES.map(({ key, name }) => {
+        const architecture = { type: key, rfChains: array.architecture.rfChains };
+        const streams = computeHybridPrecoder(array, users, { method: opts.method, noisePower: noise, architecture });
+        const chains = subarrayGroups(array.getRfChains(architecture), active).length;
+
+        const patterns = streams.map(w => angles.map(a => toDb(cabs2(array.calculateWeightedResponse(w, a)) / reference)));
+
+        const sinr = users.map((user, u) => {
+            let signal = 0;
+            let interference = jamming[u];
+            streams.forEach((w, s) => {
+                const p = cabs2(array.calculateWeightedFieldAt(w, user.x, user.y, user.z || 0));
+                if (s === u) signal += p;
+                else interference += p;
+            });
+            return signal / (interference + noise);
+        });
+
+        return {
+            type: key,
+            name,
+            chains,
+            patterns,
+            sinr: sinr.map(toDb),
+            sumRate: sinr.reduce((sum, r) => sum + Math.log2(1 + r), 0)
+        };
+    });
+
+    const pos = array.position;
+    const bearings = users.map(user => {
+        const bearing = Math.atan2(user.x - pos.x, user.y - pos.y) * 180 / Math.PI - array.orientation;
+        return ((bearing + 540) % 360) - 180;
+    });
+
+    return { angles, users: bearings, method: opts.method, designs };
+}
@@ -0,0 +1,372 @@
+/**
+ * Imaging.js - Pulse-Echo B-Mode Imaging
+ * - RF echoes of a point-scatterer phantom for a sequence of transmits
+ * - Focused line-by-line scans, plane-wave compounding and synthetic aperture
+ * - Delay-and-sum receive beamforming with dynamic focusing and an F-number aperture
+ * - Envelope detection (quadrature sampling), log compression and resolution metrics
+ *
+ * Without a transmit sequence each scan line is one transmit, steered from the
+ * array position and focused at the array's focal distance. With a sequence
+ * (see Sequences.js) every event insonifies the whole sector and the
+ * beamformed lines of all events add coherently. The transmit field at a
+ * scatterer is the narrowband phasor of calculateComplexFieldAt (beam
+ * amplitude and phase); its pulse envelope arrives with the event's wavefront
+ * (see transmitModel), delayed by the layers as along the ray from the array
+ * position. Echoes return to
+ * every element along the (refracted) ray with the element pattern, spreading
+ * and absorption of getSteeringVectorAt; the scatterers do not interact
+ * (Born). The beamformer assumes straight rays at the background sound speed,
+ * as a scanner does, so layers show as aberration. RF is kept as its analytic
+ * (IQ) signal, so the envelope is the magnitude of the beamformed sum.
+ */
+
+import { PhasedArray } from './PhasedArray.js';
+import { computeWindow } from './Apodization.js';
+import { pulseParameters } from './Excitation.js';
+import { tracePath } from './Layers.js';
+import { createRandom, complexGaussian } from './LinearAlgebra.js';
+
+export const DEFAULT_IMAGING = {
+    lines: 64,            // Scan lines across the sector
+    sector: 60,           // Sector width, degrees about the array broadside
+    fNumber: 1.5,         // Receive aperture: depth / active aperture width
+    window: 'hann',       // Receive apodization across the active aperture
+    speckle: 0,           // Random background scatterers in the sector
+    seed: 1
+};
+
+const SAMPLES_PER_CYCLE = 8;        // RF sampling rate, in carrier cycles
+const PIXELS_PER_WAVELENGTH = 8;    // Range samples of a beamformed line (4 per cycle of round trip)
+const PULSE_SPAN = 3;               // Burst envelope synthesized out to ±3 sigma
+const SPECKLE_LEVEL = 0.05;         // RMS reflection of a speckle scatterer
+const BURST_BANDWIDTH = 0.6;        // Pulse used when the array does not transmit a burst
+const FLOOR_DB = -120;
+
+/**
+ * Simulate a B-mode image of a point-scatterer phantom
+ * @param {PhasedArray} array - Transducer; its frequency, focus, hardware,
+ *        element pattern, transmit sequence and medium are used, its steering
+ *        is replaced by the scan
+ * @param {Array<{x: number, y: number, reflection: number}>} scatterers - Phantom
+ * @param {Object} options - See DEFAULT_IMAGING, plus depth (same units as the
+ *        array) and events, transmit events to compound in place of the
+ *        array's sequence (see Sequences.sequenceEvents)
+ * @returns {{
+ *   angles: Array<number>,    // Scan line angles relative to the array broadside (deg)
+ *   orientation: number,      // Array orientation (deg)
+ *   origin: {x: number, y: number},
+ *   step: number,             // Range step between samples of a line
+ *   depth: number,
+ *   transmits: number,        // Transmit events fired for the image
+ *   compounded: boolean,      // Every event imaged the whole sector (sequence) rather than one line
+ *   image: Array<Float32Array>, // Log-compressed envelope per line (dB, 0 = brightest)
+ *   quality: Object           // See imageQuality
+ * }|null} Null for a disabled array
+ */
+export function simulateBMode(array, scatterers, options = {}) {
+    const opts = { ...DEFAULT_IMAGING, ...options };
+    if (!array.enabled) return null;
+
+    // A private copy so the scan does not disturb the displayed array
+    const tx = new PhasedArray({
+        ...array.toJSON(),
+        complexWeights: null,
+        absorption: array.absorption,
+        layers: array.layers
+    });
+    const layers = array.layers;
+    const speed = tx.speedOfSound;
+    const frequency = tx.frequency;
+    const wavelength = speed / frequency;
+    const depth = opts.depth > 0 ? opts.depth
+        : (isFinite(tx.focalDistance) ? 2 * tx.focalDistance : 200 * wavelength);
+    const origin = tx.position;
+    const orientation = tx.orientation;
+
+    const lines = Math.max(1, Math.round(opts.lines));
+    const angles = [];
+    for (let l = 0; l < lines; l++) {
+        angles.push(lines > 1 ? -opts.sector / 2 + opts.sector * l / (lines - 1) : 0);
+    }
+
+    // A focused scan fires one event per line and images that line; every
+    // event of a sequence images every line
+    const allLines = angles.map((_, l) => l);
+    const sequence = opts.events || (tx.sequence.type === 'single' ? null : tx.getTransmitEvents());
+    const shots = sequence
+        ? sequence.map(event => ({ event, lines: allLines }))
+        : angles.map((angle, l) => ({
+            event: { steeringAngle: angle, focalDistance: tx.focalDistance, aperture: null },
+            lines: [l]
+        }));
+
+    const phantom = [...scatterers, ...speckle(opts, origin, orientation, depth)];
+    const elements = tx.getElementData();
+    const reach = Math.max(0, ...elements.map(el => Math.hypot(el.x - origin.x, el.y - origin.y, el.z)));
+    const sigma = imagingPulse(tx.excitation, frequency);
+    const rate = SAMPLES_PER_CYCLE * frequency;
+    const numSamples = Math.ceil((2 * (depth + reach) / speed + 2 * PULSE_SPAN * sigma) * rate);
+
+    // Receive paths do not depend on the transmit: compute them once per scatterer
+    const echoes = phantom.map(s => ({
+        ...s,
+        receive: tx.getSteeringVectorAt(s.x, s.y, 0),
+        returnTimes: elements.map(el => tracePath(layers, speed, el.x, el.y, el.z, s.x, s.y, 0).time),
+        // Extra transmit time the layers add over a straight ray at the background speed
+        excess: tracePath(layers, speed, origin.x, origin.y, 0, s.x, s.y, 0).time -
+            Math.hypot(s.x - origin.x, s.y - origin.y) / speed
+    }));
+
+    const step = wavelength / PIXELS_PER_WAVELENGTH;
+    const count = Math.ceil(depth / step);
+    const receiver = {
+        elements,
+        normals: elements.map(el => ({ x: Math.sin(el.normal), y: Math.cos(el.normal) })),
+        speed, rate, fNumber: opts.fNumber,
+        apodization: computeWindow(opts.window, 201)
+    };
+    const sums = angles.map(() => ({ real: new Float32Array(count), imag: new Float32Array(count) }));
+    shots.forEach(({ event, lines: imaged }) => {
+        tx.transmitEvent = event;
+        const transmitTime = transmitModel(tx, event, speed);
+        const rf = synthesizeEchoes(tx, echoes, transmitTime, numSamples, rate, sigma);
+        imaged.forEach(l => {
+            const angle = (orientation + angles[l]) * Math.PI / 180;
+            beamformLine(rf, sums[l], { origin, angle, step }, transmitTime, receiver);
+        });
+    });
+
+    // Envelope, log-compressed relative to the brightest sample of the image
+    const image = sums.map(({ real, imag }) => real.map((re, k) => Math.hypot(re, imag[k])));
+    let peak = 0;
+    image.forEach(line => line.forEach(v => { peak = Math.max(peak, v); }));
+    image.forEach(line => {
+        for (let k = 0; k < line.length; k++) {
+            line[k] = peak > 0 ? Math.max(FLOOR_DB, 20 * Math.log10(line[k] / peak + 1e-12)) : FLOOR_DB;
+        }
+    });
+
+    const result = {
+        angles, orientation, origin, step, depth,
+        transmits: shots.length,
+        compounded: Boolean(sequence),
+        image
+    };
+    result.quality = imageQuality(result);
+    return result;
+}
+
+/**
+ * Resolution and clutter of an image: the -6 dB widths of its brightest
+ * target and the median level
+ * @param {Object} result - From simulateBMode
+ * @returns {{lateral: number, axial: number, background: number}} Widths in
+ *          the length unit of the result, background in dB re the peak
+ */
+export function imageQuality(result) {
+    const { image, angles, step } = result;
+    let best = { value: -Infinity, line: 0, sample: 0 };
+    image.forEach((line, l) => line.forEach((v, k) => {
+        if (v > best.value) best = { value: v, line: l, sample: k };
+    }));
+
+    const axial = halfPowerWidth(image[best.line], best.sample) * step;
+    const spacing = angles.length > 1 ? (angles[1] - angles[0]) * Math.PI / 180 : 0;
+    const across = image.map(line => line[best.sample]);
+    const lateral = halfPowerWidth(across, best.line) * spacing * best.sample * step;
+
+    const levels = [];
+    image.forEach(line => line.forEach(v => levels.push(v)));
+    levels.sort((a, b) => a - b);
+    return { lateral, axial, background: levels[Math.floor(levels.length / 2)] };
+}
+
+/**
+ * Width between the -6 dB crossings either side of a peak, in samples,
+ * interpolated linearly in dB
+ * @private
+ */
+function halfPowerWidth(values, index) {
+    const level = values[index] - 6;
+    const crossing = (dir) => {
+        let i = index;
+        while (i + dir >= 0 && i + dir < values.length && values[i + dir] > level) i += dir;
+        if (i + dir < 0 || i + dir >= values.length) return i;
+        return i + dir * (values[i] - level) / (values[i] - values[i + dir]);
+    };
+    return crossing(1) - crossing(-1);
+}
+
+/**
+ * Time the transmit event's wavefront reaches (x, y), along straight rays at
+ * the background speed: through the focus of focused events, from the center
+ * of the firing elements for sub-aperture events and as a plane wave
+ * otherwise. The beamformer's transmit delay, and with the layer delay the
+ * arrival of the synthesized pulse
+ * @private
+ */
+function transmitModel(tx, event, speed) {
+    const origin = tx.position;
+    const rad = (tx.orientation + event.steeringAngle) * Math.PI / 180;
+    const ux = Math.sin(rad);
+    const uy = Math.cos(rad);
+
+    if (isFinite(event.focalDistance)) {
+        // Converging to the focus at f / c, diverging from it afterwards
+        const f = event.focalDistance;
+        const fx = origin.x + f * ux;
+        const fy = origin.y + f * uy;
+        return (x, y) => {
+            const d = Math.hypot(x - fx, y - fy);
+            return (f + ((x - fx) * ux + (y - fy) * uy >= 0 ? d : -d)) / speed;
+        };
+    }
+    if (event.aperture) {
+        let weight = 0, ax = 0, ay = 0;
+        tx.getElementData().forEach(el => {
+            weight += el.amplitude;
+            ax += el.amplitude * el.x;
+            ay += el.amplitude * el.y;
+        });
+        if (weight > 0) {
+            ax /= weight;
+            ay /= weight;
+            const start = ((ax - origin.x) * ux + (ay - origin.y) * uy) / speed;
+            return (x, y) => start + Math.hypot(x - ax, y - ay) / speed;
+        }
+    }
+    return (x, y) => ((x - origin.x) * ux + (y - origin.y) * uy) / speed;
+}
+
+/**
+ * Gaussian sigma of the transmitted pulse: the array's tone burst, or a
+ * default burst for CW and chirp excitations (no pulse compression)
+ * @private
+ */
+function imagingPulse(excitation, frequency) {
+    const burst = excitation.type === 'burst' ? excitation : { type: 'burst', bandwidth: BURST_BANDWIDTH };
+    return pulseParameters(burst, frequency).width;
+}
+
+/**
+ * Random background scatterers, uniform over the area of the imaged sector
+ * @private
+ */
+function speckle(opts, origin, orientation, depth) {
+    const random = createRandom(opts.seed);
+    const points = [];
+    for (let i = 0; i < Math.round(opts.speckle); i++) {
+        const r = depth * Math.sqrt(random());
+        const angle = (orientation + (random() - 0.5) * opts.sector) * Math.PI / 180;
+        points.push({
+            x: origin.x + r * Math.sin(angle),
+            y: origin.y + r * Math.cos(angle),
+            reflection: complexGaussian(random, 2 * SPECKLE_LEVEL * SPECKLE_LEVEL).real
+        });
+    }
+    return points;
+}
+
+/**
+ * Analytic RF echoes received by each element for the array's current
+ * transmit: σ P_tx g_j e^(-jωt) under the pulse envelope, which reaches
+ * element j at the transmit arrival plus the return time
+ * @private
+ */
+function synthesizeEchoes(tx, echoes, transmitTime, numSamples, rate, sigma) {
+    const numElements = tx.elementCount;
+    const real = Array.from({ length: numElements }, () => new Float32Array(numSamples));
+    const imag = Array.from({ length: numElements }, () => new Float32Array(numSamples));
+    const omega = 2 * Math.PI * tx.frequency;
+    const span = PULSE_SPAN * sigma;
+    const dt = 1 / rate;
+    const ratioStep = Math.exp(-dt * dt / (sigma * sigma));
+    const stepR = Math.cos(omega * dt);
+    const stepI = -Math.sin(omega * dt);
+
+    for (const echo of echoes) {
+        const field = tx.calculateComplexFieldAt(echo.x, echo.y, 0);
+        const ar = echo.reflection * field.real;
+        const ai = echo.reflection * field.imag;
+        if (ar === 0 && ai === 0) continue;
+
+        const transmit = transmitTime(echo.x, echo.y) + echo.excess;
+        echo.receive.forEach((g, j) => {
+            const cr = ar * g.real - ai * g.imag;
+            const ci = ar * g.imag + ai * g.real;
+            if (cr === 0 && ci === 0) return;
+            const arrival = transmit + echo.returnTimes[j];
+            const first = Math.max(0, Math.ceil((arrival - span) * rate));
+            const last = Math.min(numSamples - 1, Math.floor((arrival + span) * rate));
+            if (first > last) return;
+
+            // Carrier e^(-jωt) and Gaussian envelope by recurrence from the first sample
+            const t0 = first / rate;
+            const u0 = t0 - arrival;
+            let envelope = Math.exp(-u0 * u0 / (2 * sigma * sigma));
+            let ratio = Math.exp(-(2 * u0 * dt + dt * dt) / (2 * sigma * sigma));
+            let zr = Math.cos(omega * t0);
+            let zi = -Math.sin(omega * t0);
+            const re = real[j];
+            const im = imag[j];
+            for (let k = first; k <= last; k++) {
+                re[k] += envelope * (cr * zr - ci * zi);
+                im[k] += envelope * (cr * zi + ci * zr);
+                envelope *= ratio;
+                ratio *= ratioStep;
+                const next = zr * stepR - zi * stepI;
+                zi = zr * stepI + zi * stepR;
+                zr = next;
+            }
+        });
+    }
+    return { real, imag };
+}
+
+/**
+ * Delay-and-sum along one scan line with dynamic receive focusing, added to
+ * the line's running sum: every range sample is focused on its own point, at
+ * the event's transmit time plus the return time. Elements see the point
+ * within their acceptance angle, tan θ ≤ 1 / (2 F#) from the element normal,
+ * so the active aperture grows with depth; the window tapers it
+ * @private
+ */
+function beamformLine(rf, sum, { origin, angle, step }, transmitTime, { elements, normals, speed, rate, fNumber, apodization }) {
+    const dirX = Math.sin(angle);
+    const dirY = Math.cos(angle);
+    const last = apodization.length - 1;
+    const length = rf.real[0] ? rf.real[0].length : 0;
+
+    for (let k = 0; k < sum.real.length; k++) {
+        const r = k * step;
+        const px = origin.x + r * dirX;
+        const py = origin.y + r * dirY;
+        const start = transmitTime(px, py);
+        let sumR = 0;
+        let sumI = 0;
+        for (let j = 0; j < elements.length; j++) {
+            const el = elements[j];
+            const dx = px - el.x;
+            const dy = py - el.y;
+            const along = dx * normals[j].x + dy * normals[j].y;
+            if (along <= 0) continue;
+            const dist = Math.sqrt(dx * dx + dy * dy + el.z * el.z);
+            const across = Math.sqrt(Math.max(0, dist * dist - along * along));
+            const position = 2 * fNumber * across / along; // Aperture coordinate, ±1 at the edge
+            if (position > 1) continue;
+
+            // Sign does not matter: every window is symmetric
+            const weight = apodization[Math.round((1 + position) / 2 * last)];
+            const s = (start + dist / speed) * rate;
+            const i = Math.floor(s);
+            if (i < 0 || i + 1 >= length) continue;
+            const f = s - i;
+            const re = rf.real[j];
+            const im = rf.imag[j];
+            sumR += weight * (re[i] * (1 - f) + re[i + 1] * f);
+            sumI += weight * (im[i] * (1 - f) + im[i + 1] * f);
+        }
+        sum.real[k] += sumR;
+        sum.imag[k] += sumI;
+    }
+}
@@ -0,0 +1,179 @@
+/**
+ * Interferers.js - Interfering Emitters (Jammers)
+ * - Isotropic point sources with their own frequency, power and optional AM
+ * - Field and time-averaged intensity using the same spreading, absorption, refraction
+ *   and multipath model as the arrays
+ * - Probe SINR: array signal vs interferer power plus a noise floor
+ *
+ * Interferers are independent of the arrays, so they never add coherently
+ * with array elements (or with each other) in the time-averaged intensity.
+ */
+
+import { absorptionFactor } from './Media.js';
+import { tracePath } from './Layers.js';
+import { wallBounces, splitReflectors } from './Reflectors.js';
+
+export const DEFAULT_INTERFERER = {
+    power: 20,            // dB relative to a single unit-amplitude array element
+    frequency: 1.0,       // Normalized to the scenario base frequency
+    modulation: {
+        type: 'none',     // 'none' (CW) or 'am'
+        rate: 0.05,       // Modulation frequency (same units as frequency)
+        depth: 0.8        // AM index, 0..1
+    }
+};
+
+/**
+ * Create an interferer record
+ * @param {string} id
+ * @param {Object} conf - {name, x, y, power, frequency, modulation}
+ */
+export function createInterferer(id, conf = {}) {
+    return {
+        id,
+        name: conf.name || id,
+        x: conf.x || 0,
+        y: conf.y || 0,
+        power: conf.power !== undefined ? conf.power : DEFAULT_INTERFERER.power,
+        frequency: conf.frequency || DEFAULT_INTERFERER.frequency,
+        modulation: { ...DEFAULT_INTERFERER.modulation, ...(conf.modulation || {}) }
+    };
+}
+
+/**
+ * Carrier amplitude of an interferer
+ */
+export function interfererAmplitude(intf) {
+    return Math.pow(10, intf.power / 20);
+}
+
+/**
+ * AM depth, 0 when unmodulated
+ */
+export function modulationDepth(intf) {
+    return intf.modulation && intf.modulation.type === 'am' ? intf.modulation.depth : 0;
+}
+
+/**
+ * Propagation paths from an interferer to a point: direct, wall images and
+ * scatterer echoes, each with its amplitude (spreading, absorption and
+ * reflection, per unit source amplitude) and travel time
+ * @private
+ */
+function propagationPaths(intf, x, y, z, environment, speedOfSound) {
+    const { absorption = null, layers = null } = environment;
+    const { walls, scatterers } = splitReflectors(environment.reflectors);
+    const attenuate = (length) => absorptionFactor(absorption, intf.frequency, length) / Math.sqrt(length + 0.1);
+    const leg = (x0, y0, z0, x1, y1, z1) => {
+        const ray = tracePath(layers, speedOfSound, x0, y0, z0, x1, y1, z1);
+        return { amp: attenuate(ray.length), time: ray.time, length: ray.length };
+    };
+
+    const paths = [leg(intf.x, intf.y, 0, x, y, z)];
+    for (const bounce of wallBounces(walls, intf.x, intf.y, x, y)) {
+        // Spreading and absorption over the whole reflected path
+        const zb = bounce.t * z;
+        const toWall = leg(intf.x, intf.y, 0, bounce.x, bounce.y, zb);
+        const fromWall = leg(bounce.x, bounce.y, zb, x, y, z);
+        paths.push({
+            amp: bounce.wall.reflection * attenuate(toWall.length + fromWall.length),
+            time: toWall.time + fromWall.time
+        });
+    }
+    for (const scatterer of scatterers) {
+        const incident = leg(intf.x, intf.y, 0, scatterer.x, scatterer.y, 0);
+        const echo = leg(scatterer.x, scatterer.y, 0, x, y, z);
+        paths.push({ amp: scatterer.reflection * incident.amp * echo.amp, time: incident.time + echo.time });
+    }
+    return paths;
+}
+
+/**
+ * Time-averaged intensity of an interferer at a point
+ * (an AM envelope 1 + m cos adds m^2/2 to the mean power)
+ * Interferers sit in the field plane; z is the height of the point above it.
+ * Wall images and scatterer echoes add coherently to the direct path.
+ * @param {Object} intf
+ * @param {number} x
+ * @param {number} y
+ * @param {number} z
+ * @param {Object} environment - {speedOfSound, absorption, layers, reflectors} as in
+ *        SimulationContext.globalSettings (see Media.js, Layers.js, Reflectors.js)
+ */
+export function interfererIntensityAt(intf, x, y, z = 0, environment = {}) {
+    const omega = 2 * Math.PI * intf.frequency;
+    let real = 0;
+    let imag = 0;
+    for (const { amp, time } of propagationPaths(intf, x, y, z, environment, environment.speedOfSound || 1)) {
+        real += amp * Math.cos(omega * time);
+        imag += amp * Math.sin(omega * time);
+    }
+    const a = interfererAmplitude(intf);
+    const m = modulationDepth(intf);
+    return a * a * (real * real + imag * imag) * (1 + m * m / 2);
+}
+
+/**
+ * Instantaneous interferer field at a point
+ * @param {Object} intf
+ * @param {number} x
+ * @param {number} y
+ * @param {number} time
+ * @param {number} speedOfSound
+ * @param {number} z - Height above the field plane
+ * @param {Object} environment - {absorption, layers, reflectors}, see interfererIntensityAt
+ */
+export function interfererFieldAt(intf, x, y, time, speedOfSound, z = 0, environment = {}) {
+    const m = modulationDepth(intf);
+    let sum = 0;
+    for (const { amp, time: travel } of propagationPaths(intf, x, y, z, environment, speedOfSound)) {
+        const retarded = time - travel;
+        const envelope = 1 + m * Math.cos(2 * Math.PI * intf.modulation.rate * retarded);
+        sum += amp * envelope * Math.cos(2 * Math.PI * intf.frequency * retarded);
+    }
+    return interfererAmplitude(intf) * sum;
+}
+
+/**
+ * Scatterer echoes of an interferer as point sources (see PhasedArray.getScatteredSources)
+ * @param {Object} intf
+ * @param {Object} environment - {speedOfSound, absorption, layers, reflectors}
+ * @returns {Array<{x: number, y: number, real: number, imag: number}>}
+ */
+export function interfererScatteredSources(intf, environment = {}) {
+    const { absorption = null, layers = null } = environment;
+    const omega = 2 * Math.PI * intf.frequency;
+    const a = interfererAmplitude(intf);
+    return splitReflectors(environment.reflectors).scatterers.map(s => {
+        const ray = tracePath(layers, environment.speedOfSound || 1, intf.x, intf.y, 0, s.x, s.y, 0);
+        const amp = s.reflection * a * absorptionFactor(absorption, intf.frequency, ray.length) / Math.sqrt(ray.length + 0.1);
+        return { x: s.x, y: s.y, real: amp * Math.cos(omega * ray.time), imag: amp * Math.sin(omega * ray.time) };
+    });
+}
+
+/**
+ * Signal, interference and noise at a probe position
+ * @param {SimulationContext} context - Arrays provide the desired signal
+ * @param {Iterable<Object>} interferers
+ * @param {number} x
+ * @param {number} y
+ * @param {number} noiseFloor - Noise power in dB (same intensity scale)
+ * @param {number} z - Probe height above the field plane
+ * @returns {{signal: number, interference: number, sinr: number}} All in dB
+ */
+export function calculateSinr(context, interferers, x, y, noiseFloor, z = 0) {
+    const toDb = (v) => 10 * Math.log10(v + 1e-30);
+
+    const signal = context.calculateIntensityAt(x, y, z);
+    let interference = 0;
+    for (const intf of interferers) {
+        interference += interfererIntensityAt(intf, x, y, z, context.globalSettings);
+    }
+    const noise = Math.pow(10, noiseFloor / 10);
+
+    return {
+        signal: toDb(signal),
+        interference: interference > 0 ? toDb(interference) : -Infinity,
+        sinr: toDb(signal / (interference + noise))
+    };
+}
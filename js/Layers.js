@@ -0,0 +1,159 @@
+/**
+ * Layers.js - Layered Media and Refraction
+ * - Horizontal layers (interfaces at constant y) with their own sound speed
+ * - Refracted ray paths between two points (Snell's law)
+ * - Travel times for the element fields and refraction-corrected focusing
+ *
+ * A layer starts at its depth and extends to the next layer's depth; above
+ * the first layer is the background medium (the global sound speed). Fields
+ * follow the refracted ray: the phase and pulse delay use its travel time,
+ * the spreading and absorption its length. Interfaces transmit fully (no
+ * reflection or impedance loss) and head waves are ignored. The heatmap
+ * shader traces the same rays as tracePath.
+ */
+
+// Must match MAX_LAYERS in the fragment shader
+export const MAX_LAYERS = 4;
+
+// Newton steps of the ray solver; the shader stops after the same number
+const MAX_ITERATIONS = 12;
+
+/**
+ * Convert layers in physical units to the normalized units of the simulation
+ * @param {Array<{name: string, depth: number, speedOfSound: number}>} layers - Depth in meters, speed in m/s
+ * @param {Object} physicsState - {speedOfSound, scaleFactor}
+ * @returns {Array<{name: string, depth: number, speed: number}>|null} Sorted by depth, depth in
+ *          wavelengths and speed relative to the background medium; null without layers
+ */
+export function normalizeLayers(layers, physicsState) {
+    if (!layers || layers.length === 0) return null;
+    return [...layers]
+        .sort((a, b) => a.depth - b.depth)
+        .slice(0, MAX_LAYERS)
+        .map(layer => ({
+            name: layer.name,
+            depth: layer.depth * physicsState.scaleFactor,
+            speed: layer.speedOfSound / physicsState.speedOfSound
+        }));
+}
+
+/**
+ * Sound speed at a depth
+ * @param {Array|null} layers - Normalized layers
+ * @param {number} y
+ * @param {number} baseSpeed - Background sound speed
+ * @returns {number}
+ */
+export function speedAt(layers, y, baseSpeed) {
+    let speed = 1;
+    if (layers) {
+        for (const layer of layers) {
+            if (y >= layer.depth) speed = layer.speed;
+        }
+    }
+    return speed * baseSpeed;
+}
+
+/**
+ * Layer bounds and speeds as packed for the heatmap shader
+ * @param {Array|null} layers - Normalized layers
+ * @returns {{count: number, bounds: Float32Array, speeds: Float32Array}} Region i spans
+ *          bounds[i]..bounds[i + 1] at speeds[i]; region 0 is the background and
+ *          unused regions start at 1e30
+ */
+export function shaderLayers(layers) {
+    const list = layers || [];
+    const bounds = new Float32Array(MAX_LAYERS + 2).fill(1e30);
+    const speeds = new Float32Array(MAX_LAYERS + 1).fill(1);
+    bounds[0] = -1e30;
+    list.forEach((layer, i) => {
+        bounds[i + 1] = layer.depth;
+        speeds[i + 1] = layer.speed;
+    });
+    return { count: list.length, bounds, speeds };
+}
+
+/**
+ * Refracted ray from (x0, y0, z0) to (x1, y1, z1)
+ *
+ * The ray keeps its horizontal slowness p = sin θ / c in every layer. With
+ * u = tan θ in the fastest layer crossed and r = c / c_max, the horizontal
+ * offset is Σ h r u / sqrt(1 + u² (1 - r²)) over the thickness h crossed in
+ * each layer. That is increasing and concave in u, so Newton's method from
+ * u = 0 approaches the root from below without overshooting.
+ *
+ * @param {Array|null} layers - Normalized layers
+ * @param {number} baseSpeed - Background sound speed; path lengths do not depend on it
+ * @returns {{time: number, length: number, direction: {x: number, y: number, z: number}}}
+ *          Travel time, path length and unit direction in which the ray leaves the source
+ */
+export function tracePath(layers, baseSpeed, x0, y0, z0, x1, y1, z1) {
+    const dx = x1 - x0;
+    const dy = y1 - y0;
+    const dz = z1 - z0;
+    const lateral = Math.sqrt(dx * dx + dz * dz);
+    const dist = Math.sqrt(lateral * lateral + dy * dy);
+    const straight = (speed) => ({
+        time: dist / speed,
+        length: dist,
+        direction: dist > 0 ? { x: dx / dist, y: dy / dist, z: dz / dist } : { x: 0, y: 1, z: 0 }
+    });
+
+    if (!layers || layers.length === 0) return straight(baseSpeed);
+
+    // Thickness crossed in the background and in each layer, top to bottom
+    const low = Math.min(y0, y1);
+    const high = Math.max(y0, y1);
+    const crossed = [];
+    let maxSpeed = 0;
+    for (let i = -1; i < layers.length; i++) {
+        const top = i < 0 ? -Infinity : layers[i].depth;
+        const bottom = i + 1 < layers.length ? layers[i + 1].depth : Infinity;
+        const h = Math.min(high, bottom) - Math.max(low, top);
+        if (h > 0) {
+            const speed = baseSpeed * (i < 0 ? 1 : layers[i].speed);
+            crossed.push({ h, speed });
+            maxSpeed = Math.max(maxSpeed, speed);
+        }
+    }
+
+    // Level paths stay in one layer
+    if (crossed.length === 0) return straight(speedAt(layers, y0, baseSpeed));
+    if (crossed.length === 1) return straight(crossed[0].speed);
+
+    crossed.forEach(seg => { seg.r = seg.speed / maxSpeed; });
+    let u = 0;
+    for (let iter = 0; iter < MAX_ITERATIONS; iter++) {
+        let offset = 0;
+        let slope = 0;
+        for (const { h, r } of crossed) {
+            const s = 1 + u * u * (1 - r * r);
+            offset += h * r * u / Math.sqrt(s);
+            slope += h * r / (s * Math.sqrt(s));
+        }
+        const step = (lateral - offset) / slope;
+        u += step;
+        if (step < 1e-9 * (1 + u)) break;
+    }
+
+    let time = 0;
+    let length = 0;
+    const secant = Math.sqrt(1 + u * u);
+    for (const { h, r, speed } of crossed) {
+        // h / cos θ in this layer
+        const segment = h * secant / Math.sqrt(1 + u * u * (1 - r * r));
+        length += segment;
+        time += segment / speed;
+    }
+
+    // Launch angle in the layer next to the source
+    const first = dy >= 0 ? crossed[0] : crossed[crossed.length - 1];
+    const sin = first.r * u / secant;
+    const cos = Math.sqrt(Math.max(0, 1 - sin * sin));
+    const toLateral = lateral > 0 ? sin / lateral : 0;
+    return {
+        time,
+        length,
+        direction: { x: dx * toLateral, y: Math.sign(dy) * cos, z: dz * toLateral }
+    };
+}
@@ -0,0 +1,396 @@
+/**
+ * LinearAlgebra.js - Small complex linear algebra toolkit
+ * - Complex scalars as {real, imag} (same shape PhasedArray returns)
+ * - Dense matrices as arrays of rows, vectors as plain arrays
+ * - Gaussian elimination solve/inverse for covariance-based beamformers
+ * - Hermitian eigendecomposition (Jacobi) and polynomial roots for subspace methods
+ *
+ * Sized for array processing (tens to a few hundred elements), not for speed.
+ */
+
+// ==================== SCALARS ====================
+
+export function complex(real = 0, imag = 0) {
+    return { real, imag };
+}
+
+export function cadd(a, b) {
+    return { real: a.real + b.real, imag: a.imag + b.imag };
+}
+
+export function csub(a, b) {
+    return { real: a.real - b.real, imag: a.imag - b.imag };
+}
+
+export function cmul(a, b) {
+    return {
+        real: a.real * b.real - a.imag * b.imag,
+        imag: a.real * b.imag + a.imag * b.real
+    };
+}
+
+export function cdiv(a, b) {
+    const den = b.real * b.real + b.imag * b.imag;
+    return {
+        real: (a.real * b.real + a.imag * b.imag) / den,
+        imag: (a.imag * b.real - a.real * b.imag) / den
+    };
+}
+
+export function cconj(a) {
+    return { real: a.real, imag: -a.imag };
+}
+
+export function cscale(a, s) {
+    return { real: a.real * s, imag: a.imag * s };
+}
+
+export function cabs2(a) {
+    return a.real * a.real + a.imag * a.imag;
+}
+
+export function cabs(a) {
+    return Math.sqrt(cabs2(a));
+}
+
+export function cexp(phase) {
+    return { real: Math.cos(phase), imag: Math.sin(phase) };
+}
+
+// ==================== VECTORS AND MATRICES ====================
+
+export function zeros(rows, cols) {
+    const m = [];
+    for (let i = 0; i < rows; i++) {
+        const row = [];
+        for (let j = 0; j < cols; j++) row.push(complex());
+        m.push(row);
+    }
+    return m;
+}
+
+export function identity(n) {
+    const m = zeros(n, n);
+    for (let i = 0; i < n; i++) m[i][i] = complex(1, 0);
+    return m;
+}
+
+/**
+ * Conjugate transpose
+ */
+export function hermitian(a) {
+    const rows = a.length;
+    const cols = a[0].length;
+    const out = zeros(cols, rows);
+    for (let i = 0; i < rows; i++) {
+        for (let j = 0; j < cols; j++) out[j][i] = cconj(a[i][j]);
+    }
+    return out;
+}
+
+export function matMul(a, b) {
+    const rows = a.length;
+    const inner = b.length;
+    const cols = b[0].length;
+    const out = zeros(rows, cols);
+    for (let i = 0; i < rows; i++) {
+        for (let k = 0; k < inner; k++) {
+            const aik = a[i][k];
+            if (aik.real === 0 && aik.imag === 0) continue;
+            for (let j = 0; j < cols; j++) {
+                const bkj = b[k][j];
+                out[i][j].real += aik.real * bkj.real - aik.imag * bkj.imag;
+                out[i][j].imag += aik.real * bkj.imag + aik.imag * bkj.real;
+            }
+        }
+    }
+    return out;
+}
+
+export function matVec(a, x) {
+    return a.map(row => {
+        let real = 0;
+        let imag = 0;
+        row.forEach((v, j) => {
+            real += v.real * x[j].real - v.imag * x[j].imag;
+            imag += v.real * x[j].imag + v.imag * x[j].real;
+        });
+        return { real, imag };
+    });
+}
+
+/**
+ * Inner product x^H y
+ */
+export function dot(x, y) {
+    let real = 0;
+    let imag = 0;
+    for (let i = 0; i < x.length; i++) {
+        real += x[i].real * y[i].real + x[i].imag * y[i].imag;
+        imag += x[i].real * y[i].imag - x[i].imag * y[i].real;
+    }
+    return { real, imag };
+}
+
+/**
+ * Accumulate scale * x x^H into r (in place)
+ */
+export function addOuter(r, x, scale = 1) {
+    const n = x.length;
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) {
+            // x_i * conj(x_j)
+            r[i][j].real += scale * (x[i].real * x[j].real + x[i].imag * x[j].imag);
+            r[i][j].imag += scale * (x[i].imag * x[j].real - x[i].real * x[j].imag);
+        }
+    }
+    return r;
+}
+
+export function trace(a) {
+    let real = 0;
+    let imag = 0;
+    for (let i = 0; i < a.length; i++) {
+        real += a[i][i].real;
+        imag += a[i][i].imag;
+    }
+    return { real, imag };
+}
+
+/**
+ * Solve A X = B by Gaussian elimination with partial pivoting
+ * @param {Array<Array<{real, imag}>>} a - n x n matrix (not modified)
+ * @param {Array<Array<{real, imag}>>} b - n x m right-hand sides (not modified)
+ * @returns {Array<Array<{real, imag}>>} X (n x m)
+ * @throws {Error} If A is singular
+ */
+export function solve(a, b) {
+    const n = a.length;
+    const m = b[0].length;
+    const aug = a.map((row, i) => [...row.map(v => ({ ...v })), ...b[i].map(v => ({ ...v }))]);
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        let best = cabs2(aug[col][col]);
+        for (let r = col + 1; r < n; r++) {
+            const mag = cabs2(aug[r][col]);
+            if (mag > best) {
+                best = mag;
+                pivot = r;
+            }
+        }
+        if (best < 1e-24) throw new Error('Matrix is singular');
+        if (pivot !== col) [aug[col], aug[pivot]] = [aug[pivot], aug[col]];
+
+        const inv = cdiv(complex(1, 0), aug[col][col]);
+        for (let j = col; j < n + m; j++) aug[col][j] = cmul(aug[col][j], inv);
+
+        for (let r = 0; r < n; r++) {
+            if (r === col) continue;
+            const factor = aug[r][col];
+            if (factor.real === 0 && factor.imag === 0) continue;
+            for (let j = col; j < n + m; j++) {
+                aug[r][j] = csub(aug[r][j], cmul(factor, aug[col][j]));
+            }
+        }
+    }
+
+    return aug.map(row => row.slice(n));
+}
+
+/**
+ * Solve A x = b for a single vector
+ */
+export function solveVector(a, b) {
+    return solve(a, b.map(v => [v])).map(row => row[0]);
+}
+
+export function inverse(a) {
+    return solve(a, identity(a.length));
+}
+
+// ==================== EIGENVALUES AND ROOTS ====================
+
+/**
+ * Eigendecomposition of a Hermitian matrix by cyclic complex Jacobi rotations
+ * @param {Array<Array<{real, imag}>>} a - n x n Hermitian matrix (not modified)
+ * @returns {{values: Array<number>, vectors: Array<Array<{real, imag}>>}} Real
+ *          eigenvalues in descending order; vectors[k] is the unit eigenvector of values[k]
+ */
+export function eigHermitian(a) {
+    const n = a.length;
+    const re = a.map(row => Float64Array.from(row, v => v.real));
+    const im = a.map(row => Float64Array.from(row, v => v.imag));
+    const vr = Array.from({ length: n }, (_, i) => Float64Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+    const vi = Array.from({ length: n }, () => new Float64Array(n));
+
+    let scale = 0;
+    for (let i = 0; i < n; i++) for (let j = 0; j < n; j++) scale += re[i][j] * re[i][j] + im[i][j] * im[i][j];
+
+    for (let sweep = 0; sweep < 50; sweep++) {
+        let off = 0;
+        for (let p = 0; p < n; p++) {
+            for (let q = p + 1; q < n; q++) off += re[p][q] * re[p][q] + im[p][q] * im[p][q];
+        }
+        if (off <= 1e-26 * scale) break;
+
+        for (let p = 0; p < n - 1; p++) {
+            for (let q = p + 1; q < n; q++) {
+                const r = Math.hypot(re[p][q], im[p][q]);
+                if (r === 0) continue;
+                // U = [[c, -s], [s e^(-jφ), c e^(-jφ)]] zeroes a_pq = r e^(jφ)
+                const er = re[p][q] / r;
+                const ei = -im[p][q] / r;
+                const theta = 0.5 * Math.atan2(-2 * r, re[q][q] - re[p][p]);
+                const c = Math.cos(theta);
+                const s = Math.sin(theta);
+
+                // Columns: A U
+                for (let k = 0; k < n; k++) {
+                    const qr = re[k][q] * er - im[k][q] * ei;
+                    const qi = re[k][q] * ei + im[k][q] * er;
+                    const pr = re[k][p];
+                    const pi = im[k][p];
+                    re[k][p] = c * pr + s * qr;
+                    im[k][p] = c * pi + s * qi;
+                    re[k][q] = c * qr - s * pr;
+                    im[k][q] = c * qi - s * pi;
+
+                    const wr = vr[k][q] * er - vi[k][q] * ei;
+                    const wi = vr[k][q] * ei + vi[k][q] * er;
+                    const ur = vr[k][p];
+                    const ui = vi[k][p];
+                    vr[k][p] = c * ur + s * wr;
+                    vi[k][p] = c * ui + s * wi;
+                    vr[k][q] = c * wr - s * ur;
+                    vi[k][q] = c * wi - s * ui;
+                }
+                // Rows: U^H (A U)
+                for (let k = 0; k < n; k++) {
+                    const qr = re[q][k] * er + im[q][k] * ei;
+                    const qi = im[q][k] * er - re[q][k] * ei;
+                    const pr = re[p][k];
+                    const pi = im[p][k];
+                    re[p][k] = c * pr + s * qr;
+                    im[p][k] = c * pi + s * qi;
+                    re[q][k] = c * qr - s * pr;
+                    im[q][k] = c * qi - s * pi;
+                }
+                re[p][q] = im[p][q] = re[q][p] = im[q][p] = 0;
+                im[p][p] = im[q][q] = 0;
+            }
+        }
+    }
+
+    const order = Array.from({ length: n }, (_, i) => i).sort((i, j) => re[j][j] - re[i][i]);
+    return {
+        values: order.map(i => re[i][i]),
+        vectors: order.map(k => Array.from({ length: n }, (_, i) => complex(vr[i][k], vi[i][k])))
+    };
+}
+
+/**
+ * Roots of a complex polynomial p(z) = c_0 + c_1 z + ... + c_n z^n by
+ * Aberth-Ehrlich iteration (Newton steps p/p' repelled by the other roots)
+ * @param {Array<{real, imag}>} coefficients - c_0 .. c_n
+ * @returns {Array<{real, imag}>} The n roots (fewer if leading coefficients vanish)
+ */
+export function polynomialRoots(coefficients) {
+    let n = coefficients.length - 1;
+    while (n > 0 && cabs2(coefficients[n]) === 0) n--;
+    if (n < 1) return [];
+
+    // Monic, highest power first
+    const lead = coefficients[n];
+    const c = [];
+    for (let k = n; k >= 0; k--) c.push(cdiv(coefficients[k], lead));
+
+    // Start on a circle of the roots' geometric mean radius, off any symmetry axis
+    const radius = Math.min(1e3, Math.max(1e-3, Math.pow(cabs(c[n]), 1 / n) || 1));
+    const roots = [];
+    for (let k = 0; k < n; k++) roots.push(cscale(cexp(2 * Math.PI * k / n + 0.4), radius));
+
+    for (let iter = 0; iter < 500; iter++) {
+        let change = 0;
+        for (let i = 0; i < n; i++) {
+            const z = roots[i];
+            // Horner for p and p'
+            let p = complex(1, 0);
+            let dp = complex();
+            for (let k = 1; k <= n; k++) {
+                dp = cadd(cmul(dp, z), p);
+                p = cadd(cmul(p, z), c[k]);
+            }
+            if (cabs2(p) === 0) continue;
+            const ratio = cabs2(dp) > 0 ? cdiv(p, dp) : complex(1e-6, 0);
+
+            let repulsion = complex();
+            for (let j = 0; j < n; j++) {
+                if (j !== i) {
+                    const d = csub(z, roots[j]);
+                    if (cabs2(d) > 0) repulsion = cadd(repulsion, cdiv(complex(1, 0), d));
+                }
+            }
+            const den = csub(complex(1, 0), cmul(ratio, repulsion));
+            const delta = cabs2(den) > 0 ? cdiv(ratio, den) : ratio;
+            if (!Number.isFinite(delta.real) || !Number.isFinite(delta.imag)) continue;
+            roots[i] = csub(z, delta);
+            change = Math.max(change, cabs(delta) / Math.max(1, cabs(roots[i])));
+        }
+        if (change < 1e-12) break;
+    }
+    return roots;
+}
+
+/**
+ * Eigenvalues of a small general (non-Hermitian) matrix, as the roots of its
+ * characteristic polynomial (Faddeev-LeVerrier)
+ * @param {Array<Array<{real, imag}>>} a - n x n matrix
+ * @returns {Array<{real, imag}>}
+ */
+export function eigenvalues(a) {
+    const n = a.length;
+    // det(zI - A) = z^n + c_{n-1} z^(n-1) + ... + c_0
+    const coefficients = new Array(n + 1);
+    coefficients[n] = complex(1, 0);
+    let m = zeros(n, n);
+    for (let k = 1; k <= n; k++) {
+        const am = matMul(a, m);
+        const prev = coefficients[n - k + 1];
+        for (let i = 0; i < n; i++) am[i][i] = cadd(am[i][i], prev);
+        m = am;
+        coefficients[n - k] = cscale(trace(matMul(a, m)), -1 / k);
+    }
+    return polynomialRoots(coefficients);
+}
+
+// ==================== RANDOM ====================
+
+/**
+ * Seeded uniform PRNG (mulberry32) so simulations are repeatable
+ * @param {number} seed
+ * @returns {Function} () -> [0, 1)
+ */
+export function createRandom(seed = 1) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Circular complex Gaussian sample with the given power (variance)
+ * @param {Function} random - Uniform generator
+ * @param {number} power
+ */
+export function complexGaussian(random, power = 1) {
+    const u1 = Math.max(random(), 1e-12);
+    const u2 = random();
+    // |z|^2 is exponential with mean `power`
+    const mag = Math.sqrt(-power * Math.log(u1));
+    return cscale(cexp(2 * Math.PI * u2), mag);
+}
@@ -1,23 +1,59 @@
 /**
  * PhasedArray.js - Physics Model for Phased Array Systems
- * - Element position calculations (linear and curved geometries)
+ * - Element position calculations (linear, curved, planar, circular, ring and custom geometries)
+ * - Element enable masks (sparse layouts and failed elements)
+ * - Element error injection for tolerance analysis
+ * - Steering hardware: continuous phase, N-bit phase shifters or true time delay
+ * - Pulsed excitation (tone bursts, chirps) and per-element envelope delays
+ * - Element directivity (element factor) about each element's normal
  * - Phase delay calculations for beam steering
- * - Wave propagation parameters
+ * - Amplitude tapering (apodization) weights
+ * - Wave propagation parameters (sound speed, absorption, layers)
+ * - Refraction-corrected focusing through layered media
+ * - Multipath: wall reflections (image sources) and point scatterers (Born)
+ * - Transmit sequences: per-event steering, focus and active aperture
  */
 
+import { computeWindow, sampleWindow, DEFAULT_WINDOW } from './Apodization.js';
+import { computeLayoutMask, DEFAULT_LAYOUT } from './SparseLayouts.js';
+import { pulseParameters, samplePulse, DEFAULT_EXCITATION } from './Excitation.js';
+import { elementFactor, ELEMENT_PATTERNS, DEFAULT_ELEMENT_PATTERN } from './ElementPatterns.js';
+import { absorptionFactor } from './Media.js';
+import { sequenceEvents, DEFAULT_SEQUENCE } from './Sequences.js';
+import { tracePath } from './Layers.js';
+import { wallBounces, splitReflectors } from './Reflectors.js';
+
 export class PhasedArray {
     /**
      * @param {Object} config - Configuration object
      * @param {string} config.name - Display name for the array
-     * @param {number} config.numElements - Number of transducer elements
+     * @param {number} config.numElements - Number of transducer elements (per row for planar arrays)
      * @param {number} config.pitch - Element spacing in meters
+     * @param {number} config.numRows - Rows of a planar array, stacked along z (out of the field plane)
+     * @param {number} config.rowPitch - Row spacing of a planar array in meters
      * @param {number} config.frequency - Operating frequency in Hz
-     * @param {number} config.steeringAngle - Beam steering angle in degrees
+     * @param {number} config.steeringAngle - Beam steering angle in degrees (azimuth)
+     * @param {number} config.elevationAngle - Elevation steering in degrees (planar arrays only)
      * @param {Object} config.position - Array center position {x, y} in meters
-     * @param {string} config.geometry - 'linear' or 'curved'
+     * @param {string} config.geometry - One of PhasedArray.GEOMETRIES
+     * @param {number} config.numRings - Rings of a concentric-ring array (outer ring has numElements)
+     * @param {Array<{x: number, y: number}>} config.customElements - Element coordinates of a
+     *        custom array in meters, in the array frame (x along the axis, y broadside)
      * @param {number} config.curvatureRadius - Radius for curved arrays in meters
      * @param {number} config.orientation - Array orientation angle in degrees
      * @param {number} config.focalDistance - Focus distance for near-field focusing
+     * @param {Object} config.window - Apodization {type, sidelobeLevel, nbar, beta}
+     * @param {Object} config.layout - Sparse layout {type, fill, seed}, see SparseLayouts.js
+     * @param {Array<boolean>} config.elementMask - Per-element on/off (false = failed), on top of the layout
+     * @param {Array<{real: number, imag: number}>} config.complexWeights - Beamformer weights overriding steering/window
+     * @param {Object} config.hardware - Steering hardware {type, bits}, type one of PhasedArray.HARDWARE_TYPES
+     * @param {Object} config.architecture - RF architecture {type, rfChains}, type one of PhasedArray.ARCHITECTURES
+     * @param {Object} config.excitation - Transmit waveform {type, bandwidth, duration, period}, see Excitation.js
+     * @param {Object} config.elementPattern - Element directivity {type, exponent, width}, see ElementPatterns.js
+     * @param {boolean} config.refractionCorrection - Focus with travel times through the layers
+     *        instead of assuming the background sound speed everywhere
+     * @param {Object} config.sequence - Transmit sequence {type, count, span, aperture, dwell, events},
+     *        see Sequences.js
      */
     constructor(config = {}) {
         // Unique identifier
@@ -29,29 +65,77 @@ export class PhasedArray {
         // Array parameters
         this._numElements = config.numElements || 16;
         this._pitch = config.pitch || 0.005; // 5mm default
+        this._numRows = config.numRows || 1;
+        this._rowPitch = config.rowPitch || this._pitch;
         this._frequency = config.frequency || 40000; // 40kHz default
         this._steeringAngle = config.steeringAngle || 0; // degrees
+        this._elevationAngle = config.elevationAngle || 0; // degrees
         this._position = config.position || { x: 0, y: -0.1 };
         this._geometry = config.geometry || 'linear';
         this._curvatureRadius = config.curvatureRadius || 0.1; // meters
+        this._numRings = config.numRings || 3;
+        this._customElements = config.customElements ? config.customElements.map(p => ({ x: p.x, y: p.y })) : null;
+        if (this._geometry === 'custom' && this._customElements) this._numElements = this._customElements.length;
         this._orientation = config.orientation || 0; // degrees
         this._focalDistance = config.focalDistance || Infinity;
         this._amplitude = config.amplitude || 1.0;
-        this._enabled = true;
+        this._window = { ...DEFAULT_WINDOW, ...(config.window || {}) };
+        this._layout = { ...DEFAULT_LAYOUT, ...(config.layout || {}) };
+        this._elementMask = config.elementMask ? config.elementMask.map(Boolean) : null;
+        this._elementErrors = null;
+        this._hardware = { type: 'phase', bits: 4, ...(config.hardware || {}) };
+        this._architecture = { type: 'digital', rfChains: 4, ...(config.architecture || {}) };
+        this._excitation = { ...DEFAULT_EXCITATION, ...(config.excitation || {}) };
+        this._elementPattern = { ...DEFAULT_ELEMENT_PATTERN, ...(config.elementPattern || {}) };
+        this._refractionCorrection = Boolean(config.refractionCorrection);
+        this._sequence = { ...DEFAULT_SEQUENCE, ...(config.sequence || {}) };
+        this._transmitEvent = null; // Sequence event currently firing, null for the static transmit
+        this._complexWeights = config.complexWeights ? config.complexWeights.map(w => ({ ...w })) : null;
+        this._streamWeights = null; // Precoded user streams (runtime), see setStreamWeights
+        this._streams = null;       // Their excitation {phases, weights}, see _calculateStreams
+        this._enabled = config.enabled !== undefined ? Boolean(config.enabled) : true;
 
         // Physical constants
         this._speedOfSound = config.speedOfSound || 343; // m/s in air
+        this._absorption = config.absorption || null; // Medium absorption, see Media.js
+        this._layers = config.layers || null; // Layered medium, see Layers.js
+        this.reflectors = config.reflectors || null; // Walls and scatterers, see Reflectors.js
 
         // Calculated properties cache
         this._elementPositions = [];
         this._elementPhases = [];
+        this._elementWeights = [];
         this._wavelength = 0;
         this._dirty = true;
+        this._revision = 0;
 
         // Initial calculation
         this._recalculate();
     }
 
+    // Upper bound per array; the heatmap texture holds several thousand in total
+    static MAX_ELEMENTS = 1024;
+
+    static GEOMETRIES = ['linear', 'curved', 'planar', 'circular', 'rings', 'custom'];
+
+    // Phase shifters hold their phase at every frequency (the beam squints off the
+    // design frequency); true time delays scale it with frequency (no squint)
+    static HARDWARE_TYPES = [
+        { key: 'phase', name: 'Phase Shifters' },
+        { key: 'quantized', name: 'N-bit Phase Shifters' },
+        { key: 'ttd', name: 'True Time Delay' }
+    ];
+
+    // RF chains behind the elements: one per element, one per subarray of
+    // analog phase shifters, or a single chain for the whole array. A single
+    // beam looks the same on all three; they differ in how many independent
+    // streams (setStreamWeights) the array can shape, see Hybrid.js
+    static ARCHITECTURES = [
+        { key: 'digital', name: 'Fully Digital' },
+        { key: 'hybrid', name: 'Hybrid (Subarrays)' },
+        { key: 'analog', name: 'Fully Analog' }
+    ];
+
     // Static ID generator
     static _idCounter = 0;
     static _generateId() {
@@ -62,7 +146,8 @@ export class PhasedArray {
 
     get numElements() { return this._numElements; }
     set numElements(value) {
-        this._numElements = Math.max(1, Math.min(64, Math.round(value)));
+        this._numElements = Math.max(1, Math.min(PhasedArray.MAX_ELEMENTS, Math.round(value)));
+        if (this._geometry === 'custom' && this._customElements) this._resizeCustomElements();
         this._dirty = true;
     }
 
@@ -72,6 +157,45 @@ export class PhasedArray {
         this._dirty = true;
     }
 
+    get numRows() { return this._numRows; }
+    set numRows(value) {
+        this._numRows = Math.max(1, Math.min(PhasedArray.MAX_ELEMENTS, Math.round(value)));
+        this._dirty = true;
+    }
+
+    get rowPitch() { return this._rowPitch; }
+    set rowPitch(value) {
+        this._rowPitch = Math.max(0.001, value);
+        this._dirty = true;
+    }
+
+    get numRings() { return this._numRings; }
+    set numRings(value) {
+        this._numRings = Math.max(1, Math.min(16, Math.round(value)));
+        this._dirty = true;
+    }
+
+    /**
+     * Custom element coordinates in the array frame (meters), null until set
+     */
+    get customElements() {
+        return this._customElements ? this._customElements.map(p => ({ ...p })) : null;
+    }
+    set customElements(value) {
+        const list = (value || []).slice(0, PhasedArray.MAX_ELEMENTS).map(p => ({ x: p.x, y: p.y }));
+        this._customElements = list.length > 0 ? list : null;
+        if (this._customElements) this._numElements = this._customElements.length;
+        this._dirty = true;
+    }
+
+    /**
+     * Total number of elements (rows x columns for planar arrays, all rings for ring arrays)
+     */
+    get elementCount() {
+        this._ensureCalculated();
+        return this._elementPositions.length;
+    }
+
     get frequency() { return this._frequency; }
     set frequency(value) {
         this._frequency = Math.max(0.1, value);
@@ -84,6 +208,12 @@ export class PhasedArray {
         this._dirty = true;
     }
 
+    get elevationAngle() { return this._elevationAngle; }
+    set elevationAngle(value) {
+        this._elevationAngle = Math.max(-90, Math.min(90, value));
+        this._dirty = true;
+    }
+
     get position() { return { ...this._position }; }
     set position(value) {
         this._position = { x: value.x || 0, y: value.y || 0 };
@@ -92,7 +222,16 @@ export class PhasedArray {
 
     get geometry() { return this._geometry; }
     set geometry(value) {
-        this._geometry = value === 'curved' ? 'curved' : 'linear';
+        const geometry = PhasedArray.GEOMETRIES.includes(value) ? value : 'linear';
+        if (geometry === 'custom' && this._geometry !== 'custom') {
+            // Start from the current layout (first row of a planar array) so nothing jumps
+            this._ensureCalculated();
+            this._customElements = this._elementPositions
+                .slice(0, this._geometry === 'planar' ? this._numElements : undefined)
+                .map(pos => this._toLocal(pos.x, pos.y));
+            this._numElements = this._customElements.length;
+        }
+        this._geometry = geometry;
         this._dirty = true;
     }
 
@@ -117,6 +256,138 @@ export class PhasedArray {
     get amplitude() { return this._amplitude; }
     set amplitude(value) {
         this._amplitude = Math.max(0, Math.min(2, value));
+        this._dirty = true;
+    }
+
+    get window() { return { ...this._window }; }
+    set window(value) {
+        this._window = { ...this._window, ...value };
+        this._dirty = true;
+    }
+
+    get layout() { return { ...this._layout }; }
+    set layout(value) {
+        this._layout = { ...this._layout, ...value };
+        this._dirty = true;
+    }
+
+    /**
+     * Explicit per-element on/off states (null = all on). Indices follow
+     * getElementData; missing entries count as on
+     */
+    get elementMask() { return this._elementMask ? [...this._elementMask] : null; }
+    set elementMask(value) {
+        this._elementMask = value ? value.map(Boolean) : null;
+        this._dirty = true;
+    }
+
+    /**
+     * Per-element errors on top of the ideal excitation, for tolerance analysis:
+     * {phase: radians, gain: amplitude factor, offset: {x, y} position error}.
+     * Each list is optional and indexed like getElementData. Position errors are
+     * applied after steering, so the phases do not compensate them. Not saved by toJSON
+     */
+    get elementErrors() { return this._elementErrors; }
+    set elementErrors(value) {
+        this._elementErrors = value || null;
+        this._dirty = true;
+    }
+
+    /**
+     * Steering hardware {type: 'phase' | 'quantized' | 'ttd', bits}; bits only
+     * applies to quantized phase shifters
+     */
+    get hardware() { return { ...this._hardware }; }
+    set hardware(value) {
+        const next = { ...this._hardware, ...value };
+        if (!PhasedArray.HARDWARE_TYPES.some(t => t.key === next.type)) next.type = 'phase';
+        next.bits = Math.max(1, Math.min(8, Math.round(next.bits)));
+        this._hardware = next;
+        this._dirty = true;
+    }
+
+    /**
+     * RF architecture {type: 'digital' | 'hybrid' | 'analog', rfChains}; rfChains
+     * only applies to hybrid arrays, see getRfChains
+     */
+    get architecture() { return { ...this._architecture }; }
+    set architecture(value) {
+        const next = { ...this._architecture, ...value };
+        if (!PhasedArray.ARCHITECTURES.some(a => a.key === next.type)) next.type = 'digital';
+        next.rfChains = Math.max(1, Math.min(PhasedArray.MAX_ELEMENTS, Math.round(next.rfChains)));
+        this._architecture = next;
+    }
+
+    /**
+     * Transmit waveform {type: 'cw' | 'burst' | 'chirp', bandwidth, duration, period};
+     * bandwidth is a fraction of the carrier, duration and period are in carrier cycles
+     */
+    get excitation() { return { ...this._excitation }; }
+    set excitation(value) {
+        const next = { ...this._excitation, ...value };
+        next.bandwidth = Math.max(0.05, Math.min(1, next.bandwidth));
+        next.duration = Math.max(1, next.duration);
+        next.period = Math.max(1, next.period);
+        this._excitation = next;
+        this._dirty = true;
+    }
+
+    /**
+     * Element directivity {type, exponent, width}; a null width follows the pitch
+     */
+    get elementPattern() { return { ...this._elementPattern }; }
+    set elementPattern(value) {
+        const next = { ...this._elementPattern, ...value };
+        if (!ELEMENT_PATTERNS.some(p => p.key === next.type)) next.type = 'isotropic';
+        next.exponent = Math.max(0, Math.min(10, next.exponent));
+        next.width = next.width === null ? null : Math.max(0.001, next.width);
+        this._elementPattern = next;
+        this._dirty = true;
+    }
+
+    /**
+     * Element pattern with the piston width resolved to a length
+     * @returns {{type: string, exponent: number, width: number}}
+     */
+    getElementPattern() {
+        const pattern = this._elementPattern;
+        return { ...pattern, width: pattern.width === null ? this._pitch : pattern.width };
+    }
+
+    /**
+     * Transmit sequence {type, count, span, aperture, dwell, events}, see Sequences.js
+     */
+    get sequence() {
+        const seq = { ...this._sequence };
+        if (seq.events) seq.events = seq.events.map(e => ({ ...e, aperture: e.aperture ? { ...e.aperture } : null }));
+        return seq;
+    }
+    set sequence(value) {
+        const next = { ...this._sequence, ...value };
+        next.count = Math.max(1, Math.round(next.count));
+        next.aperture = Math.max(1, Math.round(next.aperture));
+        this._sequence = next;
+    }
+
+    /**
+     * Transmit event overriding the steering angle, focus and active aperture
+     * (one of getTransmitEvents), or null for the static transmit
+     */
+    get transmitEvent() { return this._transmitEvent; }
+    set transmitEvent(value) {
+        this._transmitEvent = value ? { ...value } : null;
+        this._dirty = true;
+    }
+
+    /**
+     * Counts recalculations of the element data (positions, phases, weights,
+     * streams), a cheap cache key for views derived from it. Setters that change
+     * the radiated field mark the array dirty, even when the element data
+     * itself stays the same, so the revision follows them too
+     */
+    get revision() {
+        this._ensureCalculated();
+        return this._revision;
     }
 
     get enabled() { return this._enabled; }
@@ -130,6 +401,45 @@ export class PhasedArray {
         this._dirty = true;
     }
 
+    /**
+     * Medium absorption {coefficient, power}: amplitude α(f) = coefficient · f^power
+     * nepers per unit length (null = lossless). Set by SimulationContext like the
+     * sound speed, so it is not part of toJSON
+     */
+    get absorption() { return this._absorption ? { ...this._absorption } : null; }
+    set absorption(value) {
+        this._absorption = value ? { ...value } : null;
+    }
+
+    /**
+     * Layers {name, depth, speed} below the background medium, normalized (see
+     * Layers.normalizeLayers); null = homogeneous. Set by SimulationContext, so
+     * it is not part of toJSON
+     */
+    get layers() { return this._layers ? this._layers.map(l => ({ ...l })) : null; }
+    set layers(value) {
+        this._layers = value && value.length ? value.map(l => ({ ...l })) : null;
+        this._dirty = true;
+    }
+
+    /**
+     * Wall and scatterer records in normalized units (see Reflectors.js); null =
+     * free space. Set by SimulationContext, so it is not part of toJSON
+     */
+    get reflectors() { return this._reflectors ? this._reflectors.map(r => ({ ...r })) : null; }
+    set reflectors(value) {
+        this._reflectors = value && value.length ? value.map(r => ({ ...r })) : null;
+        const { walls, scatterers } = splitReflectors(this._reflectors);
+        this._walls = walls;
+        this._scatterers = scatterers;
+    }
+
+    get refractionCorrection() { return this._refractionCorrection; }
+    set refractionCorrection(value) {
+        this._refractionCorrection = Boolean(value);
+        this._dirty = true;
+    }
+
     get wavelength() {
         this._ensureCalculated();
         return this._wavelength;
@@ -137,8 +447,68 @@ export class PhasedArray {
 
     // ==================== GEOMETRY CALCULATIONS ====================
 
+    /**
+     * Rows actually laid out: planar arrays only, capped so the total stays within MAX_ELEMENTS
+     * @private
+     */
+    _rowCount() {
+        if (this._geometry !== 'planar') return 1;
+        return Math.max(1, Math.min(this._numRows, Math.floor(PhasedArray.MAX_ELEMENTS / this._numElements)));
+    }
+
+    /**
+     * Array frame (x along the axis, y broadside) to world coordinates.
+     * Orientation turns broadside from +Y toward +X (clockwise with y up), in
+     * the same sense as the steering angle, so an array oriented at θ and
+     * steered 0° faces and radiates along θ, and steering adds to it. Every
+     * geometry, the element normals, the patterns and the overlays use this
+     * frame
+     * @private
+     */
+    _toWorld(localX, localY) {
+        const orientationRad = this._orientation * Math.PI / 180;
+        const cos = Math.cos(orientationRad);
+        const sin = Math.sin(orientationRad);
+        return {
+            x: this._position.x + localX * cos + localY * sin,
+            y: this._position.y - localX * sin + localY * cos
+        };
+    }
+
+    /**
+     * World to array frame coordinates
+     * @private
+     */
+    _toLocal(x, y) {
+        const orientationRad = this._orientation * Math.PI / 180;
+        const cos = Math.cos(orientationRad);
+        const sin = Math.sin(orientationRad);
+        const dx = x - this._position.x;
+        const dy = y - this._position.y;
+        return { x: dx * cos - dy * sin, y: dx * sin + dy * cos };
+    }
+
+    /**
+     * Grow or shrink the custom element list to numElements, extending the
+     * last spacing (or the pitch) along the array axis
+     * @private
+     */
+    _resizeCustomElements() {
+        const list = this._customElements;
+        while (list.length > this._numElements) list.pop();
+        while (list.length < this._numElements) {
+            const last = list[list.length - 1];
+            const prev = list[list.length - 2];
+            const step = prev ? { x: last.x - prev.x, y: last.y - prev.y } : { x: this._pitch, y: 0 };
+            list.push({ x: last.x + step.x, y: last.y + step.y });
+        }
+    }
+
     /**
      * Calculate element positions based on geometry type
+     * Positions are 3D: the field plane is z = 0 and only planar arrays leave it.
+     * Each element also gets the direction its face points (normalAngle, radians
+     * from +Y toward +X like steering angles) for the element pattern.
      * @private
      */
     _calculateElementPositions() {
@@ -146,24 +516,69 @@ export class PhasedArray {
         const n = this._numElements;
         const orientationRad = this._orientation * Math.PI / 180;
 
-        if (this._geometry === 'linear') {
+        if (this._geometry === 'circular' || this._geometry === 'rings') {
+            // Uniform circular array (arc spacing = pitch), or concentric rings scaled
+            // down from it: ring m of M has radius R m/M and round(N m/M) elements.
+            // Angles are measured from broadside (+Y) toward +X, like steering
+            const outerRadius = this.getRingRadius();
+            const rings = this._geometry === 'rings' ? this._numRings : 1;
+
+            for (let m = rings; m >= 1; m--) {
+                const radius = outerRadius * m / rings;
+                // Inner rings are dropped once the per-array element budget is spent
+                const count = Math.min(Math.max(1, Math.round(n * m / rings)),
+                    PhasedArray.MAX_ELEMENTS - this._elementPositions.length);
+                for (let i = 0; i < count; i++) {
+                    const angle = 2 * Math.PI * i / count;
+                    const world = this._toWorld(radius * Math.sin(angle), radius * Math.cos(angle));
+                    this._elementPositions.push({
+                        ...world,
+                        z: 0,
+                        localIndex: this._elementPositions.length,
+                        normalAngle: orientationRad + angle // Facing outward
+                    });
+                }
+            }
+        } else if (this._geometry === 'custom' && this._customElements) {
+            // Arbitrary coordinates in the array frame, all facing broadside
+            this._customElements.forEach((p, i) => {
+                this._elementPositions.push({
+                    ...this._toWorld(p.x, p.y),
+                    z: 0,
+                    localIndex: i,
+                    normalAngle: orientationRad
+                });
+            });
+        } else if (this._geometry === 'planar') {
+            // Planar (URA) panel: columns along the array axis, rows stacked along z,
+            // row-major element order. Broadside stays +Y in the local frame
+            const rows = this._rowCount();
+            const startX = -(n - 1) * this._pitch / 2;
+            const startZ = -(rows - 1) * this._rowPitch / 2;
+
+            for (let r = 0; r < rows; r++) {
+                for (let c = 0; c < n; c++) {
+                    this._elementPositions.push({
+                        ...this._toWorld(startX + c * this._pitch, 0),
+                        z: startZ + r * this._rowPitch,
+                        localIndex: r * n + c,
+                        normalAngle: orientationRad
+                    });
+                }
+            }
+        } else if (this._geometry === 'linear' || this._geometry === 'custom') {
             // Linear array: elements arranged in a straight line
             const totalWidth = (n - 1) * this._pitch;
             const startOffset = -totalWidth / 2;
 
             for (let i = 0; i < n; i++) {
-                // Local coordinates (along array axis)
-                const localX = startOffset + i * this._pitch;
-                const localY = 0;
-
-                // Rotate by orientation and translate to position
-                const cos = Math.cos(orientationRad);
-                const sin = Math.sin(orientationRad);
-
-                const worldX = this._position.x + localX * cos - localY * sin;
-                const worldY = this._position.y + localX * sin + localY * cos;
-
-                this._elementPositions.push({ x: worldX, y: worldY, localIndex: i });
+                // Local coordinates (along array axis), rotated by orientation and translated
+                this._elementPositions.push({
+                    ...this._toWorld(startOffset + i * this._pitch, 0),
+                    z: 0,
+                    localIndex: i,
+                    normalAngle: orientationRad
+                });
             }
         } else {
             // Curved (convex) array: elements arranged on an arc
@@ -176,23 +591,17 @@ export class PhasedArray {
                 const elementAngle = startAngle + (i / (n - 1 || 1)) * totalAngle;
 
                 // Local coordinates on the arc
-                // Arc center is at (0, -radius) relative to array position
-                // Elements point outward (positive Y direction)
+                // Arc center is at (0, -radius) relative to array position:
+                // the arc is convex, its edges curving back (sagitta -R(1 - cos))
+                // Elements point outward (away from the arc center)
                 const localX = radius * Math.sin(elementAngle);
-                const localY = radius * (1 - Math.cos(elementAngle));
-
-                // Rotate by orientation and translate to position
-                const cos = Math.cos(orientationRad);
-                const sin = Math.sin(orientationRad);
-
-                const worldX = this._position.x + localX * cos - localY * sin;
-                const worldY = this._position.y + localX * sin + localY * cos;
+                const localY = -radius * (1 - Math.cos(elementAngle));
 
                 this._elementPositions.push({
-                    x: worldX,
-                    y: worldY,
+                    ...this._toWorld(localX, localY),
+                    z: 0,
                     localIndex: i,
-                    normalAngle: orientationRad + elementAngle + Math.PI / 2
+                    normalAngle: orientationRad + elementAngle
                 });
             }
         }
@@ -202,48 +611,81 @@ export class PhasedArray {
 
     /**
      * Calculate phase delays for beam steering and focusing
+     *
+     * Field convention (shared by calculateComplexFieldAt, getSteeringVectorAt
+     * and the heatmap shader): element i contributes
+     *   amplitude × w_i × spread(d_i) × exp(j (k d_i − φ_i)),  spread(d) = 1 / sqrt(d + 0.1)
+     * and the instantaneous field is Re{p e^(−jωt)}. A phase φ_i is therefore a
+     * delay: an element whose path to the target is longer by Δd gets
+     * φ_i = k Δd so every contribution arrives in phase. Both the far-field
+     * branch (projection on the steering direction) and the focusing branch
+     * (φ_i = k (|focus − e_i| − F)) use this sign. The 0.1 offset keeps the
+     * spreading finite at the element itself, so no distance guard is needed.
      * @private
      */
     _calculatePhaseDelays() {
         this._elementPhases = [];
-        const n = this._numElements;
-        const steeringRad = this._steeringAngle * Math.PI / 180;
+        const n = this._elementPositions.length;
+        const event = this._transmitEvent;
+        const steeringRad = (event ? event.steeringAngle : this._steeringAngle) * Math.PI / 180;
+        const focalDistance = event ? event.focalDistance : this._focalDistance;
         const orientationRad = this._orientation * Math.PI / 180;
         const k = 2 * Math.PI / this._wavelength; // Wave number
 
+        // Elevation only applies to planar arrays; line arrays have no aperture along z
+        const elevationRad = this._geometry === 'planar' ? this._elevationAngle * Math.PI / 180 : 0;
+        const cosElev = Math.cos(elevationRad);
+
         // Calculate steering direction components (global coordinates)
-        const sinDir = Math.sin(steeringRad + orientationRad);
-        const cosDir = Math.cos(steeringRad + orientationRad);
+        const sinDir = Math.sin(steeringRad + orientationRad) * cosElev;
+        const cosDir = Math.cos(steeringRad + orientationRad) * cosElev;
+        const zDir = Math.sin(elevationRad);
 
         // Pre-calculate focal point if needed
         let focalPoint = null;
-        if (isFinite(this._focalDistance)) {
+        if (isFinite(focalDistance)) {
             focalPoint = {
-                x: this._position.x + this._focalDistance * sinDir,
-                y: this._position.y + this._focalDistance * cosDir
+                x: this._position.x + focalDistance * sinDir,
+                y: this._position.y + focalDistance * cosDir,
+                z: focalDistance * zDir
             };
         }
 
+        // Refraction-corrected focusing: equalize the travel times along the refracted
+        // rays. Without it the focus assumes the background speed (aberrated in layers)
+        const corrected = focalPoint && this._layers && this._refractionCorrection;
+        const omega = 2 * Math.PI * this._frequency;
+        const centerTime = corrected
+            ? this._trace(this._position.x, this._position.y, 0, focalPoint.x, focalPoint.y, focalPoint.z).time
+            : 0;
+
         for (let i = 0; i < n; i++) {
             const elemPos = this._elementPositions[i];
             let phase = 0;
 
-            if (focalPoint) {
+            if (corrected) {
+                const ray = this._trace(elemPos.x, elemPos.y, elemPos.z, focalPoint.x, focalPoint.y, focalPoint.z);
+                phase += omega * (ray.time - centerTime);
+            } else if (focalPoint) {
                 // Near-field focusing: align phases to arrive at focal point simultaneously
                 const distToFocus = Math.sqrt(
                     Math.pow(focalPoint.x - elemPos.x, 2) +
-                    Math.pow(focalPoint.y - elemPos.y, 2)
+                    Math.pow(focalPoint.y - elemPos.y, 2) +
+                    Math.pow(focalPoint.z - elemPos.z, 2)
                 );
 
-                // Phase correction relative to array center
-                phase -= k * (distToFocus - this._focalDistance);
+                // Phase correction relative to array center. Same sign convention as the
+                // far-field branch: elements closer to the focus get a negative phase.
+                // Subtracting it (as before the intensity mode) doubles the path
+                // differences instead of cancelling them and spreads the beam
+                phase += k * (distToFocus - focalDistance);
             } else {
                 // Far-field steering: align phases for plane wave in steering direction
                 const offsetX = elemPos.x - this._position.x;
                 const offsetY = elemPos.y - this._position.y;
 
                 // Projection of element position onto steering direction
-                const projection = offsetX * sinDir + offsetY * cosDir;
+                const projection = offsetX * sinDir + offsetY * cosDir + elemPos.z * zDir;
 
                 phase -= k * projection;
             }
@@ -260,7 +702,266 @@ export class PhasedArray {
         this._wavelength = this._speedOfSound / this._frequency;
         this._calculateElementPositions();
         this._calculatePhaseDelays();
+        this._elementWeights = this._calculateWindowWeights();
+        this._applyComplexWeights();
+        this._applyHardware();
+        this._applyElementErrors();
+        this._activeMask = this._calculateActiveMask();
+        this._elementWeights = this._elementWeights.map((w, i) => this._activeMask[i] ? w : 0);
+        this._streams = this._calculateStreams();
         this._dirty = false;
+        this._revision++;
+    }
+
+    /**
+     * Apodization weights; planar arrays use the separable product of the
+     * window along the columns and along the rows, 2D layouts a radial taper
+     * @private
+     */
+    _calculateWindowWeights() {
+        if (['circular', 'rings', 'custom'].includes(this._geometry)) {
+            // Radial taper about the array center; a single ring stays uniform
+            const radii = this._elementPositions.map(pos => {
+                const p = this._toLocal(pos.x, pos.y);
+                return Math.sqrt(p.x * p.x + p.y * p.y);
+            });
+            const maxRadius = Math.max(...radii) || 1;
+            return sampleWindow(this._window.type, radii.map(r => r / maxRadius), this._window);
+        }
+
+        const columns = computeWindow(this._window.type, this._numElements, this._window);
+        const rows = this._rowCount();
+        if (rows === 1) return columns;
+
+        const rowWeights = computeWindow(this._window.type, rows, this._window);
+        const weights = [];
+        rowWeights.forEach(wr => columns.forEach(wc => weights.push(wr * wc)));
+        return weights;
+    }
+
+    /**
+     * Replace steering phases and window weights with explicit beamformer weights.
+     * Weights follow the receive convention y = w^H x, so by reciprocity the
+     * transmitted element excitation is conj(w): phase = arg(w), amplitude = |w|.
+     * Precoded streams show as their sum (every stream sending the same symbol)
+     * @private
+     */
+    _applyComplexWeights() {
+        if (this._streamWeights && this._streamWeights.some(w => w.length !== this._elementPositions.length)) {
+            this._streamWeights = null;
+        }
+        const weights = this._complexWeights || (this._streamWeights && this._streamWeights[0].map((_, i) => ({
+            real: this._streamWeights.reduce((sum, w) => sum + w[i].real, 0),
+            imag: this._streamWeights.reduce((sum, w) => sum + w[i].imag, 0)
+        })));
+        if (!weights) return;
+
+        if (weights.length !== this._elementPositions.length) {
+            // Stale after an element count change
+            this._complexWeights = null;
+            return;
+        }
+
+        const mags = weights.map(w => Math.sqrt(w.real * w.real + w.imag * w.imag));
+        const peak = Math.max(...mags) || 1;
+        this._elementPhases = weights.map(w => Math.atan2(w.imag, w.real));
+        this._elementWeights = mags.map(m => m / peak);
+    }
+
+    /**
+     * Round phases to the nearest N-bit phase shifter state
+     * (LSB = 360° / 2^bits). Continuous and true-time-delay hardware keep the
+     * ideal phases; at the design frequency a delay and a phase are the same
+     * @private
+     */
+    _applyHardware() {
+        this._elementPhases = this._elementPhases.map(phase => this._quantizePhase(phase));
+    }
+
+    /**
+     * One phase through the steering hardware (see _applyHardware)
+     * @private
+     */
+    _quantizePhase(phase) {
+        if (this._hardware.type !== 'quantized') return phase;
+
+        const lsb = 2 * Math.PI / Math.pow(2, this._hardware.bits);
+        return Math.round(phase / lsb) * lsb;
+    }
+
+    /**
+     * Excitation of each precoded stream, phase arg(w) and amplitude |w| as in
+     * _applyComplexWeights but without the peak normalization, so the streams
+     * keep the precoder's power split. The hardware, element errors and active
+     * mask apply as they do to the main excitation
+     * @private
+     */
+    _calculateStreams() {
+        if (!this._streamWeights) return null;
+
+        return this._streamWeights.map(weights => this._streamExcitation(weights));
+    }
+
+    /**
+     * Excitation {phases, weights} of one weight vector through the hardware
+     * and the element errors
+     * @private
+     */
+    _streamExcitation(weights) {
+        const errors = this._elementErrors || {};
+        return {
+            phases: weights.map((w, i) =>
+                this._quantizePhase(Math.atan2(w.imag, w.real)) + (errors.phase ? errors.phase[i] || 0 : 0)),
+            weights: weights.map((w, i) => {
+                if (!this._activeMask[i]) return 0;
+                const gain = errors.gain && errors.gain[i] !== undefined ? errors.gain[i] : 1;
+                return Math.hypot(w.real, w.imag) * gain;
+            })
+        };
+    }
+
+    /**
+     * Run fn with a stream's excitation in place of the main one
+     * @private
+     */
+    _withStream(stream, fn) {
+        const phases = this._elementPhases;
+        const weights = this._elementWeights;
+        this._elementPhases = stream.phases;
+        this._elementWeights = stream.weights;
+        try {
+            return fn();
+        } finally {
+            this._elementPhases = phases;
+            this._elementWeights = weights;
+        }
+    }
+
+    /**
+     * Perturb positions, phases and weights with the injected element errors
+     * @private
+     */
+    _applyElementErrors() {
+        const errors = this._elementErrors;
+        if (!errors) return;
+
+        this._elementPositions.forEach((pos, i) => {
+            if (errors.offset && errors.offset[i]) {
+                pos.x += errors.offset[i].x;
+                pos.y += errors.offset[i].y;
+            }
+            if (errors.phase) this._elementPhases[i] += errors.phase[i] || 0;
+            if (errors.gain && errors.gain[i] !== undefined) this._elementWeights[i] *= errors.gain[i];
+        });
+    }
+
+    /**
+     * Layout mask AND the explicit element mask AND the aperture of the
+     * transmit event. Planar arrays thin their columns, so every row gets the
+     * same layout
+     * @private
+     */
+    _calculateActiveMask() {
+        const n = this._elementPositions.length;
+        const period = this._geometry === 'planar' ? this._numElements : n;
+        const layout = computeLayoutMask(this._layout.type, period, this._layout);
+        const explicit = this._elementMask || [];
+        const aperture = this._transmitEvent && this._transmitEvent.aperture;
+
+        const mask = [];
+        for (let i = 0; i < n; i++) {
+            const column = i % period;
+            const firing = !aperture || (column >= aperture.start && column < aperture.start + aperture.size);
+            mask.push(layout[column] && explicit[i] !== false && firing);
+        }
+        return mask;
+    }
+
+    /**
+     * Element factor of one element toward a direction (dx, dy, dz), which need
+     * not be normalized
+     * @private
+     */
+    _elementFactorToward(pos, dx, dy, dz, k, pattern) {
+        if (pattern.type === 'isotropic') return 1;
+        const len = Math.sqrt(dx * dx + dy * dy + dz * dz);
+        if (len === 0) return 1;
+
+        const nx = Math.sin(pos.normalAngle);
+        const ny = Math.cos(pos.normalAngle);
+        return elementFactor(pattern, (dx * nx + dy * ny) / len, (dx * ny - dy * nx) / len, k);
+    }
+
+    /**
+     * Ray from (x0, y0, z0) to (x1, y1, z1) through the layers (straight when homogeneous)
+     * @private
+     */
+    _trace(x0, y0, z0, x1, y1, z1) {
+        return tracePath(this._layers, this._speedOfSound, x0, y0, z0, x1, y1, z1);
+    }
+
+    /**
+     * Amplitude and travel time from a source at pos to (x, y, z): element factor
+     * (skipped without a pattern), cylindrical spreading with the shader's offset
+     * and absorption along the (refracted) ray. With a bounce the ray runs in two
+     * legs via the specular point {x, y, t} (see Reflectors.specularPoint)
+     * @private
+     */
+    _propagate(pos, x, y, z, k, pattern, bounce = null) {
+        const z0 = pos.z || 0;
+        let { time, length, direction } = bounce
+            ? this._trace(pos.x, pos.y, z0, bounce.x, bounce.y, z0 + bounce.t * (z - z0))
+            : this._trace(pos.x, pos.y, z0, x, y, z);
+        if (bounce) {
+            const leg = this._trace(bounce.x, bounce.y, z0 + bounce.t * (z - z0), x, y, z);
+            time += leg.time;
+            length += leg.length;
+        }
+        const factor = pattern ? this._elementFactorToward(pos, direction.x, direction.y, direction.z, k, pattern) : 1;
+        return {
+            amp: factor * absorptionFactor(this._absorption, this._frequency, length) / Math.sqrt(length + 0.1),
+            time
+        };
+    }
+
+    /**
+     * Paths from an element to (x, y): direct, then one per wall reflection that
+     * reaches the point, each with its reflection gain and bounce point
+     * @private
+     */
+    _elementPaths(pos, x, y) {
+        const paths = [{ gain: 1, bounce: null }];
+        for (const bounce of wallBounces(this._walls, pos.x, pos.y, x, y)) {
+            paths.push({ gain: bounce.wall.reflection, bounce });
+        }
+        return paths;
+    }
+
+    /**
+     * Field phasor of the elements alone: direct paths plus wall images
+     * @private
+     */
+    _radiatedFieldAt(x, y, z, withImages) {
+        const k = 2 * Math.PI / this._wavelength;
+        const omega = 2 * Math.PI * this._frequency;
+        const pattern = this.getElementPattern();
+
+        let realSum = 0;
+        let imagSum = 0;
+
+        this._elementPositions.forEach((pos, i) => {
+            const weight = this._amplitude * this._elementWeights[i];
+            if (weight === 0) return;
+            const paths = withImages ? this._elementPaths(pos, x, y) : [{ gain: 1, bounce: null }];
+            for (const path of paths) {
+                const { amp, time } = this._propagate(pos, x, y, z, k, pattern, path.bounce);
+                const totalPhase = omega * time - this._elementPhases[i];
+                realSum += weight * path.gain * amp * Math.cos(totalPhase);
+                imagSum += weight * path.gain * amp * Math.sin(totalPhase);
+            }
+        });
+
+        return { real: realSum, imag: imagSum };
     }
 
     /**
@@ -277,7 +978,8 @@ export class PhasedArray {
 
     /**
      * Get all element data for rendering
-     * @returns {Array<{x: number, y: number, phase: number, amplitude: number}>}
+     * @returns {Array<{x: number, y: number, z: number, phase: number, amplitude: number, delay: number, normal: number}>}
+     *          normal is the element's facing direction (radians from +Y toward +X)
      */
     getElementData() {
         this._ensureCalculated();
@@ -286,20 +988,298 @@ export class PhasedArray {
             return [];
         }
 
+        const delays = this.getElementDelays();
         return this._elementPositions.map((pos, i) => ({
             x: pos.x,
             y: pos.y,
+            z: pos.z,
             phase: this._elementPhases[i],
-            amplitude: this._amplitude
+            amplitude: this._amplitude * this._elementWeights[i],
+            delay: delays[i],
+            normal: pos.normalAngle
         }));
     }
 
     /**
-     * Get array aperture (total physical width)
+     * Pulse envelope delay of each element. True time delays shift the whole
+     * pulse (tau = -phase / omega); phase shifters only rotate the carrier, so
+     * every envelope leaves at the same time
+     * @returns {Array<number>}
+     */
+    getElementDelays() {
+        this._ensureCalculated();
+        if (this._hardware.type !== 'ttd') return this._elementPhases.map(() => 0);
+
+        const omega = 2 * Math.PI * this._frequency;
+        return this._elementPhases.map(phase => -phase / omega);
+    }
+
+    /**
+     * Get the apodization weight of each element (peak = 1)
+     * @returns {Array<number>}
+     */
+    getElementWeights() {
+        this._ensureCalculated();
+        return [...this._elementWeights];
+    }
+
+    /**
+     * Which elements are active after the layout and element mask
+     * @returns {Array<boolean>}
+     */
+    getActiveMask() {
+        this._ensureCalculated();
+        return [...this._activeMask];
+    }
+
+    /**
+     * Number of active elements
+     * @returns {number}
+     */
+    getActiveElementCount() {
+        this._ensureCalculated();
+        return this._activeMask.filter(Boolean).length;
+    }
+
+    /**
+     * RF chain feeding each element. Hybrid subarrays are contiguous blocks of
+     * columns (planar arrays: all rows of a column share its chain), as even as
+     * the column count allows; inactive elements keep their chain
+     * @param {Object} architecture - {type, rfChains}, defaults to the array's own
+     * @returns {Array<number>} Chain index per element, indexed like getElementData
+     */
+    getRfChains(architecture = this._architecture) {
+        this._ensureCalculated();
+        const n = this._elementPositions.length;
+        const period = this._geometry === 'planar' ? this._numElements : n;
+        const chains = Math.max(1, Math.min(period, architecture.rfChains || 1));
+
+        const indices = [];
+        for (let i = 0; i < n; i++) {
+            if (architecture.type === 'analog') indices.push(0);
+            else if (architecture.type === 'hybrid') indices.push(Math.floor((i % period) * chains / period));
+            else indices.push(i);
+        }
+        return indices;
+    }
+
+    /**
+     * Transmit events of the array's sequence, in firing order
+     * @returns {Array<{steeringAngle: number, focalDistance: number, aperture: {start: number, size: number}|null}>}
+     */
+    getTransmitEvents() {
+        return sequenceEvents(this._sequence, {
+            steeringAngle: this._steeringAngle,
+            focalDistance: this._focalDistance,
+            numElements: this._geometry === 'planar' ? this._numElements : this.elementCount
+        });
+    }
+
+    /**
+     * Switch one element on or off (e.g. to model a failure)
+     * @param {number} index - Element index, as in getElementData
+     * @param {boolean} enabled
+     */
+    setElementEnabled(index, enabled) {
+        this._ensureCalculated();
+        if (index < 0 || index >= this._elementPositions.length) return;
+        const mask = this._elementMask || [];
+        while (mask.length < this._elementPositions.length) mask.push(true);
+        mask[index] = Boolean(enabled);
+        // Drop the mask once nothing is switched off
+        this._elementMask = mask.includes(false) ? mask : null;
+        this._dirty = true;
+    }
+
+    /**
+     * Coherent (all-in-phase) amplitude sum, used to normalize patterns
+     * @returns {number}
+     */
+    getCoherentGain() {
+        this._ensureCalculated();
+        return this._amplitude * this._elementWeights.reduce((sum, w) => sum + w, 0);
+    }
+
+    /**
+     * Set explicit complex beamformer weights (e.g. from MVDR), or null to
+     * return to geometric steering with the apodization window
+     * @param {Array<{real: number, imag: number}>|null} weights - One per element
+     */
+    setComplexWeights(weights) {
+        this._complexWeights = weights ? weights.map(w => ({ real: w.real, imag: w.imag })) : null;
+        this._dirty = true;
+    }
+
+    get complexWeights() {
+        return this._complexWeights ? this._complexWeights.map(w => ({ ...w })) : null;
+    }
+
+    /**
+     * Transmit independent data streams, one per user, each with its own
+     * precoding weights (e.g. from Precoding.js), or null for a single beam.
+     * Weights follow the convention of setComplexWeights but are not
+     * normalized: the excitation of element i in stream s is amplitude × conj(w_si),
+     * so the weights set the power split between the streams. The streams
+     * add in power in the time-averaged field (see getStreamData,
+     * calculateStreamFieldsAt); views of a single excitation show their sum
+     * @param {Array<Array<{real: number, imag: number}>>|null} streams - One weight per element each
+     */
+    setStreamWeights(streams) {
+        this._streamWeights = streams && streams.length > 0
+            ? streams.map(weights => weights.map(w => ({ real: w.real, imag: w.imag })))
+            : null;
+        this._dirty = true;
+    }
+
+    get streamWeights() {
+        return this._streamWeights ? this._streamWeights.map(weights => weights.map(w => ({ ...w }))) : null;
+    }
+
+    /**
+     * Element data and scatterer echoes of each precoded stream
+     * @returns {Array<{elements: Array<Object>, scattered: Array<Object>}>|null} See
+     *          getElementData and getScatteredSources; null without streams
+     */
+    getStreamData() {
+        this._ensureCalculated();
+        if (!this._enabled || !this._streams) return null;
+
+        return this._streams.map(stream => this._withStream(stream, () => ({
+            elements: this.getElementData(),
+            scattered: this.getScatteredSources()
+        })));
+    }
+
+    /**
+     * Complex field of each precoded stream at a point (see calculateComplexFieldAt)
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z - Height above the field plane
+     * @returns {Array<{real: number, imag: number}>|null} Null without streams
+     */
+    calculateStreamFieldsAt(x, y, z = 0) {
+        this._ensureCalculated();
+        if (!this._enabled || !this._streams) return null;
+
+        return this._streams.map(stream => this._withStream(stream, () => this.calculateComplexFieldAt(x, y, z)));
+    }
+
+    /**
+     * Complex field at a point of arbitrary weights (convention of
+     * setStreamWeights) without applying them, e.g. to compare candidate
+     * precoders. Like a stream, the weights go through the steering hardware
+     * and the element errors
+     * @param {Array<{real: number, imag: number}>} weights - One per element
+     * @param {number} x
+     * @param {number} y
+     * @param {number} z - Height above the field plane
+     * @returns {{real: number, imag: number}}
+     */
+    calculateWeightedFieldAt(weights, x, y, z = 0) {
+        this._ensureCalculated();
+        return this._withStream(this._streamExcitation(weights), () => this.calculateComplexFieldAt(x, y, z));
+    }
+
+    /**
+     * Far-field response of arbitrary weights, as calculateWeightedFieldAt.
+     * Same frame as calculateBeamPattern but not normalized
+     * @param {Array<{real: number, imag: number}>} weights - One per element
+     * @param {number} angle - Degrees relative to the array orientation
+     * @returns {{real: number, imag: number}}
+     */
+    calculateWeightedResponse(weights, angle) {
+        this._ensureCalculated();
+        return this._withStream(this._streamExcitation(weights),
+            () => this.calculateComplexResponse(angle + this._orientation, this._position));
+    }
+
+    /**
+     * Propagation vector from a point source to each element (near-field model
+     * matching calculateComplexFieldAt): g_i = E_i exp(-α d_i) exp(j ω t_i) / sqrt(d_i + 0.1)
+     * with E_i the element factor toward the source, α the medium absorption and
+     * d_i, t_i the length and travel time of the (refracted) ray, t_i = d_i / c
+     * in a homogeneous medium. Wall images and scatterer echoes of the source add
+     * to g_i. Inactive elements get g_i = 0
+     * @param {number} x - Source X coordinate
+     * @param {number} y - Source Y coordinate
+     * @param {number} z - Source height above the field plane
+     * @returns {Array<{real: number, imag: number}>}
+     */
+    getSteeringVectorAt(x, y, z = 0) {
+        this._ensureCalculated();
+
+        const k = 2 * Math.PI / this._wavelength;
+        const omega = 2 * Math.PI * this._frequency;
+        const pattern = this.getElementPattern();
+
+        // Field of the source at each scatterer, re-radiated toward the elements
+        const echoes = this._scatterers.map(s => {
+            const g = this._propagate({ x, y, z }, s.x, s.y, 0, k, null);
+            return { x: s.x, y: s.y, amp: s.reflection * g.amp, time: g.time };
+        });
+
+        return this._elementPositions.map((pos, i) => {
+            // Inactive elements receive nothing
+            if (!this._activeMask[i]) return { real: 0, imag: 0 };
+            let real = 0;
+            let imag = 0;
+            // By reciprocity, the element's direct and reflected paths toward the source
+            for (const path of this._elementPaths(pos, x, y)) {
+                const { amp, time } = this._propagate(pos, x, y, z, k, pattern, path.bounce);
+                real += path.gain * amp * Math.cos(omega * time);
+                imag += path.gain * amp * Math.sin(omega * time);
+            }
+            for (const echo of echoes) {
+                const { amp, time } = this._propagate(pos, echo.x, echo.y, 0, k, pattern);
+                real += echo.amp * amp * Math.cos(omega * (time + echo.time));
+                imag += echo.amp * amp * Math.sin(omega * (time + echo.time));
+            }
+            return { real, imag };
+        });
+    }
+
+    /**
+     * Secondary sources of Born single scattering: each scatterer re-radiates
+     * reflection × the array's direct field at its position (no wall images)
+     * @returns {Array<{x: number, y: number, real: number, imag: number, delay: number}>}
+     *          Complex source amplitude, and for pulsed excitations the arrival time
+     *          of the pulse (weighted mean over the elements) used as envelope delay
+     */
+    getScatteredSources() {
+        this._ensureCalculated();
+        if (!this._enabled || this._scatterers.length === 0) return [];
+
+        const pulsed = this._excitation.type !== 'cw';
+        const delays = pulsed ? this.getElementDelays() : null;
+        return this._scatterers.map(s => {
+            const incident = this._radiatedFieldAt(s.x, s.y, 0, false);
+            let delay = 0;
+            if (pulsed) {
+                let total = 0;
+                this._elementPositions.forEach((pos, i) => {
+                    const w = Math.abs(this._elementWeights[i]);
+                    if (w === 0) return;
+                    delay += w * (this._trace(pos.x, pos.y, pos.z, s.x, s.y, 0).time + delays[i]);
+                    total += w;
+                });
+                delay = total > 0 ? delay / total : 0;
+            }
+            return { x: s.x, y: s.y, real: s.reflection * incident.real, imag: s.reflection * incident.imag, delay };
+        });
+    }
+
+    /**
+     * Get array aperture (total physical width along the array axis;
+     * planar arrays also span (numRows - 1) * rowPitch along z)
      * @returns {number} Aperture in meters
      */
     getAperture() {
-        if (this._geometry === 'linear') {
+        if (this._geometry === 'circular' || this._geometry === 'rings') {
+            return 2 * this.getRingRadius();
+        } else if (this._geometry === 'custom' && this._customElements) {
+            const xs = this._customElements.map(p => p.x);
+            return Math.max(...xs) - Math.min(...xs);
+        } else if (this._geometry !== 'curved') {
             return (this._numElements - 1) * this._pitch;
         } else {
             // Arc length for curved array
@@ -307,29 +1287,71 @@ export class PhasedArray {
         }
     }
 
+    /**
+     * Radius of a circular array (outer ring for ring arrays): arc spacing = pitch
+     * @returns {number} Radius in meters
+     */
+    getRingRadius() {
+        return this._numElements * this._pitch / (2 * Math.PI);
+    }
+
+    /**
+     * Move one element of a custom array
+     * @param {number} index - Element index
+     * @param {number} x - New world X
+     * @param {number} y - New world Y
+     */
+    moveCustomElement(index, x, y) {
+        if (this._geometry !== 'custom' || !this._customElements || !this._customElements[index]) return;
+        this._customElements[index] = this._toLocal(x, y);
+        this._dirty = true;
+    }
+
+    /**
+     * Element excitation phases for a signal at another frequency than the
+     * array's design frequency. Phase shifters keep their setting; true time
+     * delays give a phase proportional to frequency
+     * @param {number} frequency - Signal frequency (same units as array.frequency)
+     * @returns {Array<number>} Radians
+     */
+    getElementPhasesAt(frequency = this._frequency) {
+        this._ensureCalculated();
+        if (this._hardware.type !== 'ttd') return [...this._elementPhases];
+
+        const ratio = frequency / this._frequency;
+        return this._elementPhases.map(phase => phase * ratio);
+    }
+
     /**
      * Calculate the complex response (real, imag) at a given angle
-     * @param {number} angle - Angle in degrees
+     * Directions lie in the field plane (zero elevation). Includes the element
+     * factor, so the pattern is element factor × array factor.
+     * @param {number} angle - Angle in degrees (world frame, 0 = +Y)
+     * @param {{x: number, y: number}} origin - Phase reference point, defaults to the world origin
+     * @param {number} frequency - Signal frequency, defaults to the design frequency
      * @returns {{real: number, imag: number}}
      */
-    calculateComplexResponse(angle) {
+    calculateComplexResponse(angle, origin = { x: 0, y: 0 }, frequency = this._frequency) {
         this._ensureCalculated();
 
         const angleRad = angle * Math.PI / 180;
-        const k = 2 * Math.PI / this._wavelength;
+        const k = 2 * Math.PI * frequency / this._speedOfSound;
         const sinTheta = Math.sin(angleRad);
         const cosTheta = Math.cos(angleRad);
+        const phases = this.getElementPhasesAt(frequency);
+        const pattern = this.getElementPattern();
 
         let realSum = 0;
         let imagSum = 0;
 
         this._elementPositions.forEach((pos, i) => {
-            const phase = this._elementPhases[i];
-            const amplitude = this._amplitude;
+            const phase = phases[i];
+            const factor = this._elementFactorToward(pos, sinTheta, cosTheta, 0, k, pattern);
+            const amplitude = this._amplitude * this._elementWeights[i] * factor;
 
             // Calculate phase contribution at this angle
-            // Path length difference relative to origin (0,0)
-            const pathLength = pos.x * sinTheta + pos.y * cosTheta;
+            // Path length difference relative to the reference point
+            const pathLength = (pos.x - origin.x) * sinTheta + (pos.y - origin.y) * cosTheta;
             const totalPhase = k * pathLength + phase;
 
             realSum += amplitude * Math.cos(totalPhase);
@@ -341,50 +1363,157 @@ export class PhasedArray {
 
     /**
      * Calculate the beam pattern at a given angle (for far-field)
-     * @param {number} angle - Angle in degrees
+     * The pattern is referenced to the array itself: phase about its own center,
+     * angle measured from its broadside (0° = steering 0° for this array)
+     * @param {number} angle - Angle in degrees relative to the array orientation
+     * @param {number} frequency - Signal frequency, defaults to the design frequency
      * @returns {number} Normalized intensity (0-1)
      */
-    calculateBeamPattern(angle) {
-        const { real, imag } = this.calculateComplexResponse(angle);
+    calculateBeamPattern(angle, frequency = this._frequency) {
+        const { real, imag } = this.calculateComplexResponse(angle + this._orientation, this._position, frequency);
 
         // Return normalized intensity
-        const maxIntensity = this._numElements * this._numElements * this._amplitude * this._amplitude;
-        return (real * real + imag * imag) / maxIntensity;
+        const gain = this.getCoherentGain();
+        const maxIntensity = gain * gain;
+        return maxIntensity > 0 ? (real * real + imag * imag) / maxIntensity : 0;
     }
 
     /**
-     * Calculate intensity at a specific point
+     * Far-field pattern in direction-cosine (u-v) space of the array's own frame
+     * u = sin(az) cos(el) along the array axis, v = sin(el) along the rows (z).
+     * Covers the front hemisphere; points outside the unit circle are invisible.
+     * @param {number} u
+     * @param {number} v
+     * @returns {number} Normalized intensity (0-1), 0 outside visible space
+     */
+    calculateBeamPatternUV(u, v) {
+        this._ensureCalculated();
+
+        const w2 = 1 - u * u - v * v;
+        if (w2 < 0) return 0;
+        const w = Math.sqrt(w2);
+
+        const orientationRad = this._orientation * Math.PI / 180;
+        const cos = Math.cos(orientationRad);
+        const sin = Math.sin(orientationRad);
+        const k = 2 * Math.PI / this._wavelength;
+        const pattern = this.getElementPattern();
+
+        // Direction in world coordinates, for the element factor
+        const dirX = u * cos + w * sin;
+        const dirY = -u * sin + w * cos;
+
+        let realSum = 0;
+        let imagSum = 0;
+
+        this._elementPositions.forEach((pos, i) => {
+            // Element offset in the local frame (x along the axis, y broadside)
+            const dx = pos.x - this._position.x;
+            const dy = pos.y - this._position.y;
+            const localX = dx * cos - dy * sin;
+            const localY = dx * sin + dy * cos;
+
+            const factor = this._elementFactorToward(pos, dirX, dirY, v, k, pattern);
+            const amplitude = this._amplitude * this._elementWeights[i] * factor;
+            const totalPhase = k * (localX * u + localY * w + pos.z * v) + this._elementPhases[i];
+
+            realSum += amplitude * Math.cos(totalPhase);
+            imagSum += amplitude * Math.sin(totalPhase);
+        });
+
+        const gain = this.getCoherentGain();
+        const maxIntensity = gain * gain;
+        return maxIntensity > 0 ? (realSum * realSum + imagSum * imagSum) / maxIntensity : 0;
+    }
+
+    /**
+     * Calculate the complex field (phasor) at a specific point
+     * Uses the same convention as the heatmap shader: each element contributes
+     * amplitude * factor * spread * exp(-alpha * dist) * exp(j * (omega * travel - phase)),
+     * with dist and travel the length and travel time of the (refracted) ray.
+     * Wall reflections add the same term along the path via the specular point
+     * times the wall's reflection, and each scatterer adds its re-radiated field
+     * (see getScatteredSources)
      * @param {number} x - X coordinate in meters
      * @param {number} y - Y coordinate in meters
-     * @param {number} time - Time in seconds
-     * @returns {number} Wave amplitude at the point
+     * @param {number} z - Height above the field plane (heatmap slice)
+     * @returns {{real: number, imag: number}}
      */
-    calculateFieldAt(x, y, time = 0) {
+    calculateComplexFieldAt(x, y, z = 0) {
         this._ensureCalculated();
 
         if (!this._enabled) {
-            return 0;
+            return { real: 0, imag: 0 };
         }
 
+        const field = this._radiatedFieldAt(x, y, z, true);
         const k = 2 * Math.PI / this._wavelength;
         const omega = 2 * Math.PI * this._frequency;
 
-        let realSum = 0;
+        this.getScatteredSources().forEach(src => {
+            const { amp, time } = this._propagate(src, x, y, z, k, null);
+            const c = Math.cos(omega * time);
+            const s = Math.sin(omega * time);
+            field.real += amp * (src.real * c - src.imag * s);
+            field.imag += amp * (src.real * s + src.imag * c);
+        });
 
-        this._elementPositions.forEach((pos, i) => {
-            const phase = this._elementPhases[i];
-            const dist = Math.sqrt((x - pos.x) ** 2 + (y - pos.y) ** 2);
+        return field;
+    }
 
-            if (dist < 0.0001) return;
+    /**
+     * Calculate intensity at a specific point
+     * Pulsed excitations weight each element (and its wall reflections) by its envelope
+     * at the retarded time, like the heatmap shader's instantaneous mode;
+     * scatterers re-emit the envelope from the pulse's arrival time
+     * @param {number} x - X coordinate in meters
+     * @param {number} y - Y coordinate in meters
+     * @param {number} time - Time in seconds
+     * @param {number} z - Height above the field plane
+     * @returns {number} Wave amplitude at the point
+     */
+    calculateFieldAt(x, y, time = 0, z = 0) {
+        const omega = 2 * Math.PI * this._frequency;
+        const omegaT = omega * time;
+
+        if (this._excitation.type === 'cw') {
+            const { real, imag } = this.calculateComplexFieldAt(x, y, z);
+
+            // Re{p * exp(-j * omega * t)}
+            return real * Math.cos(omegaT) + imag * Math.sin(omegaT);
+        }
+
+        this._ensureCalculated();
+        if (!this._enabled) return 0;
+
+        const k = 2 * Math.PI / this._wavelength;
+        const pulse = pulseParameters(this._excitation, this._frequency);
+        const delays = this.getElementDelays();
+        const pattern = this.getElementPattern();
+        let sum = 0;
 
-            // Wave amplitude with cylindrical spreading
-            const amp = this._amplitude / Math.sqrt(dist + 0.01);
-            const totalPhase = k * dist - omega * time + phase;
+        this._elementPositions.forEach((pos, i) => {
+            const weight = this._amplitude * this._elementWeights[i];
+            if (weight === 0) return;
+            for (const path of this._elementPaths(pos, x, y)) {
+                const { amp, time: travel } = this._propagate(pos, x, y, z, k, pattern, path.bounce);
+                const { envelope, phase } = samplePulse(pulse, time - travel - delays[i]);
+                if (envelope === 0) continue;
+                sum += weight * path.gain * amp * envelope *
+                    Math.cos(omega * travel - omegaT - this._elementPhases[i] - phase);
+            }
+        });
 
-            realSum += amp * Math.cos(totalPhase);
+        this.getScatteredSources().forEach(src => {
+            const { amp, time: travel } = this._propagate(src, x, y, z, k, null);
+            const { envelope, phase } = samplePulse(pulse, time - travel - src.delay);
+            if (envelope === 0) return;
+            // Source phase is arg(real + j imag), the opposite of an element phase
+            const magnitude = Math.hypot(src.real, src.imag);
+            sum += amp * magnitude * envelope * Math.cos(omega * travel - omegaT + Math.atan2(src.imag, src.real) - phase);
         });
 
-        return realSum;
+        return sum;
     }
 
     /**
@@ -396,14 +1525,29 @@ export class PhasedArray {
             name: this.name,
             numElements: this._numElements,
             pitch: this._pitch,
+            numRows: this._numRows,
+            rowPitch: this._rowPitch,
             frequency: this._frequency,
             steeringAngle: this._steeringAngle,
+            elevationAngle: this._elevationAngle,
             position: { ...this._position },
             geometry: this._geometry,
             curvatureRadius: this._curvatureRadius,
+            numRings: this._numRings,
+            customElements: this.customElements,
             orientation: this._orientation,
             focalDistance: this._focalDistance,
             amplitude: this._amplitude,
+            window: { ...this._window },
+            layout: { ...this._layout },
+            elementMask: this.elementMask,
+            hardware: { ...this._hardware },
+            architecture: { ...this._architecture },
+            excitation: { ...this._excitation },
+            elementPattern: { ...this._elementPattern },
+            refractionCorrection: this._refractionCorrection,
+            sequence: this.sequence,
+            complexWeights: this.complexWeights,
             speedOfSound: this._speedOfSound,
             enabled: this._enabled
         };
@@ -433,10 +1577,15 @@ export class SimulationContext {
             fieldHeight: 0.5,    // meters
             fieldCenterX: 0,
             fieldCenterY: 0.15,
+            sliceHeight: 0,      // meters, z of the field plane shown by the heatmap
             displayMode: 0,      // 0 = instantaneous (propagating waves), 1 = intensity
             dynamicRange: 40,    // dB
+            noiseFloor: -20,     // dB, receiver noise for probe SINR (intensity scale)
             profileDepth: 0.2,   // meters (for beam profile view)
             timeScale: 1.0,
+            absorption: null,    // Medium absorption {coefficient, power}, see Media.js
+            layers: null,        // Normalized layers {name, depth, speed}, see Layers.js
+            reflectors: null,    // Wall and scatterer records, see Reflectors.js
             paused: false
         };
         this._listeners = new Set();
@@ -448,13 +1597,49 @@ export class SimulationContext {
      */
     addArray(array) {
         if (array instanceof PhasedArray) {
-            // Update speed of sound to match global setting
+            // Update speed of sound, absorption and layers to match global setting
             array.speedOfSound = this.globalSettings.speedOfSound;
+            array.absorption = this.globalSettings.absorption;
+            array.layers = this.globalSettings.layers;
+            array.reflectors = this.globalSettings.reflectors;
             this.arrays.set(array.id, array);
             this._notifyListeners('arrayAdded', array);
         }
     }
 
+    /**
+     * Set the medium absorption for every array
+     * @param {{coefficient: number, power: number}|null} absorption - Normalized, see Media.normalizeAbsorption
+     */
+    setAbsorption(absorption) {
+        this.globalSettings.absorption = absorption;
+        for (const array of this.arrays.values()) {
+            array.absorption = absorption;
+        }
+    }
+
+    /**
+     * Set the layered medium for every array
+     * @param {Array|null} layers - Normalized, see Layers.normalizeLayers
+     */
+    setLayers(layers) {
+        this.globalSettings.layers = layers;
+        for (const array of this.arrays.values()) {
+            array.layers = layers;
+        }
+    }
+
+    /**
+     * Set the walls and scatterers for every array
+     * @param {Array<Object>|null} reflectors - Normalized records, see Reflectors.js
+     */
+    setReflectors(reflectors) {
+        this.globalSettings.reflectors = reflectors;
+        for (const array of this.arrays.values()) {
+            array.reflectors = reflectors;
+        }
+    }
+
     /**
      * Remove a phased array from the simulation
      * @param {number} id
@@ -501,7 +1686,7 @@ export class SimulationContext {
         let count = 0;
         for (const array of this.arrays.values()) {
             if (array.enabled) {
-                count += array.numElements;
+                count += array.elementCount;
             }
         }
         return count;
@@ -519,6 +1704,61 @@ export class SimulationContext {
         return elements;
     }
 
+    /**
+     * Time-averaged intensity at a point
+     * Arrays sharing a frequency add coherently; different frequencies and
+     * different precoded streams add in power
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} z - Height above the field plane (pass globalSettings.sliceHeight for the heatmap slice)
+     * @returns {number} Intensity |p|^2 (same scale as the heatmap intensity mode)
+     */
+    calculateIntensityAt(x, y, z = 0) {
+        const phasors = new Map(); // frequency (and stream) -> {real, imag}
+        const add = (key, p) => {
+            const sum = phasors.get(key) || { real: 0, imag: 0 };
+            sum.real += p.real;
+            sum.imag += p.imag;
+            phasors.set(key, sum);
+        };
+        for (const array of this.arrays.values()) {
+            if (!array.enabled) continue;
+            // Stream s of every array carries the same data, other streams are independent
+            const streams = array.calculateStreamFieldsAt(x, y, z);
+            if (streams) streams.forEach((p, s) => add(`${array.frequency}/${s}`, p));
+            else add(`${array.frequency}`, array.calculateComplexFieldAt(x, y, z));
+        }
+
+        let intensity = 0;
+        for (const p of phasors.values()) {
+            intensity += p.real * p.real + p.imag * p.imag;
+        }
+        return intensity;
+    }
+
+    /**
+     * Far-field pattern of all enabled arrays summed coherently about the
+     * world origin, normalized to the all-in-phase maximum
+     * @param {number} angle - Angle in degrees (world frame)
+     * @returns {number} Normalized intensity (0-1)
+     */
+    calculateCombinedPattern(angle) {
+        let totalMaxAmp = 0;
+        let realSum = 0;
+        let imagSum = 0;
+
+        for (const array of this.arrays.values()) {
+            if (!array.enabled) continue;
+            totalMaxAmp += array.getCoherentGain();
+            const response = array.calculateComplexResponse(angle);
+            realSum += response.real;
+            imagSum += response.imag;
+        }
+
+        if (totalMaxAmp === 0) return 0;
+        return (realSum * realSum + imagSum * imagSum) / (totalMaxAmp * totalMaxAmp);
+    }
+
     /**
      * Register a listener for context changes
      * @param {Function} callback
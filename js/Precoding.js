@@ -0,0 +1,153 @@
+/**
+ * Precoding.js - Multi-User MIMO Precoding
+ * - Maximum ratio transmission (MRT): each stream matched to its user's channel
+ * - Zero forcing (ZF): P = H^H (H H^H)^-1, every stream nulled at the other users
+ * - MMSE (regularized ZF): P = H^H (H H^H + U σ²/P I)^-1, trading the nulls
+ *   for gain when the noise dominates
+ * - Per-user SINR and sum rate of the streams as radiated
+ *
+ * The users are the probes. Channels come from PhasedArray.getSteeringVectorAt,
+ * so the nulls hold in the full propagation model (near field, medium, walls
+ * and scatterers). Every enabled array serves every user with its own
+ * precoder; each stream gets an equal share of the power of the uniform
+ * excitation (|w_i| = 1 on every active element). Weights follow the receive
+ * convention of Adaptive.js and are applied with PhasedArray.setStreamWeights.
+ */
+
+import { matMul, hermitian, solve, cadd, cabs2, cscale, complex } from './LinearAlgebra.js';
+import { interfererIntensityAt } from './Interferers.js';
+
+export const PRECODERS = [
+    { key: 'mrt', name: 'MRT (Matched Filter)' },
+    { key: 'zf', name: 'Zero Forcing' },
+    { key: 'mmse', name: 'MMSE (Regularized ZF)' }
+];
+
+export const DEFAULT_PRECODING = {
+    enabled: false,
+    method: 'zf'
+};
+
+/**
+ * Channel of each user from the active elements, scaled by the array amplitude:
+ * y_u = sum_i h_ui p_i with element excitation amplitude × conj(w_i) = amplitude × p_i
+ * @param {PhasedArray} array
+ * @param {Array<{x: number, y: number, z?: number}>} users
+ * @returns {Array<Array<{real, imag}>>} H (U x N), zero on inactive elements
+ */
+export function channelMatrix(array, users) {
+    return users.map(user => array.getSteeringVectorAt(user.x, user.y, user.z || 0)
+        .map(g => cscale(g, array.amplitude)));
+}
+
+/**
+ * Unnormalized precoder weights for a channel matrix: w_u = h_u (MRT) or the
+ * rows of P^H = (H H^H + δI)^-1 H (ZF, MMSE)
+ * @param {Array<Array<{real, imag}>>} h - U x N channel
+ * @param {string} method - A PRECODERS key
+ * @param {number} regularization - MMSE loading U σ²/P in the scale of H H^H
+ * @returns {Array<Array<{real, imag}>>} One weight vector per user
+ */
+export function precoderRows(h, method, regularization = 0) {
+    if (method === 'mrt') return h;
+
+    const count = h.length;
+    const gram = matMul(h, hermitian(h));
+    const power = gram.reduce((sum, row, u) => sum + row[u].real, 0) / count;
+    // A trace of loading keeps coincident users solvable
+    const loading = (method === 'mmse' ? regularization : 0) + 1e-9 * power;
+    return solve(gram.map((row, u) => row.map((v, j) => (u === j ? cadd(v, complex(loading, 0)) : v))), h);
+}
+
+/**
+ * Precoding weights of one array for a set of users, with a chain behind
+ * every element (see Hybrid.js for fewer RF chains)
+ * @param {PhasedArray} array
+ * @param {Array<{x: number, y: number, z?: number}>} users
+ * @param {Object} settings - {method, noisePower}; noisePower is the receiver noise
+ *        in the intensity scale of the field (see Interferers.calculateSinr), used by MMSE
+ * @returns {Array<Array<{real, imag}>>} One weight vector per user, one weight per element
+ */
+export function computePrecoder(array, users, settings = {}) {
+    const opts = { ...DEFAULT_PRECODING, noisePower: 0, ...settings };
+    const active = array.getActiveMask();
+    const n = active.filter(Boolean).length;
+    const count = users.length;
+    if (n === 0 || count === 0) return [];
+
+    const h = channelMatrix(array, users).map(row => row.filter((_, i) => active[i]));
+    const rows = precoderRows(h, opts.method, count * opts.noisePower / n);
+    return normalizeStreams(rows, active, n);
+}
+
+/**
+ * Scale each stream to an equal share of the power, n / U in total over the
+ * users, and spread it back over all elements (zero on inactive ones)
+ * @param {Array<Array<{real, imag}>>} rows - Weights of the active elements
+ * @param {Array<boolean>} active
+ * @param {number} n - Active element count
+ * @returns {Array<Array<{real, imag}>>}
+ */
+export function normalizeStreams(rows, active, n) {
+    return rows.map(row => {
+        const norm = Math.sqrt(row.reduce((sum, v) => sum + cabs2(v), 0));
+        const scale = norm > 0 ? Math.sqrt(n / rows.length) / norm : 0;
+        let j = 0;
+        return active.map(on => (on ? cscale(row[j++], scale) : complex()));
+    });
+}
+
+/**
+ * SINR of each user: its own stream against the other streams, arrays that
+ * do not precode, the interferers and the noise floor (as Interferers.calculateSinr).
+ * Stream s of every array carries user s's data, so it adds coherently across
+ * arrays of the same frequency
+ * @param {SimulationContext} context
+ * @param {Array<{x: number, y: number, z?: number}>} users - In stream order
+ * @param {Iterable<Object>} interferers
+ * @param {number} noiseFloor - Noise power in dB (same intensity scale)
+ * @returns {{users: Array<{signal: number, interference: number, sinr: number, rate: number}>, sumRate: number}}
+ *          Powers in dB, rates in bit/s/Hz (Shannon)
+ */
+export function multiUserSinr(context, users, interferers, noiseFloor) {
+    const toDb = (v) => 10 * Math.log10(v + 1e-30);
+    const noise = Math.pow(10, noiseFloor / 10);
+    const jammers = Array.from(interferers);
+
+    const results = users.map((user, u) => {
+        const z = user.z || 0;
+        const streams = new Map(); // frequency -> stream phasors
+        const other = new Map();   // frequency -> phasor of the arrays without streams
+        context.getAllArrays().forEach(array => {
+            if (!array.enabled) return;
+            const fields = array.calculateStreamFieldsAt(user.x, user.y, z);
+            if (fields) {
+                const sums = streams.get(array.frequency) || [];
+                fields.forEach((p, s) => { sums[s] = cadd(sums[s] || complex(), p); });
+                streams.set(array.frequency, sums);
+            } else {
+                other.set(array.frequency, cadd(other.get(array.frequency) || complex(), array.calculateComplexFieldAt(user.x, user.y, z)));
+            }
+        });
+
+        let signal = 0;
+        let interference = 0;
+        streams.forEach(sums => sums.forEach((p, s) => {
+            if (s === u) signal += cabs2(p);
+            else interference += cabs2(p);
+        }));
+        other.forEach(p => { interference += cabs2(p); });
+        jammers.forEach(intf => { interference += interfererIntensityAt(intf, user.x, user.y, z, context.globalSettings); });
+
+        const ratio = signal / (interference + noise);
+        return {
+            signal: toDb(signal),
+            interference: interference > 0 ? toDb(interference) : -Infinity,
+            sinr: toDb(ratio),
+            rate: Math.log2(1 + ratio)
+        };
+    });
+
+    return { users: results, sumRate: results.reduce((sum, r) => sum + r.rate, 0) };
+}
+
@@ -0,0 +1,141 @@
+/**
+ * Reflectors.js - Reflecting Walls and Point Scatterers
+ * - Straight wall segments with a reflection coefficient (first-order image sources)
+ * - Point scatterers re-radiating the incident field (Born single scattering)
+ * - Image geometry shared by the arrays, the interferers and the heatmap shader
+ *
+ * Every source gets one image per wall, mirrored across the wall line; the
+ * image only contributes where the specular point falls on the segment and
+ * the field point is on the source's side. The reflected path runs in two
+ * legs, source to specular point and on to the field point, so in layered
+ * media each leg is refracted on its own (the specular point itself is found
+ * from the straight image path). Scatterers are isotropic point sources of
+ * reflection × the direct field at their position. Paths have at most one
+ * bounce: scattered waves are not mirrored in walls and walls do not
+ * illuminate scatterers. Walls reflect but do not block the direct path, so
+ * they suit boundaries at the edge of the scene (ground, facade, seabed).
+ */
+
+// Must match MAX_WALLS in the fragment shader
+export const MAX_WALLS = 4;
+
+export const DEFAULT_WALL = {
+    reflection: 0.8      // Pressure reflection coefficient, -1 (soft) .. 1 (rigid)
+};
+
+export const DEFAULT_SCATTERER = {
+    reflection: 0.5      // Fraction of the incident field re-radiated
+};
+
+/**
+ * Create a wall record
+ * @param {string} id
+ * @param {Object} conf - {name, x1, y1, x2, y2, reflection}
+ */
+export function createWall(id, conf = {}) {
+    return {
+        id,
+        type: 'wall',
+        name: conf.name || 'Wall',
+        x1: conf.x1 || 0,
+        y1: conf.y1 || 0,
+        x2: conf.x2 !== undefined ? conf.x2 : 1,
+        y2: conf.y2 || 0,
+        reflection: conf.reflection !== undefined ? conf.reflection : DEFAULT_WALL.reflection
+    };
+}
+
+/**
+ * Create a point scatterer record
+ * @param {string} id
+ * @param {Object} conf - {name, x, y, reflection}
+ */
+export function createScatterer(id, conf = {}) {
+    return {
+        id,
+        type: 'scatterer',
+        name: conf.name || 'Scatterer',
+        x: conf.x || 0,
+        y: conf.y || 0,
+        reflection: conf.reflection !== undefined ? conf.reflection : DEFAULT_SCATTERER.reflection
+    };
+}
+
+/**
+ * Mirror image of a point across the wall line
+ * @param {Object} wall
+ * @returns {{x: number, y: number}}
+ */
+function mirrorPoint(wall, x, y) {
+    const dx = wall.x2 - wall.x1;
+    const dy = wall.y2 - wall.y1;
+    const t = ((x - wall.x1) * dx + (y - wall.y1) * dy) / (dx * dx + dy * dy);
+    const fx = wall.x1 + t * dx;
+    const fy = wall.y1 + t * dy;
+    return { x: 2 * fx - x, y: 2 * fy - y };
+}
+
+/**
+ * Specular point of the reflection of a source at (sx, sy) toward (px, py):
+ * where the line from the source's image to the point crosses the wall
+ * @param {Object} wall
+ * @returns {{x: number, y: number, t: number}|null} The point and its fraction t
+ *          of the path length from the source; null unless the source and the
+ *          point are on the same side of the wall line and the crossing is on
+ *          the segment
+ */
+export function specularPoint(wall, sx, sy, px, py) {
+    const dx = wall.x2 - wall.x1;
+    const dy = wall.y2 - wall.y1;
+    const side = (x, y) => dx * (y - wall.y1) - dy * (x - wall.x1);
+    const image = mirrorPoint(wall, sx, sy);
+    const si = side(image.x, image.y);
+    const sp = side(px, py);
+    if (si * sp >= 0) return null;
+
+    const t = si / (si - sp);
+    const x = image.x + t * (px - image.x);
+    const y = image.y + t * (py - image.y);
+    const s = ((x - wall.x1) * dx + (y - wall.y1) * dy) / (dx * dx + dy * dy);
+    return s >= 0 && s <= 1 ? { x, y, t } : null;
+}
+
+/**
+ * Wall reflections of a source at (sx, sy) that reach (px, py)
+ * @param {Array<Object>} walls
+ * @returns {Array<{wall: Object, x: number, y: number, t: number}>} Specular points, see specularPoint
+ */
+export function wallBounces(walls, sx, sy, px, py) {
+    const bounces = [];
+    for (const wall of walls) {
+        const hit = specularPoint(wall, sx, sy, px, py);
+        if (hit) bounces.push({ wall, ...hit });
+    }
+    return bounces;
+}
+
+/**
+ * Walls and scatterers of a reflector list
+ * @param {Array<Object>|null} reflectors - Wall and scatterer records
+ * @returns {{walls: Array<Object>, scatterers: Array<Object>}} Walls capped at MAX_WALLS
+ */
+export function splitReflectors(reflectors) {
+    const list = reflectors || [];
+    return {
+        walls: list.filter(r => r.type === 'wall').slice(0, MAX_WALLS),
+        scatterers: list.filter(r => r.type === 'scatterer')
+    };
+}
+
+/**
+ * Wall endpoints as packed for the heatmap shader
+ * @param {Array<Object>} walls
+ * @returns {Float32Array} (x1, y1, x2, y2) per wall, MAX_WALLS entries
+ */
+export function shaderWalls(walls) {
+    const data = new Float32Array(MAX_WALLS * 4);
+    walls.slice(0, MAX_WALLS).forEach((wall, i) => {
+        data.set([wall.x1, wall.y1, wall.x2, wall.y2], i * 4);
+    });
+    return data;
+}
@@ -3,22 +3,51 @@
  * * Contains:
  * - HeatmapRenderer: WebGL-based field intensity visualization
  * - BeamPatternRenderer: Polar plot beam pattern
+ * - ProfileRenderer: Lateral intensity cut at the profile depth
+ * - UVPatternRenderer: Selected array's pattern in direction-cosine (u-v) space
+ * - ToleranceRenderer: Monte Carlo pattern spread and sidelobe-level histogram
+ * - DOASpectrumRenderer: Receive spatial spectrum with estimated and true source directions
+ * - ArchitectureRenderer: Multi-beam stream patterns of digital, hybrid and analog RF chains
  * - ArrayVisualizationRenderer: Array elements and receiver visualization
  */
 
 import { vertexShaderSource } from './shaders/vertexShader.js';
 import { fragmentShaderSource } from './shaders/fragmentShader.js';
+import { interfererAmplitude, interfererIntensityAt, interfererScatteredSources, modulationDepth } from './Interferers.js';
+import { analyzeGratingLobes, measureLobeWidth, percentile, measureBeamSquint } from './Analysis.js';
+import { pulseParameters, bandEdges } from './Excitation.js';
+import { shaderPattern } from './ElementPatterns.js';
+import { shaderLayers } from './Layers.js';
+import { splitReflectors, shaderWalls } from './Reflectors.js';
+import { DOA_METHODS } from './DOA.js';
+import { PRECODERS } from './Precoding.js';
 
 /**
  * HeatmapRenderer - WebGL-accelerated wave field visualization
  * Handles all WebGL setup, shader compilation, and rendering
+ *
+ * Element data is uploaded as an RGBA float texture (see fragmentShader.js
+ * for the layout), so the element count is bounded by the hardware texture
+ * size and the shader loop bound rather than the uniform vector budget.
  */
 export class HeatmapRenderer {
+    // Shader loop bound, keep in sync with MAX_ELEMENTS in fragmentShader.js
+    static MAX_ELEMENTS = 4096;
+    static TEXELS_PER_ELEMENT = 5;
+    static TEXTURE_WIDTH = 1024;
+    // Samples per axis when estimating the intensity-mode 0 dB reference
+    static REFERENCE_GRID = 32;
+    // Frames the reference may lag inputs that keep changing
+    static REFERENCE_MAX_LAG = 30;
+
     constructor(canvas) {
         this.canvas = canvas;
         this.gl = canvas.getContext('webgl');
+        this.warningEl = document.getElementById('heatmap-warning');
+        this.warnings = [];
         this._initShaders();
         this._initBuffers();
+        this._initElementTexture();
     }
 
     _initShaders() {
@@ -30,6 +59,10 @@ export class HeatmapRenderer {
         const vs = gl.createShader(gl.VERTEX_SHADER); gl.shaderSource(vs, vsSrc); gl.compileShader(vs);
         const fs = gl.createShader(gl.FRAGMENT_SHADER); gl.shaderSource(fs, fsSrc); gl.compileShader(fs);
 
+        if (!gl.getShaderParameter(fs, gl.COMPILE_STATUS)) {
+            console.error('Fragment shader error:', gl.getShaderInfoLog(fs));
+        }
+
         this.program = gl.createProgram();
         gl.attachShader(this.program, vs); gl.attachShader(this.program, fs); gl.linkProgram(this.program);
     }
@@ -45,9 +78,92 @@ export class HeatmapRenderer {
         gl.vertexAttribPointer(loc, 2, gl.FLOAT, false, 0, 0);
     }
 
-    render(context, time) {
+    _initElementTexture() {
+        const gl = this.gl;
+        if (!gl) return;
+
+        this.floatTextures = Boolean(gl.getExtension('OES_texture_float'));
+        this.maxTextureSize = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+
+        // Elements are packed in rows of textureWidth, each row block is TEXELS_PER_ELEMENT high
+        this.textureWidth = Math.min(HeatmapRenderer.TEXTURE_WIDTH, this.maxTextureSize);
+        const maxBlocks = Math.floor(this.maxTextureSize / HeatmapRenderer.TEXELS_PER_ELEMENT);
+        this.elementCapacity = Math.min(HeatmapRenderer.MAX_ELEMENTS, this.textureWidth * maxBlocks);
+
+        this.elementTexture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, this.elementTexture);
+        // Float textures are not filterable in WebGL1 without an extra extension
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+        this.textureHeight = 0;
+    }
+
+    /**
+     * Pack element data into the texture layout expected by the shader
+     * @param {Array<Array<number>>} texelData - One flattened RGBA list per texel row:
+     *        [x, y, phase, amplitude, ...], [frequency, AM rate, AM depth, group, ...],
+     *        [z, pulse type, pulse width, chirp rate, ...], [delay, pulse period, pulse center, 0, ...],
+     *        [normal angle, pattern type, pattern parameter, 0, ...]
+     * @returns {number} Number of elements uploaded
+     */
+    _uploadElements(texelData) {
         const gl = this.gl;
-        if (!gl || !this.program) return;
+        const texels = HeatmapRenderer.TEXELS_PER_ELEMENT;
+        const width = this.textureWidth;
+        const count = Math.min(texelData[0].length / 4, this.elementCapacity);
+
+        const blocks = Math.max(1, Math.ceil(count / width));
+        const height = blocks * texels;
+        const data = new Float32Array(width * height * 4);
+
+        for (let i = 0; i < count; i++) {
+            const col = i % width;
+            const row = Math.floor(i / width) * texels;
+
+            texelData.forEach((values, t) => {
+                const base = ((row + t) * width + col) * 4;
+                for (let c = 0; c < 4; c++) data[base + c] = values[i * 4 + c];
+            });
+        }
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.elementTexture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.FLOAT, data);
+        this.textureHeight = height;
+
+        return count;
+    }
+
+    /**
+     * Show or clear the hardware-limit warning overlay
+     * @private
+     */
+    _setWarnings(warnings) {
+        const text = warnings.join(' ');
+        if (text !== this.warnings.join(' ')) {
+            if (text) console.warn('HeatmapRenderer:', text);
+            if (this.warningEl) {
+                this.warningEl.innerText = text;
+                this.warningEl.style.display = text ? 'block' : 'none';
+            }
+        }
+        this.warnings = warnings;
+    }
+
+    /**
+     * @param {SimulationContext} context
+     * @param {number} time
+     * @param {Array<Object>} interferers - Jammer sources (see Interferers.js)
+     */
+    render(context, time, interferers = []) {
+        const gl = this.gl;
+        if (!gl || !this.program) {
+            this._setWarnings(['WebGL is not available: the wave field cannot be drawn.']);
+            return;
+        }
         const cvs = this.canvas;
 
         // Ensure accurate resize
@@ -60,23 +176,96 @@ export class HeatmapRenderer {
         gl.useProgram(this.program);
 
         const allElements = [];
-        const allFrequencies = [];
+        const allExtras = [];
+        const allPlacement = [];
+        const allTiming = [];
+        const allPatterns = [];
         let totalCount = 0;
 
-        // We now capture the specific frequency of each array
-        context.getAllArrays().forEach(arr => {
-            if (arr.enabled) {
-                const elements = arr.getElementData();
-                const freq = arr.frequency; // Get array's specific frequency
+        // One source per texel column, see the layout in fragmentShader.js
+        const pushSource = (elem, extra, placement, timing, pattern) => {
+            allElements.push(...elem);
+            allExtras.push(...extra);
+            allPlacement.push(...placement);
+            allTiming.push(...timing);
+            allPatterns.push(...pattern);
+        };
+        const { walls } = splitReflectors(context.globalSettings.reflectors);
+
+        // We now capture the specific frequency of each array.
+        // Sorted by frequency so the shader's intensity mode can group coherent elements
+        const arrays = context.getAllArrays()
+            .filter(arr => arr.enabled)
+            .sort((a, b) => a.frequency - b.frequency);
+
+        const pushArray = (arr, elements, scattered, group) => {
+            const freq = arr.frequency; // Get array's specific frequency
+            const pulse = pulseParameters(arr.excitation, freq);
+            const pattern = shaderPattern(arr.getElementPattern());
+            const pulseShape = [pulse.type, pulse.width, pulse.rate];
+
+            elements.forEach(el => {
+                pushSource([el.x, el.y, el.phase, el.amplitude], [freq, 0, 0, group], [el.z, ...pulseShape],
+                    [el.delay, pulse.period, pulse.center, 0], [el.normal, pattern.type, pattern.param, 0]);
 
-                elements.forEach(el => {
-                    allElements.push(el.x, el.y, el.phase, el.amplitude);
-                    allFrequencies.push(freq);
+                // First-order reflection in each wall, scaled by its reflection coefficient
+                walls.forEach((wall, w) => {
+                    pushSource([el.x, el.y, el.phase, el.amplitude * wall.reflection], [freq, 0, 0, group],
+                        [el.z, ...pulseShape], [el.delay, pulse.period, pulse.center, 0],
+                        [el.normal, pattern.type, pattern.param, w + 1]);
                 });
-            }
+            });
+
+            // Scatterer echoes: isotropic sources of the incident field (phase = -arg)
+            scattered.forEach(src => {
+                pushSource([src.x, src.y, -Math.atan2(src.imag, src.real), Math.hypot(src.real, src.imag)],
+                    [freq, 0, 0, group], [0, ...pulseShape], [src.delay, pulse.period, pulse.center, 0], [0, 0, 0, 0]);
+            });
+        };
+
+        // Arrays with precoded streams are drawn stream by stream after the interferers
+        const streaming = [];
+        arrays.forEach(arr => {
+            const streams = arr.getStreamData();
+            if (streams) streaming.push({ arr, streams });
+            else pushArray(arr, arr.getElementData(), arr.getScatteredSources(), 0);
         });
 
-        totalCount = allFrequencies.length;
+        // Interferers: one isotropic element each, plus reflections and echoes, in their own coherence group
+        interferers.forEach((intf, idx) => {
+            const extra = [intf.frequency, intf.modulation.rate, modulationDepth(intf), idx + 1];
+            const amplitude = interfererAmplitude(intf);
+            pushSource([intf.x, intf.y, 0, amplitude], extra, [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]);
+            walls.forEach((wall, w) => {
+                pushSource([intf.x, intf.y, 0, amplitude * wall.reflection], extra,
+                    [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, w + 1]);
+            });
+            interfererScatteredSources(intf, context.globalSettings).forEach(src => {
+                pushSource([src.x, src.y, -Math.atan2(src.imag, src.real), Math.hypot(src.real, src.imag)], extra,
+                    [0, 0, 0, 0], [0, 0, 0, 0], [0, 0, 0, 0]);
+            });
+        });
+
+        // Stream s of every array shares a coherence group of its own (independent data)
+        const streamCount = Math.max(0, ...streaming.map(({ streams }) => streams.length));
+        for (let stream = 0; stream < streamCount; stream++) {
+            streaming.forEach(({ arr, streams }) => {
+                if (streams[stream]) pushArray(arr, streams[stream].elements, streams[stream].scattered, interferers.length + 1 + stream);
+            });
+        }
+
+        const elementCount = allExtras.length / 4;
+        const warnings = [];
+        if (!this.floatTextures) {
+            warnings.push('Float textures (OES_texture_float) are not supported: the wave field cannot be drawn.');
+        } else if (elementCount > this.elementCapacity) {
+            warnings.push(`Element limit reached: drawing ${this.elementCapacity} of ${elementCount} elements.`);
+        }
+        this._setWarnings(warnings);
+
+        if (this.floatTextures && elementCount > 0) {
+            totalCount = this._uploadElements([allElements, allExtras, allPlacement, allTiming, allPatterns]);
+        }
 
         const u = (name) => gl.getUniformLocation(this.program, name);
 
@@ -85,40 +274,114 @@ export class HeatmapRenderer {
         gl.uniform2f(u("u_resolution"), cvs.width, cvs.height);
         gl.uniform2f(u("u_fieldSize"), context.globalSettings.fieldWidth, context.globalSettings.fieldHeight);
         gl.uniform2f(u("u_fieldCenter"), context.globalSettings.fieldCenterX, context.globalSettings.fieldCenterY);
+        gl.uniform1f(u("u_sliceHeight"), context.globalSettings.sliceHeight || 0);
         gl.uniform1i(u("u_elementCount"), totalCount);
 
         // Pass global speed of sound (usually 1.0 in normalized physics)
         gl.uniform1f(u("u_speedOfSound"), context.globalSettings.speedOfSound);
 
-        // ELEMENT ARRAYS 
-        if (totalCount > 0) {
-            // Limit to 64 elements to match shader array size
-            const limit = 64;
-            if (allElements.length > limit * 4) allElements.length = limit * 4;
-            if (allFrequencies.length > limit) allFrequencies.length = limit;
+        // Medium absorption, alpha(f) = coefficient * f^power (see Media.js)
+        const absorption = context.globalSettings.absorption;
+        gl.uniform1f(u("u_absorption"), absorption ? absorption.coefficient : 0);
+        gl.uniform1f(u("u_absorptionPower"), absorption ? absorption.power : 1);
 
-            // 1. Position/Phase/Amp Data (vec4 array)
-            const dataPos = new Float32Array(limit * 4);
-            dataPos.set(allElements);
-            gl.uniform4fv(u("u_elementPositions[0]"), dataPos);
+        // Layered medium, traced per element in the shader (see Layers.js)
+        const layers = shaderLayers(context.globalSettings.layers);
+        gl.uniform1i(u("u_layerCount"), layers.count);
+        gl.uniform1fv(u("u_layerBounds"), layers.bounds);
+        gl.uniform1fv(u("u_layerSpeed"), layers.speeds);
 
-            // 2. Frequency Data (float array)
-            const dataFreq = new Float32Array(limit);
-            dataFreq.set(allFrequencies);
-            gl.uniform1fv(u("u_elementFrequencies[0]"), dataFreq);
-        }
+        // Wall segments for the reflected paths
+        gl.uniform4fv(u("u_walls"), shaderWalls(walls));
+
+        // DISPLAY MODE
+        const settings = context.globalSettings;
+        const displayMode = settings.displayMode === 1 ? 1 : 0;
+        gl.uniform1i(u("u_displayMode"), displayMode);
+        gl.uniform1f(u("u_dynamicRange"), Math.max(1, settings.dynamicRange || 40));
+        gl.uniform1f(u("u_intensityRef"), displayMode === 1 ? this._getIntensityReference(context, interferers) : 1);
+
+        // ELEMENT TEXTURE
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.elementTexture);
+        gl.uniform1i(u("u_elementData"), 0);
+        gl.uniform2f(u("u_elementDataSize"), this.textureWidth, Math.max(1, this.textureHeight));
 
         gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
     }
 
+    /**
+     * Peak intensity over the visible field, used as the 0 dB reference.
+     * Sampled on a coarse CPU grid. The key follows the array revisions, so
+     * it is cheap to build; while it keeps changing (steering smoothing, slider
+     * drags, sequence events, adaptive tracking) the last reference stays, and
+     * the grid is resampled once the inputs hold still for a frame, or at the
+     * latest every REFERENCE_MAX_LAG frames
+     * @private
+     */
+    _getIntensityReference(context, interferers) {
+        const settings = context.globalSettings;
+        const aspect = this.canvas.width / Math.max(1, this.canvas.height);
+        const z = settings.sliceHeight || 0;
+        const key = JSON.stringify([
+            settings.fieldWidth, settings.fieldHeight, settings.fieldCenterX, settings.fieldCenterY, aspect, z,
+            settings.absorption, settings.layers, settings.reflectors,
+            context.getAllArrays().map(arr => [arr.id, arr.enabled, arr.revision]),
+            Array.from(interferers)
+        ]);
+
+        if (key === this._intensityRefKey) return this._intensityRef;
+        if (this._intensityRef && key !== this._intensityRefPending &&
+            this._intensityRefLag < HeatmapRenderer.REFERENCE_MAX_LAG) {
+            this._intensityRefPending = key;
+            this._intensityRefLag++;
+            return this._intensityRef;
+        }
+
+        const samples = HeatmapRenderer.REFERENCE_GRID;
+        let peak = 0;
+        for (let iy = 0; iy < samples; iy++) {
+            for (let ix = 0; ix < samples; ix++) {
+                const x = ((ix + 0.5) / samples - 0.5) * aspect * settings.fieldWidth + settings.fieldCenterX;
+                const y = ((iy + 0.5) / samples - 0.5) * settings.fieldHeight + settings.fieldCenterY;
+                let intensity = context.calculateIntensityAt(x, y, z);
+                interferers.forEach(intf => {
+                    intensity += interfererIntensityAt(intf, x, y, z, settings);
+                });
+                peak = Math.max(peak, intensity);
+            }
+        }
+
+        this._intensityRefKey = key;
+        this._intensityRefPending = null;
+        this._intensityRefLag = 0;
+        this._intensityRef = peak > 0 ? peak : 1;
+        return this._intensityRef;
+    }
+
     resize() { }
 }
 
 
+/**
+ * BeamPatternRenderer - Polar plot of the far-field beam pattern (dB)
+ * Angles are in the world frame (0° = +Y) in both modes, so oriented arrays
+ * show where they actually point:
+ * - 'combined': coherent sum of every enabled array about the world origin
+ * - 'perArray': each array's own pattern (PhasedArray.calculateBeamPattern,
+ *   turned by its orientation), selected array emphasized, combined sum as an
+ *   optional dashed trace
+ */
 export class BeamPatternRenderer {
+    static COLORS = ["#facc15", "#38bdf8", "#f472b6", "#4ade80", "#fb923c", "#a78bfa"];
+    // Lower and upper band edge of a pulsed excitation
+    static BAND_COLORS = ["#f87171", "#60a5fa"];
+
     constructor(canvas) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
+        this.mode = 'combined';
+        this.showCombined = true;
     }
 
     resize() {
@@ -128,7 +391,13 @@ export class BeamPatternRenderer {
         }
     }
 
-    render(context, selectedArrayId) {
+    /**
+     * @param {SimulationContext} context
+     * @param {number} selectedArrayId
+     * @param {Array<{x: number, y: number, color: string, label: string}>} markers - Points
+     *        (probes, interferers) marked by their direction from the selected array
+     */
+    render(context, selectedArrayId, markers = []) {
         this.resize();
 
         const ctx = this.ctx;
@@ -176,34 +445,151 @@ export class BeamPatternRenderer {
             const ly = cy - (radius + 15) * Math.sin(canvasAngle);
             ctx.fillText(steerAngle + "°", lx, ly);
         }
+        ctx.textAlign = "left";
+        ctx.fillText("0° = +Y (world)", 5, 12);
 
-
-        const arrays = context.getAllArrays().filter(a => a.enabled);
+        const allArrays = context.getAllArrays();
+        const arrays = allArrays.filter(a => a.enabled);
         if (arrays.length === 0) return;
 
-        // Calculate max possible amplitude for normalization
-        let totalMaxAmp = 0;
-        arrays.forEach(arr => {
-            totalMaxAmp += arr.numElements * arr.amplitude;
-        });
-        if (totalMaxAmp === 0) totalMaxAmp = 1;
-        const maxIntensity = totalMaxAmp * totalMaxAmp;
+        const geometry = { cx, cy, radius };
+        const legend = [];
 
-        ctx.strokeStyle = "#facc15";
-        ctx.lineWidth = 2;
-        ctx.beginPath();
+        if (this.mode === 'perArray') {
+            // Draw the selected array last so it sits on top
+            const ordered = [...arrays].sort((a, b) =>
+                (a.id === selectedArrayId) - (b.id === selectedArrayId));
 
-        for (let steerAngle = -90; steerAngle <= 90; steerAngle++) {
-            let realSum = 0;
-            let imagSum = 0;
+            ordered.forEach(arr => {
+                const color = this._colorFor(allArrays, arr);
+                const selected = arr.id === selectedArrayId;
+                this._drawPattern(geometry, angle => arr.calculateBeamPattern(angle - arr.orientation), {
+                    color,
+                    lineWidth: selected ? 2.5 : 1,
+                    alpha: selected ? 1 : 0.45,
+                    fill: selected
+                });
+            });
+
+            arrays.forEach(arr => legend.push({
+                label: arr.name,
+                color: this._colorFor(allArrays, arr),
+                selected: arr.id === selectedArrayId
+            }));
 
-            arrays.forEach(arr => {
-                const response = arr.calculateComplexResponse(steerAngle);
-                realSum += response.real;
-                imagSum += response.imag;
+            if (this.showCombined) {
+                this._drawPattern(geometry, angle => context.calculateCombinedPattern(angle), {
+                    color: "#fff", lineWidth: 1, alpha: 0.8, dash: [4, 3]
+                });
+                legend.push({ label: 'Combined', color: "#fff", dash: true });
+            }
+        } else {
+            this._drawPattern(geometry, angle => context.calculateCombinedPattern(angle), {
+                color: "#facc15", lineWidth: 2, alpha: 1, fill: true
             });
+        }
+
+        const selected = context.getArray(selectedArrayId);
+        if (selected && markers.length > 0) {
+            this._drawMarkers(geometry, selected.position, 0, markers);
+        }
+
+        if (selected && selected.enabled) {
+            // Grating lobes and band edges are predicted in the array frame
+            const frameOffset = selected.orientation;
+            this._drawGratingLobes(geometry, analyzeGratingLobes(selected), frameOffset);
+
+            if (selected.excitation.type !== 'cw') this._drawBandEdges(geometry, selected, frameOffset, legend);
+        }
+
+        if (legend.length > 0) this._drawLegend(legend);
+    }
+
+    /**
+     * Selected array's pattern at the band edges of its excitation; the legend
+     * gives each edge's main-lobe squint from the carrier
+     * @private
+     */
+    _drawBandEdges(geometry, array, frameOffset, legend) {
+        const edges = bandEdges(array.excitation, array.frequency);
+        measureBeamSquint(array, edges).forEach((edge, i) => {
+            const color = BeamPatternRenderer.BAND_COLORS[i];
+            this._drawPattern(geometry, angle => array.calculateBeamPattern(angle - frameOffset, edge.frequency), {
+                color, lineWidth: 1.5, alpha: 0.9, dash: [2, 2]
+            });
+
+            const offset = Math.round((edge.frequency / array.frequency - 1) * 100);
+            const sign = (v) => v >= 0 ? '+' : '';
+            legend.push({
+                label: `f0${sign(offset)}${offset}%: ${sign(edge.squint)}${edge.squint.toFixed(1)}°`,
+                color,
+                dash: true
+            });
+        });
+    }
+
+    /**
+     * Radial ticks at the direction of each marker point as seen from `origin`
+     * @private
+     */
+    _drawMarkers(geometry, origin, frameOffset, markers) {
+        const ctx = this.ctx;
+        const { cx, cy, radius } = geometry;
+
+        ctx.save();
+        ctx.font = "10px monospace";
+        ctx.textAlign = "center";
+        markers.forEach(m => {
+            const angle = Math.atan2(m.x - origin.x, m.y - origin.y) * 180 / Math.PI - frameOffset;
+            if (angle < -90 || angle > 90) return;
+
+            const canvasAngle = (90 - angle) * (Math.PI / 180);
+            const cos = Math.cos(canvasAngle);
+            const sin = Math.sin(canvasAngle);
+
+            ctx.strokeStyle = m.color;
+            ctx.lineWidth = 1;
+            ctx.setLineDash([2, 3]);
+            ctx.beginPath();
+            ctx.moveTo(cx, cy);
+            ctx.lineTo(cx + radius * cos, cy - radius * sin);
+            ctx.stroke();
+
+            ctx.setLineDash([]);
+            ctx.fillStyle = m.color;
+            ctx.beginPath();
+            ctx.arc(cx + radius * cos, cy - radius * sin, 3, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillText(m.label, cx + (radius - 12) * cos, cy - (radius - 12) * sin);
+        });
+        ctx.restore();
+    }
+
+    _colorFor(allArrays, arr) {
+        const idx = allArrays.indexOf(arr);
+        return BeamPatternRenderer.COLORS[idx % BeamPatternRenderer.COLORS.length];
+    }
 
-            const intensity = (realSum * realSum + imagSum * imagSum) / maxIntensity;
+    /**
+     * Trace a pattern over -90°..90° on the polar grid
+     * @private
+     * @param {{cx: number, cy: number, radius: number}} geometry
+     * @param {Function} patternFn - angle (deg) -> normalized intensity
+     * @param {{color: string, lineWidth: number, alpha: number, fill?: boolean, dash?: Array<number>}} style
+     */
+    _drawPattern(geometry, patternFn, style) {
+        const ctx = this.ctx;
+        const { cx, cy, radius } = geometry;
+
+        ctx.save();
+        ctx.globalAlpha = style.alpha;
+        ctx.strokeStyle = style.color;
+        ctx.lineWidth = style.lineWidth;
+        if (style.dash) ctx.setLineDash(style.dash);
+        ctx.beginPath();
+
+        for (let steerAngle = -90; steerAngle <= 90; steerAngle++) {
+            const intensity = patternFn(steerAngle);
 
             const db = 10 * Math.log10(intensity + 0.00001);
             const minDb = -40;
@@ -221,19 +607,1009 @@ export class BeamPatternRenderer {
         }
         ctx.stroke();
 
-        ctx.fillStyle = "rgba(250, 204, 21, 0.2)";
-        ctx.lineTo(cx, cy);
+        if (style.fill) {
+            ctx.fillStyle = style.color;
+            ctx.globalAlpha = style.alpha * 0.2;
+            ctx.lineTo(cx, cy);
+            ctx.closePath();
+            ctx.fill();
+        }
+        ctx.restore();
+    }
+
+    /**
+     * Red wedges on the rim at each predicted grating-lobe angle
+     * @private
+     */
+    _drawGratingLobes(geometry, analysis, frameOffset) {
+        const ctx = this.ctx;
+        const { cx, cy, radius } = geometry;
+
+        ctx.save();
+        ctx.font = "10px monospace";
+        ctx.textAlign = "center";
+        ctx.fillStyle = "#ef4444";
+        analysis.lobes.forEach(lobe => {
+            const angle = lobe.angle + frameOffset;
+            if (angle < -90 || angle > 90) return;
+
+            const a = (90 - angle) * (Math.PI / 180);
+            const tip = { x: cx + radius * Math.cos(a), y: cy - radius * Math.sin(a) };
+            const spread = 0.04;
+            const outer = radius + 10;
+
+            ctx.beginPath();
+            ctx.moveTo(tip.x, tip.y);
+            ctx.lineTo(cx + outer * Math.cos(a - spread), cy - outer * Math.sin(a - spread));
+            ctx.lineTo(cx + outer * Math.cos(a + spread), cy - outer * Math.sin(a + spread));
+            ctx.closePath();
+            ctx.fill();
+
+            const label = `GL${lobe.order > 0 ? '+' : ''}${lobe.order}`;
+            ctx.fillText(label, cx + (radius - 14) * Math.cos(a), cy - (radius - 14) * Math.sin(a));
+        });
+        ctx.restore();
+    }
+
+    _drawLegend(entries) {
+        const ctx = this.ctx;
+        const x = 10;
+        let y = 45;
+
+        ctx.save();
+        ctx.font = "10px monospace";
+        ctx.textAlign = "left";
+        entries.forEach(entry => {
+            ctx.strokeStyle = entry.color;
+            ctx.lineWidth = entry.selected ? 3 : 1.5;
+            ctx.setLineDash(entry.dash ? [4, 3] : []);
+            ctx.beginPath();
+            ctx.moveTo(x, y - 3);
+            ctx.lineTo(x + 16, y - 3);
+            ctx.stroke();
+
+            ctx.fillStyle = entry.selected ? "#fff" : "#999";
+            ctx.fillText(entry.label, x + 22, y);
+            y += 14;
+        });
+        ctx.restore();
+    }
+}
+
+/**
+ * ProfileRenderer - Lateral intensity cut through the field at a fixed depth
+ * Marks the -3 dB and -6 dB widths of the main lobe around the peak
+ */
+export class ProfileRenderer {
+    static SAMPLES = 400;
+
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.profileKey = null;
+        this.profile = null;
+    }
+
+    resize() {
+        if (this.canvas.width !== this.canvas.parentElement.clientWidth) {
+            this.canvas.width = this.canvas.parentElement.clientWidth;
+            this.canvas.height = this.canvas.parentElement.clientHeight;
+        }
+    }
+
+    /**
+     * Sample the intensity profile along y = depth, in the heatmap slice
+     * @param {SimulationContext} context
+     * @param {number} depth - Lateral cut position (y)
+     * @param {number} span - Width of the cut, centered on the field (defaults to fieldWidth)
+     * @returns {{xs: Array<number>, dbs: Array<number>, peakIndex: number}}
+     */
+    static sampleProfile(context, depth, span = context.globalSettings.fieldWidth) {
+        const settings = context.globalSettings;
+        const n = ProfileRenderer.SAMPLES;
+        const xMin = settings.fieldCenterX - span / 2;
+
+        const xs = [];
+        const intensities = [];
+        let peak = 0;
+        let peakIndex = 0;
+
+        for (let i = 0; i < n; i++) {
+            const x = xMin + (i / (n - 1)) * span;
+            const intensity = context.calculateIntensityAt(x, depth, settings.sliceHeight);
+            xs.push(x);
+            intensities.push(intensity);
+            if (intensity > peak) {
+                peak = intensity;
+                peakIndex = i;
+            }
+        }
+
+        const dbs = intensities.map(v => 10 * Math.log10(v / (peak || 1) + 1e-12));
+        return { xs, dbs, peakIndex };
+    }
+
+    /**
+     * The profile is resampled only when the arrays, the medium or the cut change.
+     * Array changes come through PhasedArray.revision, which every setter that
+     * alters the field (amplitude and element pattern included) advances
+     * @param {SimulationContext} context
+     * @param {number} depth - Lateral cut position (y)
+     * @param {number} aspect - Width / height of the heatmap, so the cut spans the visible field
+     */
+    render(context, depth, aspect = 1) {
+        this.resize();
+
+        const ctx = this.ctx;
+        const w = this.canvas.width;
+        const h = this.canvas.height;
+
+        ctx.fillStyle = "#000";
+        ctx.fillRect(0, 0, w, h);
+
+        const settings = context.globalSettings;
+        const range = Math.max(1, settings.dynamicRange || 40);
+
+        const padLeft = 40;
+        const padRight = 15;
+        const padTop = 40;
+        const padBottom = 25;
+        const plotW = w - padLeft - padRight;
+        const plotH = h - padTop - padBottom;
+        if (plotW <= 0 || plotH <= 0) return;
+
+        const span = settings.fieldWidth * aspect;
+        const xMin = settings.fieldCenterX - span / 2;
+        const mapX = (x) => padLeft + ((x - xMin) / span) * plotW;
+        const mapY = (db) => padTop + Math.min(1, Math.max(0, -db / range)) * plotH;
+
+        // Grid
+        ctx.strokeStyle = "#333";
+        ctx.lineWidth = 1;
+        ctx.fillStyle = "#666";
+        ctx.font = "10px monospace";
+        ctx.textAlign = "right";
+        for (let db = 0; db >= -range; db -= 10) {
+            const y = mapY(db);
+            ctx.beginPath();
+            ctx.moveTo(padLeft, y);
+            ctx.lineTo(w - padRight, y);
+            ctx.stroke();
+            ctx.fillText(db + "", padLeft - 5, y + 3);
+        }
+        ctx.textAlign = "center";
+        for (let i = 0; i <= 4; i++) {
+            const x = xMin + (i / 4) * span;
+            const px = mapX(x);
+            ctx.beginPath();
+            ctx.moveTo(px, padTop);
+            ctx.lineTo(px, padTop + plotH);
+            ctx.stroke();
+            ctx.fillText(x.toFixed(1) + "λ", px, h - 8);
+        }
+
+        const arrays = context.getAllArrays().filter(a => a.enabled);
+        if (arrays.length === 0) return;
+
+        const key = JSON.stringify([
+            depth, span, settings.fieldCenterX, settings.sliceHeight,
+            settings.absorption, settings.layers, settings.reflectors,
+            context.getAllArrays().map(arr => [arr.id, arr.enabled, arr.revision])
+        ]);
+        if (key !== this.profileKey) {
+            this.profileKey = key;
+            this.profile = ProfileRenderer.sampleProfile(context, depth, span);
+        }
+        const { xs, dbs, peakIndex } = this.profile;
+
+        ctx.strokeStyle = "#facc15";
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        xs.forEach((x, i) => {
+            if (i === 0) ctx.moveTo(mapX(x), mapY(dbs[i]));
+            else ctx.lineTo(mapX(x), mapY(dbs[i]));
+        });
+        ctx.stroke();
+
+        // -3 dB / -6 dB width markers
+        const markers = [
+            { level: -3, color: "#4ade80" },
+            { level: -6, color: "#38bdf8" }
+        ];
+        ctx.textAlign = "left";
+        markers.forEach((m, idx) => {
+            const width = measureLobeWidth(xs, dbs, peakIndex, m.level);
+            const y = mapY(m.level);
+
+            ctx.strokeStyle = m.color;
+            ctx.fillStyle = m.color;
+            ctx.lineWidth = 1;
+            if (width) {
+                ctx.beginPath();
+                ctx.moveTo(mapX(width.left), y);
+                ctx.lineTo(mapX(width.right), y);
+                ctx.moveTo(mapX(width.left), y - 4); ctx.lineTo(mapX(width.left), y + 4);
+                ctx.moveTo(mapX(width.right), y - 4); ctx.lineTo(mapX(width.right), y + 4);
+                ctx.stroke();
+            }
+
+            const label = width ? width.width.toFixed(2) + "λ" : "> field";
+            ctx.fillText(`${m.level} dB width: ${label}`, padLeft + 5, padTop + 12 + idx * 14);
+        });
+
+        ctx.fillStyle = "#888";
+        ctx.textAlign = "right";
+        ctx.fillText(`depth ${depth.toFixed(1)}λ`, w - padRight - 5, padTop + 12);
+    }
+}
+
+/**
+ * UVPatternRenderer - Far-field pattern of the selected array over the front
+ * hemisphere in direction cosines: u = sin(az) cos(el), v = sin(el).
+ * The unit circle bounds visible space; the image is recomputed only when the
+ * array excitation or the dynamic range changes.
+ */
+export class UVPatternRenderer {
+    // Samples per axis of the u-v grid
+    static RESOLUTION = 96;
+
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.image = document.createElement('canvas');
+        this.image.width = UVPatternRenderer.RESOLUTION;
+        this.image.height = UVPatternRenderer.RESOLUTION;
+        this._imageKey = null;
+    }
+
+    resize() {
+        if (this.canvas.width !== this.canvas.parentElement.clientWidth) {
+            this.canvas.width = this.canvas.parentElement.clientWidth;
+            this.canvas.height = this.canvas.parentElement.clientHeight;
+        }
+    }
+
+    /**
+     * @param {SimulationContext} context
+     * @param {number} selectedArrayId
+     */
+    render(context, selectedArrayId) {
+        this.resize();
+
+        const ctx = this.ctx;
+        const w = this.canvas.width;
+        const h = this.canvas.height;
+
+        ctx.fillStyle = "#000";
+        ctx.fillRect(0, 0, w, h);
+
+        const array = context.getArray(selectedArrayId);
+        if (!array || !array.enabled) return;
+
+        const range = Math.max(1, context.globalSettings.dynamicRange || 40);
+        this._updateImage(array, range);
+
+        // Plot square centered below the tab bar
+        const padTop = 35;
+        const radius = Math.max(10, Math.min(w / 2 - 30, (h - padTop - 20) / 2));
+        const cx = w / 2;
+        const cy = padTop + (h - padTop) / 2;
+
+        // The image covers [-1, 1] in u and v; clip it to visible space
+        ctx.save();
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+        ctx.clip();
+        ctx.imageSmoothingEnabled = true;
+        ctx.drawImage(this.image, cx - radius, cy - radius, radius * 2, radius * 2);
+        ctx.restore();
+
+        // Grid: unit circle, sin = 0.5 ring and axes
+        ctx.strokeStyle = "#555";
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.arc(cx, cy, radius, 0, Math.PI * 2);
+        ctx.moveTo(cx + radius / 2, cy);
+        ctx.arc(cx, cy, radius / 2, 0, Math.PI * 2);
+        ctx.moveTo(cx - radius, cy); ctx.lineTo(cx + radius, cy);
+        ctx.moveTo(cx, cy - radius); ctx.lineTo(cx, cy + radius);
+        ctx.stroke();
+
+        // Steering direction (azimuth only for line arrays)
+        const az = array.steeringAngle * Math.PI / 180;
+        const el = array.geometry === 'planar' ? array.elevationAngle * Math.PI / 180 : 0;
+        const su = cx + Math.sin(az) * Math.cos(el) * radius;
+        const sv = cy - Math.sin(el) * radius;
+        ctx.strokeStyle = "#fff";
+        ctx.beginPath();
+        ctx.moveTo(su - 6, sv); ctx.lineTo(su + 6, sv);
+        ctx.moveTo(su, sv - 6); ctx.lineTo(su, sv + 6);
+        ctx.stroke();
+
+        ctx.fillStyle = "#888";
+        ctx.font = "10px monospace";
+        ctx.textAlign = "left";
+        ctx.fillText("u", cx + radius + 5, cy + 3);
+        ctx.fillText("v", cx + 4, cy - radius - 4);
+        ctx.fillText(array.name, 10, padTop + 12);
+        ctx.fillText(`0 to -${range} dB`, 10, padTop + 26);
+    }
+
+    /**
+     * Recompute the u-v image when the pattern inputs change
+     * @private
+     */
+    _updateImage(array, range) {
+        const key = JSON.stringify([array.id, array.orientation, array.wavelength, range, array.getElementPattern(), array.getElementData()]);
+        if (key === this._imageKey) return;
+        this._imageKey = key;
+
+        const n = UVPatternRenderer.RESOLUTION;
+        const imgCtx = this.image.getContext('2d');
+        const img = imgCtx.createImageData(n, n);
+
+        for (let j = 0; j < n; j++) {
+            const v = 1 - (2 * j + 1) / n; // +v at the top
+            for (let i = 0; i < n; i++) {
+                const u = (2 * i + 1) / n - 1;
+                const value = array.calculateBeamPatternUV(u, v);
+                const db = 10 * Math.log10(value + 1e-12);
+                const [r, g, b] = intensityColor(Math.min(1, Math.max(0, 1 + db / range)));
+                const idx = (j * n + i) * 4;
+                img.data[idx] = r;
+                img.data[idx + 1] = g;
+                img.data[idx + 2] = b;
+                img.data[idx + 3] = 255;
+            }
+        }
+        imgCtx.putImageData(img, 0, 0);
+    }
+}
+
+/**
+ * ToleranceRenderer - Result of Analysis.runToleranceAnalysis: error-free
+ * pattern, mean pattern and percentile band on top, histogram of the trial
+ * sidelobe levels below
+ */
+export class ToleranceRenderer {
+    static HISTOGRAM_BINS = 24;
+
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+    }
+
+    resize() {
+        if (this.canvas.width !== this.canvas.parentElement.clientWidth) {
+            this.canvas.width = this.canvas.parentElement.clientWidth;
+            this.canvas.height = this.canvas.parentElement.clientHeight;
+        }
+    }
+
+    /**
+     * @param {Object|null} result - From runToleranceAnalysis
+     * @param {number} range - dB span of the pattern plot
+     * @param {Array<number>} band - Percentiles of the shaded band
+     */
+    render(result, range = 40, band = [10, 90]) {
+        this.resize();
+
+        const ctx = this.ctx;
+        const w = this.canvas.width;
+        const h = this.canvas.height;
+
+        ctx.fillStyle = "#000";
+        ctx.fillRect(0, 0, w, h);
+        if (!result) return;
+
+        const padLeft = 40;
+        const padRight = 15;
+        const padTop = 40;
+        const gap = 30;
+        const plotW = w - padLeft - padRight;
+        const histH = Math.max(30, (h - padTop) * 0.28);
+        const plotH = h - padTop - gap - histH - 20;
+        if (plotW <= 0 || plotH <= 0) return;
+
+        // ---- Pattern spread ----
+        const mapX = (angle) => padLeft + ((angle + 90) / 180) * plotW;
+        const mapY = (db) => padTop + Math.min(1, Math.max(0, -db / range)) * plotH;
+
+        ctx.strokeStyle = "#333";
+        ctx.lineWidth = 1;
+        ctx.fillStyle = "#666";
+        ctx.font = "10px monospace";
+        ctx.textAlign = "right";
+        for (let db = 0; db >= -range; db -= 10) {
+            const y = mapY(db);
+            ctx.beginPath();
+            ctx.moveTo(padLeft, y);
+            ctx.lineTo(w - padRight, y);
+            ctx.stroke();
+            ctx.fillText(db + "", padLeft - 5, y + 3);
+        }
+        ctx.textAlign = "center";
+        for (let angle = -90; angle <= 90; angle += 45) {
+            const x = mapX(angle);
+            ctx.beginPath();
+            ctx.moveTo(x, padTop);
+            ctx.lineTo(x, padTop + plotH);
+            ctx.stroke();
+            ctx.fillText(angle + "°", x, padTop + plotH + 12);
+        }
+
+        const { angles } = result;
+        ctx.fillStyle = "rgba(99, 102, 241, 0.35)";
+        ctx.beginPath();
+        angles.forEach((a, i) => {
+            if (i === 0) ctx.moveTo(mapX(a), mapY(result.upper[i]));
+            else ctx.lineTo(mapX(a), mapY(result.upper[i]));
+        });
+        for (let i = angles.length - 1; i >= 0; i--) ctx.lineTo(mapX(angles[i]), mapY(result.lower[i]));
         ctx.closePath();
         ctx.fill();
+
+        const line = (values, color, dash) => {
+            ctx.strokeStyle = color;
+            ctx.lineWidth = dash ? 1 : 2;
+            ctx.setLineDash(dash ? [4, 3] : []);
+            ctx.beginPath();
+            angles.forEach((a, i) => {
+                if (i === 0) ctx.moveTo(mapX(a), mapY(values[i]));
+                else ctx.lineTo(mapX(a), mapY(values[i]));
+            });
+            ctx.stroke();
+            ctx.setLineDash([]);
+        };
+        line(result.ideal, "#888", true);
+        line(result.mean, "#facc15", false);
+
+        ctx.textAlign = "left";
+        ctx.fillStyle = "#facc15";
+        ctx.fillText(`mean of ${result.trials}`, padLeft + 5, padTop + 12);
+        ctx.fillStyle = "#a5b4fc";
+        ctx.fillText(`P${band[0]}-P${band[1]}`, padLeft + 5, padTop + 26);
+        ctx.fillStyle = "#888";
+        ctx.fillText("error-free", padLeft + 5, padTop + 40);
+        ctx.textAlign = "right";
+        ctx.fillText(`gain loss ${result.gainLoss.toFixed(2)} dB`, w - padRight - 5, padTop + 12);
+
+        // ---- Sidelobe-level histogram ----
+        const psl = [...result.psl].sort((a, b) => a - b);
+        if (psl.length === 0) return;
+
+        const top = padTop + plotH + gap;
+        const lo = Math.floor(Math.min(psl[0], result.pslIdeal ?? psl[0]) - 1);
+        const hi = Math.ceil(Math.max(psl[psl.length - 1], result.pslIdeal ?? psl[0]) + 1);
+        const bins = new Array(ToleranceRenderer.HISTOGRAM_BINS).fill(0);
+        const binOf = (v) => Math.min(bins.length - 1, Math.floor((v - lo) / (hi - lo) * bins.length));
+        psl.forEach(v => bins[binOf(v)]++);
+        const maxCount = Math.max(...bins);
+        const mapHx = (db) => padLeft + ((db - lo) / (hi - lo)) * plotW;
+        const barW = plotW / bins.length;
+
+        ctx.fillStyle = "#6366f1";
+        bins.forEach((count, i) => {
+            const barH = (count / maxCount) * histH;
+            ctx.fillRect(padLeft + i * barW + 1, top + histH - barH, barW - 2, barH);
+        });
+
+        ctx.strokeStyle = "#333";
+        ctx.beginPath();
+        ctx.moveTo(padLeft, top + histH);
+        ctx.lineTo(w - padRight, top + histH);
+        ctx.stroke();
+
+        const median = percentile(psl, 50);
+        const marker = (db, color) => {
+            ctx.strokeStyle = color;
+            ctx.beginPath();
+            ctx.moveTo(mapHx(db), top);
+            ctx.lineTo(mapHx(db), top + histH);
+            ctx.stroke();
+        };
+        marker(median, "#facc15");
+        if (result.pslIdeal !== null) marker(result.pslIdeal, "#888");
+
+        ctx.fillStyle = "#666";
+        ctx.textAlign = "left";
+        ctx.fillText(lo + " dB", padLeft, top + histH + 12);
+        ctx.textAlign = "right";
+        ctx.fillText(hi + " dB", w - padRight, top + histH + 12);
+        ctx.textAlign = "center";
+        ctx.fillStyle = "#aaa";
+        const ideal = result.pslIdeal !== null ? `, error-free ${result.pslIdeal.toFixed(1)}` : '';
+        ctx.fillText(`PSL median ${median.toFixed(1)} dB, P90 ${percentile(psl, 90).toFixed(1)}${ideal}`,
+            padLeft + plotW / 2, top - 8);
+    }
+}
+
+/**
+ * DOASpectrumRenderer - Result of DOA.estimateDoa: spatial spectrum against
+ * angle from broadside, estimated directions as dashed lines and the true
+ * source directions as ticks along the top
+ */
+export class DOASpectrumRenderer {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+    }
+
+    resize() {
+        if (this.canvas.width !== this.canvas.parentElement.clientWidth) {
+            this.canvas.width = this.canvas.parentElement.clientWidth;
+            this.canvas.height = this.canvas.parentElement.clientHeight;
+        }
+    }
+
+    /**
+     * @param {Object|null} result - From estimateDoa
+     * @param {number} range - dB span of the plot
+     */
+    render(result, range = 40) {
+        this.resize();
+
+        const ctx = this.ctx;
+        const w = this.canvas.width;
+        const h = this.canvas.height;
+
+        ctx.fillStyle = "#000";
+        ctx.fillRect(0, 0, w, h);
+
+        ctx.font = "10px monospace";
+        if (!result) {
+            ctx.fillStyle = "#666";
+            ctx.textAlign = "center";
+            ctx.fillText("Enable DOA estimation and add interferers as sources", w / 2, h / 2);
+            return;
+        }
+
+        const padLeft = 40;
+        const padRight = 15;
+        const padTop = 50;
+        const padBottom = 25;
+        const plotW = w - padLeft - padRight;
+        const plotH = h - padTop - padBottom;
+        if (plotW <= 0 || plotH <= 0) return;
+
+        const mapX = (angle) => padLeft + ((angle + 90) / 180) * plotW;
+        const mapY = (db) => padTop + Math.min(1, Math.max(0, -db / range)) * plotH;
+
+        ctx.strokeStyle = "#333";
+        ctx.lineWidth = 1;
+        ctx.fillStyle = "#666";
+        ctx.textAlign = "right";
+        for (let db = 0; db >= -range; db -= 10) {
+            const y = mapY(db);
+            ctx.beginPath();
+            ctx.moveTo(padLeft, y);
+            ctx.lineTo(w - padRight, y);
+            ctx.stroke();
+            ctx.fillText(db + "", padLeft - 5, y + 3);
+        }
+        ctx.textAlign = "center";
+        for (let angle = -90; angle <= 90; angle += 30) {
+            const x = mapX(angle);
+            ctx.beginPath();
+            ctx.moveTo(x, padTop);
+            ctx.lineTo(x, padTop + plotH);
+            ctx.stroke();
+            ctx.fillText(angle + "°", x, padTop + plotH + 12);
+        }
+
+        // Spectrum
+        ctx.strokeStyle = "#22d3ee";
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        result.angles.forEach((a, i) => {
+            if (i === 0) ctx.moveTo(mapX(a), mapY(result.spectrum[i]));
+            else ctx.lineTo(mapX(a), mapY(result.spectrum[i]));
+        });
+        ctx.stroke();
+
+        // True directions (front half-plane only)
+        ctx.fillStyle = "#ef4444";
+        result.truth.filter(a => Math.abs(a) <= 90).forEach(a => {
+            const x = mapX(a);
+            ctx.beginPath();
+            ctx.moveTo(x, padTop);
+            ctx.lineTo(x - 5, padTop - 8);
+            ctx.lineTo(x + 5, padTop - 8);
+            ctx.closePath();
+            ctx.fill();
+        });
+
+        // Estimates
+        ctx.strokeStyle = "#facc15";
+        ctx.fillStyle = "#facc15";
+        ctx.lineWidth = 1;
+        ctx.setLineDash([4, 3]);
+        result.estimates.forEach(a => {
+            const x = mapX(a);
+            ctx.beginPath();
+            ctx.moveTo(x, padTop);
+            ctx.lineTo(x, padTop + plotH);
+            ctx.stroke();
+        });
+        ctx.setLineDash([]);
+        result.estimates.forEach((a, i) => {
+            ctx.fillText(a.toFixed(1) + "°", mapX(a), padTop + 12 + (i % 2) * 12);
+        });
+
+        const methodName = (key) => (DOA_METHODS.find(m => m.key === key) || { name: key }).name;
+        ctx.textAlign = "left";
+        ctx.fillStyle = "#22d3ee";
+        const spectrumNote = result.spectrumMethod !== result.method ? ` (${methodName(result.spectrumMethod)} spectrum)` : '';
+        ctx.fillText(`${methodName(result.method)}${spectrumNote}`, padLeft, 14);
+        ctx.fillStyle = "#aaa";
+        const gap = result.eigenvalues.length > result.order && result.order > 0
+            ? `, eigen gap ${(result.eigenvalues[result.order - 1] - result.eigenvalues[result.order]).toFixed(1)} dB`
+            : '';
+        ctx.fillText(`${result.order} source${result.order === 1 ? '' : 's'}${gap}`, padLeft, 28);
+        if (result.error) {
+            ctx.fillStyle = "#f97316";
+            ctx.textAlign = "right";
+            ctx.fillText(result.error, w - padRight, 14);
+        }
+        ctx.textAlign = "right";
+        ctx.fillStyle = "#ef4444";
+        ctx.fillText("▼ true", w - padRight - 60, 28);
+        ctx.fillStyle = "#facc15";
+        ctx.fillText("┆ estimate", w - padRight, 28);
     }
 }
 
+/**
+ * ArchitectureRenderer - Result of Hybrid.compareArchitectures: one panel per
+ * RF architecture with the pattern of every user stream, the user directions
+ * as dotted lines in their stream's color, and the sum rate
+ */
+export class ArchitectureRenderer {
+    static STREAM_COLORS = ['#22d3ee', '#facc15', '#f472b6', '#4ade80', '#a78bfa', '#fb923c', '#60a5fa', '#f87171'];
+
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+    }
+
+    resize() {
+        if (this.canvas.width !== this.canvas.parentElement.clientWidth) {
+            this.canvas.width = this.canvas.parentElement.clientWidth;
+            this.canvas.height = this.canvas.parentElement.clientHeight;
+        }
+    }
+
+    /**
+     * @param {Object|null} result - From compareArchitectures
+     * @param {number} range - dB span of each panel
+     */
+    render(result, range = 40) {
+        this.resize();
+
+        const ctx = this.ctx;
+        const w = this.canvas.width;
+        const h = this.canvas.height;
+
+        ctx.fillStyle = "#000";
+        ctx.fillRect(0, 0, w, h);
+
+        ctx.font = "10px monospace";
+        if (!result) {
+            ctx.fillStyle = "#666";
+            ctx.textAlign = "center";
+            ctx.fillText("Add probes as users to compare RF architectures", w / 2, h / 2);
+            return;
+        }
+
+        const padLeft = 40;
+        const padRight = 15;
+        const padTop = 24;
+        const padBottom = 20;
+        const gap = 16;
+        const count = result.designs.length;
+        const plotW = w - padLeft - padRight;
+        const panelH = (h - padTop - padBottom - gap * (count - 1)) / count;
+        if (plotW <= 0 || panelH <= 10) return;
+
+        const colors = ArchitectureRenderer.STREAM_COLORS;
+        const mapX = (angle) => padLeft + ((angle + 90) / 180) * plotW;
+
+        const precoder = PRECODERS.find(p => p.key === result.method);
+        ctx.textAlign = "left";
+        ctx.fillStyle = "#aaa";
+        ctx.fillText(`${precoder ? precoder.name : result.method}, ${result.users.length} users`, padLeft, 14);
+
+        result.designs.forEach((design, d) => {
+            const top = padTop + d * (panelH + gap);
+            const mapY = (db) => top + Math.min(1, Math.max(0, -db / range)) * panelH;
+
+            ctx.strokeStyle = "#333";
+            ctx.lineWidth = 1;
+            ctx.fillStyle = "#666";
+            ctx.textAlign = "right";
+            [0, -range / 2, -range].forEach(db => {
+                const y = mapY(db);
+                ctx.beginPath();
+                ctx.moveTo(padLeft, y);
+                ctx.lineTo(w - padRight, y);
+                ctx.stroke();
+                ctx.fillText(db + "", padLeft - 5, y + 3);
+            });
+            ctx.textAlign = "center";
+            for (let angle = -90; angle <= 90; angle += 30) {
+                const x = mapX(angle);
+                ctx.beginPath();
+                ctx.moveTo(x, top);
+                ctx.lineTo(x, top + panelH);
+                ctx.stroke();
+                if (d === count - 1) ctx.fillText(angle + "°", x, top + panelH + 12);
+            }
+
+            // User directions (front half-plane only)
+            ctx.setLineDash([2, 3]);
+            result.users.forEach((angle, u) => {
+                if (Math.abs(angle) > 90) return;
+                ctx.strokeStyle = colors[u % colors.length];
+                ctx.beginPath();
+                ctx.moveTo(mapX(angle), top);
+                ctx.lineTo(mapX(angle), top + panelH);
+                ctx.stroke();
+            });
+            ctx.setLineDash([]);
+
+            // Stream patterns
+            ctx.lineWidth = 1.5;
+            design.patterns.forEach((pattern, s) => {
+                ctx.strokeStyle = colors[s % colors.length];
+                ctx.beginPath();
+                result.angles.forEach((a, i) => {
+                    if (i === 0) ctx.moveTo(mapX(a), mapY(pattern[i]));
+                    else ctx.lineTo(mapX(a), mapY(pattern[i]));
+                });
+                ctx.stroke();
+            });
+
+            ctx.textAlign = "left";
+            ctx.fillStyle = "#ddd";
+            ctx.fillText(`${design.name} · ${design.chains} RF chain${design.chains === 1 ? '' : 's'}`, padLeft + 4, top + 10);
+            ctx.textAlign = "right";
+            ctx.fillStyle = "#4ade80";
+            const worst = Math.min(...design.sinr);
+            ctx.fillText(`${design.sumRate.toFixed(1)} b/s/Hz, min SINR ${worst.toFixed(1)} dB`, w - padRight - 4, top + 10);
+        });
+    }
+}
+
+/**
+ * BModeRenderer - Result of Imaging.simulateBMode: the sector scan converted
+ * to a gray-level image (transducer at the top, depth downward) with a depth
+ * scale in millimeters
+ */
+export class BModeRenderer {
+    static RESOLUTION = 240; // Rows of the scan-converted image
+
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        // Scan-converted image per panel, redrawn when its result or range changes
+        this.panels = [0, 1].map(() => ({ image: document.createElement('canvas'), result: null, range: null }));
+    }
+
+    resize() {
+        if (this.canvas.width !== this.canvas.parentElement.clientWidth) {
+            this.canvas.width = this.canvas.parentElement.clientWidth;
+            this.canvas.height = this.canvas.parentElement.clientHeight;
+        }
+    }
+
+    /**
+     * @param {Object|null} result - From simulateBMode
+     * @param {number} range - Displayed dynamic range (dB)
+     * @param {number} unitLength - Meters per length unit of the result (the base wavelength)
+     * @param {Object|null} reference - Single-transmit image drawn beside a compounded result
+     */
+    render(result, range = 50, unitLength = 0, reference = null) {
+        this.resize();
+
+        const ctx = this.ctx;
+        const w = this.canvas.width;
+        const h = this.canvas.height;
+
+        ctx.fillStyle = "#000";
+        ctx.fillRect(0, 0, w, h);
+        if (!result) return;
+
+        const shown = reference ? [result, reference] : [result];
+        const panelWidth = w / shown.length;
+        shown.forEach((res, i) => this._drawPanel(this.panels[i], res, range, unitLength, i * panelWidth, panelWidth, h));
+
+        ctx.fillStyle = "#888";
+        ctx.font = "10px monospace";
+        ctx.textAlign = "right";
+        ctx.fillText(`0 to -${range} dB`, w - 10, 47);
+    }
+
+    /**
+     * One image with its depth scale, title and resolution metrics
+     * @private
+     */
+    _drawPanel(panel, result, range, unitLength, x0, panelWidth, h) {
+        const ctx = this.ctx;
+        const { width, depth } = BModeRenderer._extent(result);
+        this._updateImage(panel, result, range, width, depth);
+
+        // Sector box fitted below the tab bar and the title, keeping the aspect ratio
+        const padTop = 55;
+        const padLeft = 45;
+        const padBottom = 10;
+        const scale = Math.min((panelWidth - padLeft - 15) / width, (h - padTop - padBottom) / depth);
+        if (!(scale > 0)) return;
+        const left = x0 + padLeft + (panelWidth - padLeft - 15 - width * scale) / 2;
+        ctx.imageSmoothingEnabled = true;
+        ctx.drawImage(panel.image, left, padTop, width * scale, depth * scale);
+
+        // Depth scale, in mm when the physical length unit is known
+        const toMm = unitLength > 0 ? unitLength * 1000 : 1;
+        const unit = unitLength > 0 ? 'mm' : 'λ';
+        const rough = depth * toMm / 5;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(rough)));
+        const tick = [1, 2, 5, 10].map(m => m * magnitude).find(v => v >= rough);
+        ctx.strokeStyle = "#555";
+        ctx.fillStyle = "#888";
+        ctx.font = "10px monospace";
+        ctx.textAlign = "right";
+        ctx.beginPath();
+        ctx.moveTo(left - 4, padTop);
+        ctx.lineTo(left - 4, padTop + depth * scale);
+        for (let d = 0; d <= depth * toMm + 1e-9; d += tick) {
+            const y = padTop + d / toMm * scale;
+            ctx.moveTo(left - 8, y);
+            ctx.lineTo(left - 4, y);
+            ctx.fillText(`${+d.toPrecision(6)}`, left - 10, y + 3);
+        }
+        ctx.stroke();
+        ctx.fillText(unit, left - 10, padTop - 4);
+
+        // Title and the -6 dB widths of the brightest target
+        const title = result.compounded
+            ? (result.transmits > 1 ? `${result.transmits} transmits compounded` : 'Single transmit')
+            : `${result.angles.length} focused lines`;
+        const q = result.quality;
+        const len = (v) => `${(v * toMm).toFixed(unitLength > 0 ? 2 : 1)}${unit}`;
+        ctx.textAlign = "left";
+        ctx.fillStyle = "#ccc";
+        ctx.fillText(title, x0 + 10, 33);
+        ctx.fillStyle = "#888";
+        ctx.fillText(`lat ${len(q.lateral)}  ax ${len(q.axial)}  median ${q.background.toFixed(0)} dB`, x0 + 10, 47);
+    }
+
+    /**
+     * Width and depth of the box around the imaged sector
+     * @private
+     */
+    static _extent(result) {
+        const half = Math.max(...result.angles.map(Math.abs)) * Math.PI / 180;
+        const width = 2 * result.depth * Math.sin(Math.min(half, Math.PI / 2));
+        return { width: Math.max(width, result.depth / 20), depth: result.depth };
+    }
+
+    /**
+     * Scan conversion: sample the lines at each pixel's angle and range
+     * (linear in both) when a new result or range arrives
+     * @private
+     */
+    _updateImage(panel, result, range, width, depth) {
+        if (result === panel.result && range === panel.range) return;
+        panel.result = result;
+        panel.range = range;
+
+        const rows = BModeRenderer.RESOLUTION;
+        const cols = Math.max(1, Math.round(rows * width / depth));
+        panel.image.width = cols;
+        panel.image.height = rows;
+        const imgCtx = panel.image.getContext('2d');
+        const img = imgCtx.createImageData(cols, rows);
+
+        const { angles, image, step } = result;
+        const first = angles[0];
+        const spacing = angles.length > 1 ? angles[1] - angles[0] : 1;
+        const samples = image[0].length;
+
+        for (let j = 0; j < rows; j++) {
+            const y = (j + 0.5) / rows * depth;
+            for (let i = 0; i < cols; i++) {
+                const x = ((i + 0.5) / cols - 0.5) * width;
+                const line = (Math.atan2(x, y) * 180 / Math.PI - first) / spacing;
+                const sample = Math.hypot(x, y) / step;
+                const idx = (j * cols + i) * 4;
+                img.data[idx + 3] = 255;
+                if (line < 0 || line > angles.length - 1 || sample > samples - 1) continue;
+
+                const l = Math.min(angles.length - 2, Math.floor(line));
+                const k = Math.min(samples - 2, Math.floor(sample));
+                const fl = angles.length > 1 ? line - l : 0;
+                const fk = sample - k;
+                const at = (li, ki) => image[Math.max(0, li)][ki];
+                const db = (at(l, k) * (1 - fk) + at(l, k + 1) * fk) * (1 - fl) +
+                    (at(l + 1, k) * (1 - fk) + at(l + 1, k + 1) * fk) * fl;
+                const gray = Math.round(255 * Math.min(1, Math.max(0, 1 + db / range)));
+                img.data[idx] = gray;
+                img.data[idx + 1] = gray;
+                img.data[idx + 2] = gray;
+            }
+        }
+        imgCtx.putImageData(img, 0, 0);
+    }
+}
+
+/**
+ * Dark-to-bright thermal ramp, same stops as the heatmap's intensity mode
+ * @param {number} t - 0..1
+ * @returns {Array<number>} [r, g, b] in 0..255
+ */
+function intensityColor(t) {
+    const smooth = (e0, e1, x) => {
+        const s = Math.min(1, Math.max(0, (x - e0) / (e1 - e0)));
+        return s * s * (3 - 2 * s);
+    };
+    const mix = (a, b, f) => a.map((v, i) => v + (b[i] - v) * f);
+
+    let c = mix([0, 0, 0], [0.35, 0, 0.5], smooth(0, 0.35, t));
+    c = mix(c, [0.9, 0.2, 0.1], smooth(0.3, 0.7, t));
+    c = mix(c, [1, 0.9, 0.3], smooth(0.65, 0.95, t));
+    c = mix(c, [1, 1, 1], smooth(0.95, 1, t));
+    return c.map(v => Math.round(v * 255));
+}
+
 export class ArrayVisualizationRenderer {
+    static PADDING_FACTOR = 1.2;
+
     constructor(canvas) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
     }
 
+    /**
+     * Physics to canvas coordinates (field view with a margin)
+     * @private
+     */
+    _toScreen(context, x, y) {
+        const settings = context.globalSettings;
+        const w = this.canvas.width;
+        const h = this.canvas.height;
+        const paddingFactor = ArrayVisualizationRenderer.PADDING_FACTOR;
+        const normX = (x - settings.fieldCenterX) / settings.fieldWidth;
+        const normY = (y - settings.fieldCenterY) / settings.fieldHeight;
+        return {
+            x: (normX / paddingFactor / (w / h) + 0.5) * w,
+            y: (0.5 - normY / paddingFactor) * h
+        };
+    }
+
+    /**
+     * Find the element drawn nearest a canvas point
+     * @param {SimulationContext} context
+     * @param {number} sx - Canvas X (pixels)
+     * @param {number} sy - Canvas Y (pixels)
+     * @param {number} radius - Hit radius in pixels
+     * @returns {{arrayId: number, index: number}|null}
+     */
+    hitTestElement(context, sx, sy, radius = 6) {
+        let hit = null;
+        let bestDist = radius;
+        context.getAllArrays().forEach(arr => {
+            arr.getElementData().forEach((el, index) => {
+                const p = this._toScreen(context, el.x, el.y);
+                const dist = Math.hypot(p.x - sx, p.y - sy);
+                if (dist < bestDist) {
+                    bestDist = dist;
+                    hit = { arrayId: arr.id, index };
+                }
+            });
+        });
+        return hit;
+    }
+
     resize() {
         if (this.canvas.width !== this.canvas.parentElement.clientWidth) {
             this.canvas.width = this.canvas.parentElement.clientWidth;
@@ -241,7 +1617,7 @@ export class ArrayVisualizationRenderer {
         }
     }
 
-    render(context, receivers, selectedRxId) {
+    render(context, receivers, selectedRxId, interferers = new Map()) {
         this.resize();
 
         const ctx = this.ctx;
@@ -253,28 +1629,42 @@ export class ArrayVisualizationRenderer {
         const showElements = document.getElementById('chk-elements');
         if (showElements && !showElements.checked) return;
 
-        const paddingFactor = 1.2;
+        const paddingFactor = ArrayVisualizationRenderer.PADDING_FACTOR;
         const scaleX = w / (context.globalSettings.fieldWidth * paddingFactor);
         const scaleY = h / (context.globalSettings.fieldHeight * paddingFactor);
-        const aspect = w / h;
-
-        const toScreen = (x, y) => {
-            const normX = (x - context.globalSettings.fieldCenterX) / context.globalSettings.fieldWidth;
-            const normY = (y - context.globalSettings.fieldCenterY) / context.globalSettings.fieldHeight;
-            const screenX = (normX / paddingFactor / aspect + 0.5) * w;
-            const screenY = (0.5 - normY / paddingFactor) * h;
-            return { x: screenX, y: screenY };
-        };
+
+        const toScreen = (x, y) => this._toScreen(context, x, y);
 
         context.getAllArrays().forEach(arr => {
             ctx.fillStyle = "#6366f1";
             const elements = arr.getElementData();
-            elements.forEach(el => {
+            const weights = arr.getElementWeights();
+            const active = arr.getActiveMask();
+            elements.forEach((el, i) => {
                 const p = toScreen(el.x, el.y);
                 ctx.beginPath();
                 ctx.arc(p.x, p.y, 3, 0, Math.PI * 2);
+                if (!active[i]) {
+                    // Switched-off elements stay visible as gray rings
+                    ctx.globalAlpha = 1;
+                    ctx.strokeStyle = "#555";
+                    ctx.lineWidth = 1;
+                    ctx.stroke();
+                    return;
+                }
+                // Dim tapered elements so the apodization is visible
+                ctx.globalAlpha = 0.25 + 0.75 * weights[i];
                 ctx.fill();
             });
+            ctx.globalAlpha = 1;
+
+            // Planar rows stack out of the plane, so only the column line is visible
+            if (arr.geometry === 'planar' && elements.length > 0) {
+                const p = toScreen(arr.position.x, arr.position.y);
+                ctx.fillStyle = "#a5b4fc";
+                ctx.font = "10px sans-serif";
+                ctx.fillText(`${arr.elementCount / arr.numElements}×${arr.numElements}`, p.x + 6, p.y + 14);
+            }
         });
 
         receivers.forEach(rx => {
@@ -290,5 +1680,19 @@ export class ArrayVisualizationRenderer {
             ctx.font = "10px sans-serif";
             ctx.fillText(rx.name, p.x + 6, p.y);
         });
+
+        interferers.forEach(intf => {
+            const p = toScreen(intf.x, intf.y);
+            ctx.strokeStyle = "#f97316";
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.moveTo(p.x, p.y - 5); ctx.lineTo(p.x + 5, p.y);
+            ctx.lineTo(p.x, p.y + 5); ctx.lineTo(p.x - 5, p.y);
+            ctx.closePath();
+            ctx.stroke();
+            ctx.fillStyle = "#f97316";
+            ctx.font = "10px sans-serif";
+            ctx.fillText(intf.name, p.x + 7, p.y);
+        });
     }
 }
\ No newline at end of file
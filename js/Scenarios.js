@@ -4,11 +4,53 @@
  * All values use real-world physical units:
  * - frequency: Hz
  * - speedOfSound: m/s
- * - pitch: meters (element spacing)
+ * - pitch, rowPitch: meters (element spacing along the axis / between planar rows)
  * - position: meters
  * - curvatureRadius: meters
+ * - customElements[]: meters (x along the array axis, y broadside; geometry 'custom')
+ * - layout: {type, fill, seed} sparse layout, elementMask: per-element on/off (unitless)
+ * - hardware: {type: 'phase' | 'quantized' | 'ttd', bits} steering hardware (unitless)
+ * - architecture: {type: 'digital' | 'hybrid' | 'analog', rfChains} RF chains behind the
+ *   elements (per array); hybrid arrays split the columns into rfChains subarrays of
+ *   analog phase shifters, which limits the precoded streams (see Hybrid.js)
+ * - excitation: {type: 'cw' | 'burst' | 'chirp', bandwidth, duration, period} transmit
+ *   waveform; bandwidth is a fraction of the carrier, duration/period in carrier cycles
+ * - elementPattern: {type: 'isotropic' | 'cosine' | 'piston' | 'dipole', exponent, width}
+ *   element directivity; width in meters (piston, defaults to the pitch)
  * - focalDistance: meters
  * - fieldWidth/Height: meters
+ * - sliceHeight: meters (z of the heatmap plane; planar arrays extend along z)
+ * - timeScale: animation speed in carrier cycles per second (optional, default 1)
+ * - medium: preset key ('lossless', 'air', 'water', 'tissue', 'bone') or
+ *   {type, attenuation: dB/(cm·MHz^y), power: y}; its sound speed applies
+ *   when speedOfSound is omitted (see Media.js)
+ * - layers[]: {name, depth: meters, speedOfSound: m/s}; each layer runs from its
+ *   depth (y) to the next one, the medium above the first uses speedOfSound (see Layers.js)
+ * - refractionCorrection: focus through the layers along refracted rays (per array)
+ * - sequence: {type: 'single' | 'plane-wave' | 'synthetic-aperture' | 'custom', count,
+ *   span: deg, aperture: elements, dwell: carrier cycles, events[]} transmit sequence
+ *   (per array); events[]: {steeringAngle: deg, focalDistance: meters, aperture: {start, size}}
+ *   (see Sequences.js)
+ * - walls[]: {name, start: {x, y}, end: {x, y}, reflection} reflecting segments in
+ *   meters, reflection -1..1; at most 4 (see Reflectors.js)
+ * - scatterers[]: {name, position: {x, y}, reflection} point scatterers in meters;
+ *   they also form the B-mode phantom
+ * - imaging: {lines, sector: deg, fNumber, window, speckle, seed} B-mode scan of
+ *   the selected array (optional, see Imaging.js)
+ * - doa: {enabled, method: 'bartlett' | 'capon' | 'music' | 'root-music' | 'esprit', snr: dB,
+ *   snapshots, order, seed} direction finding of the interferers by the selected array
+ *   (optional, see DOA.js)
+ * - interferers[].position: meters, interferers[].frequency: Hz,
+ *   interferers[].power: dB relative to one array element
+ * - receivers[].position: meters (optional; probes are kept otherwise)
+ * - beamformer: 'conventional' | 'mvdr' | 'mu-mimo' (optional); mvdr: {snr, inr: dB,
+ *   snapshots, diagonalLoading: dB, seed} adaptive weights toward the selected probe
+ *   (see Adaptive.js); precoding: {method: 'mrt' | 'zf' | 'mmse'} one stream per probe,
+ *   the probes being the users (see Precoding.js)
+ * - baseFrequency: Hz (optional; defaults to the first array's frequency)
+ *
+ * Scenes imported at runtime (see SceneIO.js) are registered alongside the
+ * built-ins with registerScenario and use the same format.
  */
 
 export const Scenarios = {
@@ -18,11 +60,16 @@ export const Scenarios = {
      * 28 GHz mmWave 5G
      * - λ = c/f = 3e8 / 28e9 ≈ 10.7mm
      * - Typical array: 16 elements, 0.5λ spacing ≈ 5.35mm
-     * - Far-field beam steering for mobile users
+     * - Multi-user MIMO: three user equipments (the probes), each served by
+     *   its own zero-forcing stream with nulls at the other two
+     * - Building facade and a lamp post add multipath (reflection ≈ 0.6 for concrete);
+     *   the channels include it, so the nulls hold
      */
     '5G_MIMO': {
         name: '5G MIMO Station',
-        description: '28 GHz mmWave linear array for mobile beam steering.',
+        description: '28 GHz mmWave linear array serving three users with zero-forcing precoding.',
+        beamformer: 'mu-mimo',
+        precoding: { method: 'zf' },
         arrays: [
             {
                 name: '5G Linear Array',
@@ -45,9 +92,111 @@ export const Scenarios = {
             fieldHeight: 0.5,
             fieldCenterX: 0,
             fieldCenterY: 0.25,          // Center 250mm ahead
-            displayMode: 0,
+            displayMode: 1,              // Intensity: per-user beams add in power
             dynamicRange: 40,
             profileDepth: 0.25
+        },
+        receivers: [
+            { name: 'UE 1', position: { x: -0.08, y: 0.35 } },
+            { name: 'UE 2', position: { x: 0.02, y: 0.25 } },
+            { name: 'UE 3', position: { x: 0.1, y: 0.3 } }
+        ],
+        walls: [
+            { name: 'Facade', start: { x: 0.18, y: 0.05 }, end: { x: 0.18, y: 0.5 }, reflection: 0.6 }
+        ],
+        scatterers: [
+            { name: 'Lamp Post', position: { x: -0.12, y: 0.3 }, reflection: 0.4 }
+        ]
+    },
+
+    /**
+     * Hybrid mmWave Array
+     *
+     * 28 GHz, 32 elements at 0.5λ behind 4 RF chains
+     * - Each chain drives an 8-element subarray through analog phase shifters;
+     *   baseband ZF weights across the chains serve four users
+     * - Four chains are just enough for four nulled streams: the Hybrid tab
+     *   compares the same elements with 32 chains (fully digital) and with one
+     *   (fully analog, a single beam that cannot separate the users)
+     */
+    'Hybrid_mmWave': {
+        name: 'Hybrid mmWave Array',
+        description: '28 GHz 32-element array with 4 RF chains (8-element subarrays) serving four users.',
+        beamformer: 'mu-mimo',
+        precoding: { method: 'zf' },
+        arrays: [
+            {
+                name: 'Hybrid Array 4x8',
+                numElements: 32,
+                pitch: 0.00535,          // 0.5λ at 28 GHz
+                frequency: 28e9,
+                position: { x: 0, y: 0 },
+                geometry: 'linear',
+                architecture: { type: 'hybrid', rfChains: 4 },
+                amplitude: 1.0,
+                enabled: true
+            }
+        ],
+        globalSettings: {
+            speedOfSound: 3e8,
+            fieldWidth: 0.8,
+            fieldHeight: 0.8,
+            fieldCenterX: 0,
+            fieldCenterY: 0.35,
+            displayMode: 1,              // Intensity: the user streams add in power
+            dynamicRange: 40
+        },
+        receivers: [
+            { name: 'UE 1', position: { x: -0.25, y: 0.45 } },
+            { name: 'UE 2', position: { x: -0.05, y: 0.55 } },
+            { name: 'UE 3', position: { x: 0.12, y: 0.5 } },
+            { name: 'UE 4', position: { x: 0.3, y: 0.4 } }
+        ]
+    },
+
+    /**
+     * 5G Planar Panel (UPA)
+     *
+     * 28 GHz 8x8 uniform planar array
+     * - 0.5λ ≈ 5.35mm in both directions
+     * - Steered 20° in azimuth and 15° in elevation
+     * - Patch elements with a cos θ field pattern
+     * - The heatmap slice sits 65mm above the array plane, where the
+     *   elevated beam crosses it about 250mm out
+     */
+    '5G_Panel': {
+        name: '5G Planar Panel',
+        description: '28 GHz 8×8 UPA steered in azimuth and elevation; heatmap shows a raised slice.',
+        arrays: [
+            {
+                name: '5G Panel 8x8',
+                numElements: 8,
+                pitch: 0.00535,
+                numRows: 8,
+                rowPitch: 0.00535,
+                frequency: 28e9,
+                steeringAngle: 20,
+                elevationAngle: 15,
+                position: { x: 0, y: 0 },
+                geometry: 'planar',
+                curvatureRadius: 0.05,
+                orientation: 0,
+                focalDistance: Infinity,
+                amplitude: 1.0,
+                elementPattern: { type: 'cosine', exponent: 1 },
+                enabled: true
+            }
+        ],
+        globalSettings: {
+            speedOfSound: 3e8,
+            fieldWidth: 0.5,
+            fieldHeight: 0.5,
+            fieldCenterX: 0,
+            fieldCenterY: 0.25,
+            displayMode: 1,
+            dynamicRange: 30,
+            profileDepth: 0.25,
+            sliceHeight: 0.065
         }
     },
 
@@ -59,6 +208,11 @@ export const Scenarios = {
      * - Convex probe radius: ~40mm
      * - Imaging depth: 15-20cm
      * - Element pitch: ~0.3mm
+     * - Pulse-echo: 60% bandwidth tone burst focused with true time delays
+     * - Piston elements as wide as the pitch, facing outward from the convex face
+     * - Soft-tissue absorption (0.5 dB/(cm·MHz)): about 14 dB one-way at the focus
+     * - Wire-target phantom: a column every 20mm from 30 to 110mm and a lateral
+     *   pair at 70mm, in tissue-mimicking speckle (B-mode tab)
      */
     'Ultrasound': {
         name: 'Medical Ultrasound',
@@ -76,19 +230,90 @@ export const Scenarios = {
                 orientation: 0,
                 focalDistance: 0.08,     // Focus at 80mm depth
                 amplitude: 1.0,
+                hardware: { type: 'ttd' },
+                excitation: { type: 'burst', bandwidth: 0.6, period: 200 },
+                elementPattern: { type: 'piston' }, // Element as wide as the pitch
                 enabled: true
             }
         ],
         globalSettings: {
             speedOfSound: 1540,          // Speed in soft tissue (m/s)
+            medium: 'tissue',
             fieldWidth: 0.15,            // 150mm width
             fieldHeight: 0.18,           // 180mm depth
             fieldCenterX: 0,
             fieldCenterY: 0.08,          // Center at 80mm
             displayMode: 0,
             dynamicRange: 50,
-            profileDepth: 0.08
-        }
+            profileDepth: 0.08,
+            timeScale: 20
+        },
+        scatterers: [
+            { name: 'Wire 30mm', position: { x: 0, y: 0.03 }, reflection: 0.5 },
+            { name: 'Wire 50mm', position: { x: 0, y: 0.05 }, reflection: 0.5 },
+            { name: 'Wire 70mm', position: { x: 0, y: 0.07 }, reflection: 0.5 },
+            { name: 'Wire 90mm', position: { x: 0, y: 0.09 }, reflection: 0.5 },
+            { name: 'Wire 110mm', position: { x: 0, y: 0.11 }, reflection: 0.5 },
+            { name: 'Wire L', position: { x: -0.02, y: 0.07 }, reflection: 0.5 },
+            { name: 'Wire R', position: { x: 0.02, y: 0.07 }, reflection: 0.5 }
+        ],
+        imaging: { speckle: 300 }
+    },
+
+    /**
+     * Plane-Wave Ultrafast Imaging
+     * 
+     * 5 MHz linear probe firing unfocused plane waves
+     * - λ = 1540 / 5e6 ≈ 0.31mm in tissue
+     * - 64 elements at 0.3mm pitch: 19mm aperture
+     * - 9 plane waves over ±8°, one per pulse repetition, compounded coherently
+     * - The B-mode tab compares the compounded image with the 0° plane wave alone
+     * - Wire targets every 10mm and a lateral pair at 30mm, in speckle
+     */
+    'Plane_Wave': {
+        name: 'Plane-Wave Compounding',
+        description: '5 MHz linear probe: coherent compounding of steered plane waves.',
+        arrays: [
+            {
+                name: 'Linear Probe',
+                numElements: 64,
+                pitch: 0.0003,           // 0.3mm pitch
+                frequency: 5e6,          // 5 MHz
+                steeringAngle: 0,
+                position: { x: 0, y: 0 },
+                geometry: 'linear',
+                orientation: 0,
+                focalDistance: Infinity,
+                amplitude: 1.0,
+                hardware: { type: 'ttd' },
+                excitation: { type: 'burst', bandwidth: 0.6, period: 200 },
+                elementPattern: { type: 'piston' },
+                sequence: { type: 'plane-wave', count: 9, span: 16 },
+                enabled: true
+            }
+        ],
+        globalSettings: {
+            speedOfSound: 1540,
+            medium: 'tissue',
+            fieldWidth: 0.04,            // 40mm width
+            fieldHeight: 0.06,           // 60mm depth
+            fieldCenterX: 0,
+            fieldCenterY: 0.03,
+            displayMode: 0,
+            dynamicRange: 50,
+            profileDepth: 0.03,
+            timeScale: 100               // One plane wave every 2 s
+        },
+        scatterers: [
+            { name: 'Wire 10mm', position: { x: 0, y: 0.01 }, reflection: 0.5 },
+            { name: 'Wire 20mm', position: { x: 0, y: 0.02 }, reflection: 0.5 },
+            { name: 'Wire 30mm', position: { x: 0, y: 0.03 }, reflection: 0.5 },
+            { name: 'Wire 40mm', position: { x: 0, y: 0.04 }, reflection: 0.5 },
+            { name: 'Wire 50mm', position: { x: 0, y: 0.05 }, reflection: 0.5 },
+            { name: 'Wire L', position: { x: -0.005, y: 0.03 }, reflection: 0.5 },
+            { name: 'Wire R', position: { x: 0.005, y: 0.03 }, reflection: 0.5 }
+        ],
+        imaging: { lines: 48, sector: 30, speckle: 200 }
     },
 
     /**
@@ -96,8 +321,12 @@ export const Scenarios = {
      * 
      * 1 MHz High-Intensity Focused Ultrasound
      * - λ = 1540 / 1e6 ≈ 1.54mm in tissue
-     * - Dual transducers for focused energy delivery
-     * - Focal depth: ~100mm
+     * - Soft-tissue absorption: about 6 dB one-way to the 118mm focus
+     * - Dual transducers for focused energy delivery: each faces the common
+     *   target at (0, 107mm) (orientation ±25°) and focuses on its own
+     *   broadside (steering 0°), 118mm out
+     * - 30mm of fat (1450 m/s) over muscle (1580 m/s) refracts the oblique beams:
+     *   the left transducer corrects for it, the right one assumes 1540 m/s throughout
      */
     'Tumor_Ablation': {
         name: 'HIFU Tumor Ablation',
@@ -108,13 +337,14 @@ export const Scenarios = {
                 numElements: 24,
                 pitch: 0.00077,          // 0.77mm ≈ 0.5λ at 1 MHz
                 frequency: 1e6,          // 1 MHz
-                steeringAngle: 25,
+                steeringAngle: 0,
                 position: { x: -0.05, y: 0 },  // 50mm left
                 geometry: 'curved',
                 curvatureRadius: 0.06,   // 60mm radius
-                orientation: 25,
-                focalDistance: 0.08,     // 80mm focal depth
+                orientation: 25,         // Facing the target
+                focalDistance: 0.118,    // 50mm / sin 25°
                 amplitude: 1.0,
+                refractionCorrection: true,
                 enabled: true
             },
             {
@@ -122,25 +352,30 @@ export const Scenarios = {
                 numElements: 24,
                 pitch: 0.00077,
                 frequency: 1e6,
-                steeringAngle: -25,
+                steeringAngle: 0,
                 position: { x: 0.05, y: 0 },   // 50mm right
                 geometry: 'curved',
                 curvatureRadius: 0.06,
                 orientation: -25,
-                focalDistance: 0.08,
+                focalDistance: 0.118,
                 amplitude: 1.0,
                 enabled: true
             }
         ],
         globalSettings: {
             speedOfSound: 1540,
+            medium: 'tissue',
+            layers: [
+                { name: 'Fat', depth: 0.005, speedOfSound: 1450 },
+                { name: 'Muscle', depth: 0.035, speedOfSound: 1580 }
+            ],
             fieldWidth: 0.2,             // 200mm
             fieldHeight: 0.2,
             fieldCenterX: 0,
-            fieldCenterY: 0.07,          // Target region
+            fieldCenterY: 0.08,          // Target region
             displayMode: 0,
             dynamicRange: 45,
-            profileDepth: 0.07
+            profileDepth: 0.107
         }
     },
 
@@ -150,6 +385,10 @@ export const Scenarios = {
      * 50 kHz side-scan sonar
      * - λ = 1500 / 50e3 = 30mm in water
      * - Multiple beams for wide coverage
+     * - 40% bandwidth LFM ping; the phase-steered side beams squint across the band
+     * - Sandy seabed (1700 m/s) 1m down: the side beams bend away from the normal
+     *   and echo off the bottom (reflection ≈ 0.4 for water over sand)
+     * - A wreck and a rock on the bottom return point echoes
      */
     'Multi_Beam': {
         name: 'Multi-Beam SONAR',
@@ -167,6 +406,7 @@ export const Scenarios = {
                 orientation: 0,
                 focalDistance: Infinity,
                 amplitude: 1.0,
+                excitation: { type: 'chirp', bandwidth: 0.4, duration: 8, period: 80 },
                 enabled: true
             },
             {
@@ -181,6 +421,7 @@ export const Scenarios = {
                 orientation: 0,
                 focalDistance: Infinity,
                 amplitude: 1.0,
+                excitation: { type: 'chirp', bandwidth: 0.4, duration: 8, period: 80 },
                 enabled: true
             },
             {
@@ -195,19 +436,30 @@ export const Scenarios = {
                 orientation: 0,
                 focalDistance: Infinity,
                 amplitude: 1.0,
+                excitation: { type: 'chirp', bandwidth: 0.4, duration: 8, period: 80 },
                 enabled: true
             }
         ],
         globalSettings: {
             speedOfSound: 1500,          // Speed in water (m/s)
+            medium: 'water',
+            layers: [{ name: 'Sediment', depth: 1.0, speedOfSound: 1700 }],
             fieldWidth: 1.5,             // 1.5m viewing area
             fieldHeight: 1.5,
             fieldCenterX: 0,
             fieldCenterY: 0.6,
             displayMode: 0,
             dynamicRange: 40,
-            profileDepth: 0.6
-        }
+            profileDepth: 0.6,
+            timeScale: 8
+        },
+        walls: [
+            { name: 'Seabed', start: { x: -0.75, y: 1.0 }, end: { x: 0.75, y: 1.0 }, reflection: 0.4 }
+        ],
+        scatterers: [
+            { name: 'Wreck', position: { x: -0.6, y: 0.8 }, reflection: 0.6 },
+            { name: 'Rock', position: { x: 0.65, y: 0.9 }, reflection: 0.3 }
+        ]
     },
 
     /**
@@ -238,6 +490,7 @@ export const Scenarios = {
         ],
         globalSettings: {
             speedOfSound: 343,           // Speed in air (m/s)
+            medium: 'air',
             fieldWidth: 0.4,             // 400mm
             fieldHeight: 0.4,
             fieldCenterX: 0,
@@ -251,12 +504,14 @@ export const Scenarios = {
     /**
      * MVDR / Adaptive Tracking
      * 
-     * Demonstrates adaptive beamforming where arrays automatically
-     * steer towards the signal source (Receiver/Probe).
+     * Demonstrates adaptive beamforming: each array solves MVDR (Capon)
+     * weights from a sample covariance with the probe as the desired source,
+     * placing nulls on the jammers.
      */
     'MVDR': {
         name: 'MVDR (Adaptive Tracking)',
-        description: 'Arrays automatically steer to maximize signal at the probe position.',
+        description: 'MVDR weights keep unit gain at the probe and null the jammers.',
+        beamformer: 'mvdr',
         arrays: [
             {
                 name: 'Tracking Array 1',
@@ -289,6 +544,7 @@ export const Scenarios = {
         ],
         globalSettings: {
             speedOfSound: 343,
+            medium: 'air',
             fieldWidth: 0.4,
             fieldHeight: 0.4,
             fieldCenterX: 0,
@@ -296,16 +552,87 @@ export const Scenarios = {
             displayMode: 0,
             dynamicRange: 40,
             profileDepth: 0.2
-        }
+        },
+        interferers: [
+            {
+                name: 'Jammer 1',
+                position: { x: 0.12, y: 0.25 },   // meters
+                power: 20                          // dB relative to one array element
+            }
+        ]
+    },
+
+    /**
+     * Direction Finding (Receive)
+     *
+     * The array listens instead of transmitting: three emitters, one of them
+     * 6 dB weaker, two only 6 degrees apart. MUSIC separates the close pair
+     * that the Bartlett (conventional) spectrum merges into one lobe.
+     */
+    'Direction_Finding': {
+        name: 'Direction Finding (DOA)',
+        description: 'A 16-element receive array estimates the directions of three emitters.',
+        doa: { enabled: true, method: 'music', snr: 10, snapshots: 200 },
+        arrays: [
+            {
+                name: 'DF Array',
+                numElements: 16,
+                pitch: 0.0043,
+                frequency: 40e3,
+                steeringAngle: 0,
+                position: { x: 0, y: 0 },
+                geometry: 'linear',
+                curvatureRadius: 0.05,
+                orientation: 0,
+                focalDistance: Infinity,
+                amplitude: 1.0,
+                enabled: true
+            }
+        ],
+        globalSettings: {
+            speedOfSound: 343,
+            medium: 'air',
+            fieldWidth: 0.5,
+            fieldHeight: 0.5,
+            fieldCenterX: 0,
+            fieldCenterY: 0.22,
+            displayMode: 1,
+            dynamicRange: 40,
+            profileDepth: 0.3
+        },
+        interferers: [
+            { name: 'Emitter 1', position: { x: -0.22, y: 0.3 }, power: 20 },
+            { name: 'Emitter 2', position: { x: 0.05, y: 0.4 }, power: 20 },
+            { name: 'Emitter 3', position: { x: 0.09, y: 0.39 }, power: 14 }
+        ]
     }
 };
 
 
+/**
+ * Scenarios registered at runtime (imported files and shared links)
+ */
+const importedScenarios = {};
+
+
+/**
+ * Register an imported scenario
+ * @param {Object} scenario - Scenario in the format above
+ * @returns {string} Key to load it with
+ */
+export function registerScenario(scenario) {
+    // Re-importing a scene with the same name replaces the earlier entry
+    const key = 'imported_' + (scenario.name || 'scene').replace(/[^A-Za-z0-9]+/g, '_').replace(/_+$/, '');
+    importedScenarios[key] = scenario;
+    return key;
+}
+
+
 /**
  * Get list of available scenario names
  */
 export function getScenarioNames() {
-    return Object.keys(Scenarios);
+    return [...Object.keys(Scenarios), ...Object.keys(importedScenarios)];
 }
 
 
@@ -313,7 +640,7 @@ export function getScenarioNames() {
  * Get scenario by key
  */
 export function getScenario(key) {
-    return Scenarios[key] || null;
+    return Scenarios[key] || importedScenarios[key] || null;
 }
 
 
@@ -321,9 +648,14 @@ export function getScenario(key) {
  * Get scenario display info
  */
 export function getScenarioList() {
-    return Object.entries(Scenarios).map(([key, scenario]) => ({
+    const list = (entries, imported) => entries.map(([key, scenario]) => ({
         key,
         name: scenario.name,
-        description: scenario.description
+        description: scenario.description,
+        imported
     }));
+    return [
+        ...list(Object.entries(Scenarios), false),
+        ...list(Object.entries(importedScenarios), true)
+    ];
 }
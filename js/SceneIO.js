@@ -0,0 +1,390 @@
+/**
+ * SceneIO.js - Scene Import/Export
+ * - Versioned JSON snapshot of a full simulation: physics basis, global
+ *   settings, arrays, probes, interferers, reflectors and beamformer
+ * - URL hash encoding so a scene can be shared as a link
+ * - CSV element lists for custom array geometries
+ * - CSV layer lists for layered media
+ *
+ * Scenes are stored in physical units (meters, Hz) like Scenarios.js, so an
+ * imported scene goes through the same normalization as a built-in preset.
+ */
+
+export const SCENE_FORMAT = 'phased-array-scene';
+// The version changes when a saved field changes meaning. New fields are
+// optional and fall back to their defaults, so adding one keeps the version.
+// 1: first format; later added custom elements, element masks, steering
+//    hardware, excitation, element patterns, media, layers, reflectors, imaging,
+//    sequences, DOA, precoding and RF architecture
+// 2: orientation turns the layout from +Y toward +X like the steering angle,
+//    and curved arrays are convex (version 1 arrays are upgraded on import)
+export const SCENE_VERSION = 2;
+
+const HASH_KEY = 'scene';
+
+/**
+ * Snapshot the running (normalized) simulation as a scene in physical units
+ * Inverse of the normalization in AppController.loadScenario.
+ * @param {Object} state
+ * @param {SimulationContext} state.context
+ * @param {Iterable<Object>} state.receivers - {name, x, y} in wavelengths
+ * @param {Iterable<Object>} state.interferers - See Interferers.createInterferer
+ * @param {Iterable<Object>} state.reflectors - Walls and scatterers, see Reflectors.js
+ * @param {Object} state.physicsState - {baseFrequency, speedOfSound, baseWavelength}
+ * @param {Object} state.adaptive - {enabled, snr, inr, snapshots, diagonalLoading, seed}
+ * @param {Object} state.precoding - Multi-user precoding {enabled, method}, see Precoding.js
+ * @param {Object} state.medium - {type, attenuation, power}, see Media.js
+ * @param {Object} state.imaging - B-mode settings, see Imaging.DEFAULT_IMAGING
+ * @param {Object} state.doa - Direction-of-arrival settings, see DOA.DEFAULT_DOA
+ * @param {string} name
+ * @returns {Object} Scene
+ */
+export function exportScene({ context, receivers, interferers, reflectors = [], physicsState, adaptive, precoding = {}, medium, imaging, doa },
+    name = 'Exported Scene') {
+    // Round away the float noise of the wavelength round trip
+    const m = (v) => +(v * physicsState.baseWavelength).toPrecision(12);
+    const hz = (v) => +(v * physicsState.baseFrequency).toPrecision(12);
+    const toMeters = (p) => ({ x: m(p.x), y: m(p.y) });
+    const gs = context.globalSettings;
+    const reflectorList = Array.from(reflectors);
+
+    const arrays = context.getAllArrays().map(array => {
+        const conf = array.toJSON();
+        // Adaptive weights are re-solved on load; the sound speed comes from globalSettings
+        delete conf.complexWeights;
+        delete conf.speedOfSound;
+        return {
+            ...conf,
+            pitch: m(conf.pitch),
+            rowPitch: m(conf.rowPitch),
+            position: toMeters(conf.position),
+            curvatureRadius: m(conf.curvatureRadius),
+            customElements: conf.customElements && conf.customElements.map(toMeters),
+            elementPattern: {
+                ...conf.elementPattern,
+                width: conf.elementPattern.width === null ? null : m(conf.elementPattern.width)
+            },
+            focalDistance: isFinite(conf.focalDistance) ? m(conf.focalDistance) : null,
+            sequence: {
+                ...conf.sequence,
+                events: conf.sequence.events && conf.sequence.events.map(event => ({
+                    ...event,
+                    focalDistance: isFinite(event.focalDistance) ? m(event.focalDistance) : null
+                }))
+            },
+            frequency: hz(conf.frequency)
+        };
+    });
+
+    return {
+        format: SCENE_FORMAT,
+        version: SCENE_VERSION,
+        name,
+        description: `Saved ${new Date().toISOString().slice(0, 10)}`,
+        physicsState: {
+            baseFrequency: physicsState.baseFrequency,
+            speedOfSound: physicsState.speedOfSound
+        },
+        globalSettings: {
+            speedOfSound: physicsState.speedOfSound,
+            fieldWidth: m(gs.fieldWidth),
+            fieldHeight: m(gs.fieldHeight),
+            fieldCenterX: m(gs.fieldCenterX),
+            fieldCenterY: m(gs.fieldCenterY),
+            displayMode: gs.displayMode,
+            dynamicRange: gs.dynamicRange,
+            noiseFloor: gs.noiseFloor,
+            profileDepth: m(gs.profileDepth),
+            sliceHeight: m(gs.sliceHeight),
+            timeScale: gs.timeScale,
+            medium: { ...medium },
+            layers: (gs.layers || []).map(layer => ({
+                name: layer.name,
+                depth: m(layer.depth),
+                speedOfSound: +(layer.speed * physicsState.speedOfSound).toPrecision(12)
+            }))
+        },
+        arrays,
+        receivers: Array.from(receivers, rx => ({ name: rx.name, position: toMeters(rx) })),
+        interferers: Array.from(interferers, intf => ({
+            name: intf.name,
+            position: toMeters(intf),
+            power: intf.power,
+            frequency: hz(intf.frequency),
+            modulation: { ...intf.modulation, rate: hz(intf.modulation.rate) }
+        })),
+        walls: reflectorList.filter(r => r.type === 'wall').map(wall => ({
+            name: wall.name,
+            start: { x: m(wall.x1), y: m(wall.y1) },
+            end: { x: m(wall.x2), y: m(wall.y2) },
+            reflection: wall.reflection
+        })),
+        scatterers: reflectorList.filter(r => r.type === 'scatterer').map(sc => ({
+            name: sc.name,
+            position: toMeters(sc),
+            reflection: sc.reflection
+        })),
+        beamformer: adaptive.enabled ? 'mvdr' : precoding.enabled ? 'mu-mimo' : 'conventional',
+        mvdr: {
+            snr: adaptive.snr,
+            inr: adaptive.inr,
+            snapshots: adaptive.snapshots,
+            diagonalLoading: adaptive.diagonalLoading,
+            seed: adaptive.seed
+        },
+        precoding: { method: precoding.method },
+        imaging: { ...imaging },
+        doa: { ...doa }
+    };
+}
+
+/**
+ * Validate a scene and convert it to the Scenarios.js format
+ * @param {string|Object} source - JSON text or parsed object
+ * @returns {Object} Scenario ready for registerScenario / loadScenario
+ * @throws {Error} If the data is not a scene this version can read
+ */
+export function parseScene(source) {
+    let scene = source;
+    if (typeof source === 'string') {
+        try {
+            scene = JSON.parse(source);
+        } catch (e) {
+            throw new Error('Scene is not valid JSON: ' + e.message);
+        }
+    }
+
+    if (!scene || scene.format !== SCENE_FORMAT) {
+        throw new Error('Not a phased array scene file');
+    }
+    if (!Number.isInteger(scene.version) || scene.version < 1 || scene.version > SCENE_VERSION) {
+        throw new Error(`Unsupported scene version ${scene.version} (expected ≤ ${SCENE_VERSION})`);
+    }
+    if (!Array.isArray(scene.arrays) || scene.arrays.length === 0) {
+        throw new Error('Scene has no arrays');
+    }
+    if (!scene.physicsState || !(scene.physicsState.baseFrequency > 0) || !(scene.physicsState.speedOfSound > 0)) {
+        throw new Error('Scene is missing its physics basis');
+    }
+
+    return {
+        name: scene.name || 'Imported Scene',
+        description: scene.description || '',
+        baseFrequency: scene.physicsState.baseFrequency,
+        globalSettings: { ...scene.globalSettings, speedOfSound: scene.physicsState.speedOfSound },
+        arrays: scene.arrays.map(conf => ({
+            ...upgradeArray(conf, scene.version),
+            // JSON has no Infinity: a null focus is far-field
+            focalDistance: conf.focalDistance === null ? Infinity : conf.focalDistance
+        })),
+        receivers: scene.receivers || [],
+        interferers: scene.interferers || [],
+        walls: scene.walls || [],
+        scatterers: scene.scatterers || [],
+        beamformer: scene.beamformer,
+        mvdr: scene.mvdr,
+        precoding: scene.precoding,
+        imaging: scene.imaging,
+        doa: scene.doa
+    };
+}
+
+/**
+ * Bring an array saved by an older version to the current geometry convention.
+ * Version 1 turned the layout counter-clockwise by the orientation but steered
+ * clockwise from it. The same layout now has the negated orientation, and the
+ * steering angle is re-measured from its broadside so the beam keeps its world
+ * direction (mirrored into the front half-plane, which isotropic line arrays
+ * radiate alike). Curved arrays were concave and are now convex; the
+ * concave layout has no equivalent. Version 1 scenes saved after the change
+ * already carry an element pattern and are left alone
+ * @param {Object} conf - Array entry of the scene
+ * @param {number} version - Scene version
+ * @returns {Object} Array entry in the current convention
+ */
+function upgradeArray(conf, version) {
+    if (version >= 2 || conf.elementPattern) return conf;
+
+    const orientation = conf.orientation || 0;
+    // World beam direction orientation + steering, seen from the new broadside -orientation
+    let steering = (((conf.steeringAngle || 0) + 2 * orientation) % 360 + 540) % 360 - 180;
+    if (steering > 90) steering = 180 - steering;
+    if (steering < -90) steering = -180 - steering;
+
+    return { ...conf, orientation: orientation ? -orientation : 0, steeringAngle: +steering.toPrecision(12) };
+}
+
+/**
+ * Parse element coordinates for a custom array, one "x, y" pair per line
+ * Commas, semicolons, tabs or spaces separate the values; blank lines, '#'
+ * comments and a non-numeric header line are skipped.
+ * @param {string} text
+ * @returns {Array<{x: number, y: number}>} Coordinates in the units of the text
+ * @throws {Error} If a line cannot be read or no elements are given
+ */
+export function parseElementCsv(text) {
+    const elements = [];
+    let first = true;
+
+    String(text).split(/\r?\n/).forEach((raw, i) => {
+        const line = raw.replace(/#.*/, '').trim();
+        if (!line) return;
+        const values = line.split(/[\s,;]+/).filter(Boolean).map(Number);
+        const header = first && values.every(isNaN);
+        first = false;
+        if (header) return;
+        if (values.length < 2 || !isFinite(values[0]) || !isFinite(values[1])) {
+            throw new Error(`Line ${i + 1}: expected "x, y" but got "${raw.trim()}"`);
+        }
+        elements.push({ x: values[0], y: values[1] });
+    });
+
+    if (elements.length === 0) {
+        throw new Error('No element coordinates found');
+    }
+    return elements;
+}
+
+/**
+ * Format element coordinates as CSV, the inverse of parseElementCsv
+ * @param {Array<{x: number, y: number}>} elements
+ * @param {number} digits - Decimal places
+ * @returns {string}
+ */
+export function formatElementCsv(elements, digits = 3) {
+    return elements.map(p => `${p.x.toFixed(digits)}, ${p.y.toFixed(digits)}`).join('\n');
+}
+
+/**
+ * Parse a layer list, one "name, depth, speed of sound" line per layer
+ * Blank lines, '#' comments and a header line are skipped; no lines means
+ * a homogeneous medium.
+ * @param {string} text
+ * @returns {Array<{name: string, depth: number, speedOfSound: number}>} Values in the units of the text
+ * @throws {Error} If a line cannot be read
+ */
+export function parseLayerCsv(text) {
+    const layers = [];
+    let first = true;
+
+    String(text).split(/\r?\n/).forEach((raw, i) => {
+        const line = raw.replace(/#.*/, '').trim();
+        if (!line) return;
+        const fields = line.split(/\s*[,;\t]\s*/);
+        const depth = Number(fields[1]);
+        const speed = Number(fields[2]);
+        const header = first && fields.length >= 3 && isNaN(depth) && isNaN(speed);
+        first = false;
+        if (header) return;
+        if (fields.length < 3 || !isFinite(depth) || !(speed > 0)) {
+            throw new Error(`Line ${i + 1}: expected "name, depth, speed" but got "${raw.trim()}"`);
+        }
+        layers.push({ name: fields[0] || `Layer ${layers.length + 1}`, depth, speedOfSound: speed });
+    });
+
+    return layers;
+}
+
+/**
+ * Format a layer list as CSV, the inverse of parseLayerCsv
+ * @param {Array<{name: string, depth: number, speedOfSound: number}>} layers
+ * @param {number} digits - Decimal places of the depth
+ * @returns {string}
+ */
+export function formatLayerCsv(layers, digits = 2) {
+    return layers.map(l => `${l.name}, ${l.depth.toFixed(digits)}, ${Math.round(l.speedOfSound)}`).join('\n');
+}
+
+/**
+ * Parse custom transmit events, one "steering, focus, first, count" line per
+ * event: steering in degrees, focus blank, 0 or 'inf' for an unfocused wave,
+ * and the optional first element column and number of columns that fire
+ * (all of them when omitted). Blank lines, '#' comments and a header line
+ * are skipped.
+ * @param {string} text
+ * @returns {Array<{steeringAngle: number, focalDistance: number, aperture: {start: number, size: number}|null}>}
+ *          Focus in the units of the text
+ * @throws {Error} If a line cannot be read or no events are given
+ */
+export function parseSequenceCsv(text) {
+    const events = [];
+    let first = true;
+
+    String(text).split(/\r?\n/).forEach((raw, i) => {
+        const line = raw.replace(/#.*/, '').trim();
+        if (!line) return;
+        const fields = line.split(/\s*[,;\t]\s*/);
+        const steering = Number(fields[0]);
+        const header = first && isNaN(steering);
+        first = false;
+        if (header) return;
+
+        const focusText = (fields[1] || '').toLowerCase();
+        const focus = focusText === '' || focusText.startsWith('inf') ? Infinity : Number(focusText);
+        const start = fields[2] === undefined || fields[2] === '' ? null : Number(fields[2]);
+        const size = fields[3] === undefined || fields[3] === '' ? 1 : Number(fields[3]);
+        if (!isFinite(steering) || isNaN(focus) || focus < 0 ||
+            (start !== null && !(Number.isInteger(start) && start >= 0 && Number.isInteger(size) && size >= 1))) {
+            throw new Error(`Line ${i + 1}: expected "steering, focus, first, count" but got "${raw.trim()}"`);
+        }
+        events.push({
+            steeringAngle: steering,
+            focalDistance: focus > 0 ? focus : Infinity,
+            aperture: start === null ? null : { start, size }
+        });
+    });
+
+    if (events.length === 0) {
+        throw new Error('No transmit events found');
+    }
+    return events;
+}
+
+/**
+ * Format transmit events as CSV, the inverse of parseSequenceCsv
+ * @param {Array<Object>} events
+ * @param {number} digits - Decimal places of the focus
+ * @returns {string}
+ */
+export function formatSequenceCsv(events, digits = 1) {
+    return events.map(e => {
+        const fields = [+e.steeringAngle.toFixed(2), isFinite(e.focalDistance) ? e.focalDistance.toFixed(digits) : 'inf'];
+        if (e.aperture) fields.push(e.aperture.start, e.aperture.size);
+        return fields.join(', ');
+    }).join('\n');
+}
+
+/**
+ * Encode a scene for a URL hash (base64url of the UTF-8 JSON)
+ * @param {Object} scene
+ * @returns {string} Hash including the leading '#'
+ */
+export function encodeSceneHash(scene) {
+    const bytes = new TextEncoder().encode(JSON.stringify(scene));
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    const base64 = btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    return `#${HASH_KEY}=${base64}`;
+}
+
+/**
+ * Decode a scene from a URL hash
+ * @param {string} hash - location.hash
+ * @returns {Object|null} Scene object, or null if the hash holds no scene
+ * @throws {Error} If the hash holds a scene that cannot be decoded
+ */
+export function decodeSceneHash(hash) {
+    const match = new RegExp(`^#?${HASH_KEY}=([A-Za-z0-9_-]+)$`).exec(hash || '');
+    if (!match) return null;
+
+    try {
+        const base64 = match[1].replace(/-/g, '+').replace(/_/g, '/');
+        const binary = atob(base64);
+        const bytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+        return JSON.parse(new TextDecoder().decode(bytes));
+    } catch (e) {
+        throw new Error('Shared link is corrupted: ' + e.message);
+    }
+}
@@ -0,0 +1,89 @@
+/**
+ * Sequences.js - Transmit Sequences
+ * - Single transmit (the array's own steering and focus)
+ * - Multi-angle plane-wave compounding
+ * - Synthetic aperture: small sub-apertures fired one after another
+ * - Custom event lists (scene files)
+ *
+ * A sequence expands into transmit events {steeringAngle, focalDistance,
+ * aperture}, fired in order. The aperture {start, size} selects the element
+ * columns that fire (planar arrays fire whole columns); null fires them all.
+ * The animation shows one event per pulse repetition (see sequenceDwell) and
+ * the B-mode scan compounds the echoes of all of them (see Imaging.js).
+ */
+
+import { pulseParameters } from './Excitation.js';
+
+export const SEQUENCE_TYPES = [
+    { key: 'single', name: 'Single Transmit' },
+    { key: 'plane-wave', name: 'Plane-Wave Compounding' },
+    { key: 'synthetic-aperture', name: 'Synthetic Aperture' },
+    { key: 'custom', name: 'Custom Events' }
+];
+
+export const DEFAULT_SEQUENCE = {
+    type: 'single',
+    count: 7,            // Transmit events (plane-wave angles or sub-aperture positions)
+    span: 20,            // Plane-wave angle span, degrees about the steering angle
+    aperture: 1,         // Synthetic aperture: elements fired together
+    dwell: 20,           // Carrier cycles per event shown with CW excitation
+    events: null         // Custom: [{steeringAngle, focalDistance, aperture: {start, size}}]
+};
+
+/**
+ * Expand a sequence into its transmit events
+ * @param {Object} sequence - See DEFAULT_SEQUENCE
+ * @param {Object} array - {steeringAngle, focalDistance, numElements} of the static transmit
+ * @returns {Array<{steeringAngle: number, focalDistance: number, aperture: {start: number, size: number}|null}>}
+ */
+export function sequenceEvents(sequence, { steeringAngle, focalDistance, numElements }) {
+    const opts = { ...DEFAULT_SEQUENCE, ...sequence };
+    const count = Math.max(1, Math.round(opts.count));
+
+    switch (opts.type) {
+        case 'plane-wave': {
+            // Unfocused (plane) waves at evenly spaced angles
+            const events = [];
+            for (let i = 0; i < count; i++) {
+                const offset = count > 1 ? -opts.span / 2 + opts.span * i / (count - 1) : 0;
+                events.push({ steeringAngle: steeringAngle + offset, focalDistance: Infinity, aperture: null });
+            }
+            return events;
+        }
+        case 'synthetic-aperture': {
+            // Sub-apertures stepped evenly from the first column to the last
+            const size = Math.max(1, Math.min(numElements, Math.round(opts.aperture)));
+            const positions = Math.min(count, numElements - size + 1);
+            const events = [];
+            for (let i = 0; i < positions; i++) {
+                const start = positions > 1 ? Math.round(i * (numElements - size) / (positions - 1)) : 0;
+                events.push({ steeringAngle: 0, focalDistance: Infinity, aperture: { start, size } });
+            }
+            return events;
+        }
+        case 'custom':
+            if (Array.isArray(opts.events) && opts.events.length > 0) {
+                return opts.events.map(event => ({
+                    steeringAngle: event.steeringAngle || 0,
+                    focalDistance: event.focalDistance > 0 ? event.focalDistance : Infinity,
+                    aperture: event.aperture ? { start: event.aperture.start || 0, size: event.aperture.size || 1 } : null
+                }));
+            }
+            break;
+    }
+    return [{ steeringAngle, focalDistance, aperture: null }];
+}
+
+/**
+ * Time each event is shown in the animation: one pulse repetition for pulsed
+ * excitations, so every event fires one pulse; the sequence dwell for CW
+ * @param {Object} sequence
+ * @param {Object} excitation - See Excitation.js
+ * @param {number} frequency - Carrier frequency
+ * @returns {number}
+ */
+export function sequenceDwell(sequence, excitation, frequency) {
+    const pulse = pulseParameters(excitation, frequency);
+    if (pulse.period > 0) return pulse.period;
+    return Math.max(1, ({ ...DEFAULT_SEQUENCE, ...sequence }).dwell) / frequency;
+}
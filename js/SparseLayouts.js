@@ -0,0 +1,174 @@
+/**
+ * SparseLayouts.js - Element Enable Masks for Sparse Arrays
+ * - Random (statistical) thinning at a chosen fill factor
+ * - Minimum-redundancy arrays (full difference coarray with the fewest elements)
+ * - Nested arrays (dense inner subarray plus a sparse outer one)
+ * - Coprime arrays (two interleaved subarrays with coprime spacings)
+ *
+ * Masks select elements from a uniform grid of n positions (one pitch apart);
+ * true = element active. Random thinning keeps both end elements so the
+ * aperture is preserved; the structured layouts use the largest instance that
+ * fits the grid, starting from its first position.
+ */
+
+import { createRandom } from './LinearAlgebra.js';
+
+export const LAYOUT_TYPES = [
+    { key: 'full', name: 'Full' },
+    { key: 'random', name: 'Random Thinning' },
+    { key: 'mra', name: 'Minimum Redundancy' },
+    { key: 'nested', name: 'Nested' },
+    { key: 'coprime', name: 'Coprime' }
+];
+
+export const DEFAULT_LAYOUT = {
+    type: 'full',
+    fill: 0.5,           // Fraction of elements kept (random thinning)
+    seed: 1              // Random thinning draw
+};
+
+// Restricted minimum-redundancy arrays (Moffet), found by exhaustive search
+const MRA_TABLE = [
+    [0, 1],
+    [0, 1, 3],
+    [0, 1, 4, 6],
+    [0, 1, 2, 6, 9],
+    [0, 1, 2, 6, 10, 13],
+    [0, 1, 2, 3, 8, 13, 17],
+    [0, 1, 2, 11, 15, 18, 21, 23],
+    [0, 1, 2, 14, 18, 21, 24, 27, 29],
+    [0, 1, 3, 6, 13, 20, 27, 31, 35, 36]
+];
+
+/**
+ * Compute the enable mask for a layout
+ * @param {string} type - One of LAYOUT_TYPES keys
+ * @param {number} n - Number of grid positions
+ * @param {Object} params - {fill, seed}
+ * @returns {Array<boolean>} Mask of length n
+ */
+export function computeLayoutMask(type, n, params = {}) {
+    const opts = { ...DEFAULT_LAYOUT, ...params };
+    let positions;
+
+    switch (type) {
+        case 'random':
+            return randomThinning(n, opts.fill, opts.seed);
+        case 'mra':
+            positions = minimumRedundancyPositions(n);
+            break;
+        case 'nested':
+            positions = nestedPositions(n);
+            break;
+        case 'coprime':
+            positions = coprimePositions(n);
+            break;
+        default:
+            return new Array(n).fill(true);
+    }
+
+    const mask = new Array(n).fill(false);
+    positions.forEach(p => { mask[p] = true; });
+    return mask;
+}
+
+/**
+ * Largest sparse ruler that fits n grid positions: the MRA table, then
+ * Wichmann rulers for larger apertures. Ties go to the fewer elements
+ * @param {number} n
+ * @returns {Array<number>} Grid indices
+ */
+export function minimumRedundancyPositions(n) {
+    if (n <= 2) return range(n);
+
+    const candidates = [...MRA_TABLE];
+    for (let r = 0; wichmannLength(r, 0) <= n - 1; r++) {
+        for (let s = 0; wichmannLength(r, s) <= n - 1; s++) {
+            candidates.push(wichmannRuler(r, s));
+        }
+    }
+
+    let best = null;
+    candidates.forEach(ruler => {
+        const length = ruler[ruler.length - 1];
+        if (length > n - 1) return;
+        const bestLength = best ? best[best.length - 1] : -1;
+        if (length > bestLength || (length === bestLength && ruler.length < best.length)) {
+            best = ruler;
+        }
+    });
+    return best;
+}
+
+/**
+ * Two-level nested array (Pal & Vaidyanathan): N1 elements at unit spacing,
+ * then N2 at spacing N1 + 1, with the balanced split N1 = floor(K/2),
+ * N2 = ceil(K/2) for the most elements K that fit
+ * @param {number} n
+ * @returns {Array<number>} Grid indices
+ */
+export function nestedPositions(n) {
+    if (n <= 2) return range(n);
+
+    const split = (k) => ({ n1: Math.floor(k / 2), n2: Math.ceil(k / 2) });
+    let k = 2;
+    while (split(k + 1).n2 * (split(k + 1).n1 + 1) <= n) k++;
+    const { n1, n2 } = split(k);
+
+    const positions = range(n1);
+    for (let i = 1; i <= n2; i++) positions.push(i * (n1 + 1) - 1);
+    return positions;
+}
+
+/**
+ * Extended coprime array (Vaidyanathan & Pal): N elements at spacing M plus
+ * 2M elements at spacing N, using the largest pair N = M + 1 that fits
+ * @param {number} n
+ * @returns {Array<number>} Grid indices
+ */
+export function coprimePositions(n) {
+    const aperture = (m) => (m + 1) * (2 * m - 1);
+    // Too few positions for the smallest pair (2, 3)
+    if (aperture(2) > n - 1) return range(n);
+
+    let m = 2;
+    while (aperture(m + 1) <= n - 1) m++;
+    const k = m + 1;
+
+    const positions = new Set();
+    for (let i = 0; i < k; i++) positions.add(i * m);
+    for (let j = 0; j < 2 * m; j++) positions.add(j * k);
+    return [...positions].sort((a, b) => a - b);
+}
+
+/**
+ * Keep each interior element with probability `fill`; the ends always stay
+ * @private
+ */
+function randomThinning(n, fill, seed) {
+    const random = createRandom(seed);
+    return range(n).map(i => i === 0 || i === n - 1 || random() < fill);
+}
+
+/**
+ * Wichmann ruler W(r, s): differences 1^r, r+1, (2r+1)^r, (4r+3)^s, (2r+2)^(r+1), 1^r
+ * @private
+ */
+function wichmannRuler(r, s) {
+    const steps = [
+        ...new Array(r).fill(1), r + 1, ...new Array(r).fill(2 * r + 1),
+        ...new Array(s).fill(4 * r + 3), ...new Array(r + 1).fill(2 * r + 2), ...new Array(r).fill(1)
+    ];
+    const marks = [0];
+    steps.forEach(d => marks.push(marks[marks.length - 1] + d));
+    return marks;
+}
+
+// Length (last mark) of W(r, s)
+function wichmannLength(r, s) {
+    return 4 * r * (r + 2) + 3 + s * (4 * r + 3);
+}
+
+function range(n) {
+    return Array.from({ length: Math.max(0, n) }, (_, i) => i);
+}
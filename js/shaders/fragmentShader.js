@@ -6,13 +6,163 @@ uniform float u_time;
 uniform vec2 u_resolution;
 uniform vec2 u_fieldSize;
 uniform vec2 u_fieldCenter;
+uniform float u_sliceHeight;              // z of the displayed plane (planar arrays leave z = 0)
 
-uniform vec4 u_elementPositions[64];
-uniform float u_elementFrequencies[64];   // Frequency for each element (Hz or normalized)
+// Per-element data lives in an RGBA float texture, five texels per element:
+//   texel 0: x, y, phase, amplitude
+//   texel 1: frequency, AM rate, AM depth, coherence group
+//   texel 2: z, pulse type (0 = CW, 1 = Gaussian burst, 2 = chirp), pulse width, chirp rate
+//   texel 3: envelope delay, pulse period, pulse center, unused
+//   texel 4: normal angle (from +y toward +x), element pattern (see ElementPatterns.js), pattern parameter,
+//            path (0 = direct, w + 1 = reflection in wall w)
+// Group 0 holds every array element; each interferer gets its own group, and
+// each precoded stream (see Precoding.js) one after the interferers, holding
+// its array's elements instead of group 0. Wall
+// reflections repeat their source, and scatterer echoes (see Reflectors.js) are
+// extra sources in their source's group
+// Elements are sorted by (group, frequency) so the intensity mode can group them
+// Element i sits in column mod(i, width), rows 5*floor(i/width) + 0..4
+// Pulses only shape the instantaneous mode; intensity shows the carrier (CW) level
+uniform sampler2D u_elementData;
+uniform vec2 u_elementDataSize;           // Texture size in texels (width, height)
 uniform int u_elementCount;
 uniform float u_speedOfSound;             // Global speed of sound
+uniform float u_absorption;               // Amplitude absorption at unit frequency (Np per unit length)
+uniform float u_absorptionPower;          // Frequency exponent of the absorption
+
+// Layered medium (see Layers.js): region i spans u_layerBounds[i]..u_layerBounds[i + 1]
+// in y at u_layerSpeed[i] * u_speedOfSound. Region 0 is the background; unused
+// regions start at 1e30
+const int MAX_LAYERS = 4;                 // Must match Layers.MAX_LAYERS
+const int RAY_ITERATIONS = 12;            // Newton steps, as in Layers.tracePath
+uniform int u_layerCount;                 // 0 = homogeneous
+uniform float u_layerBounds[MAX_LAYERS + 2];
+uniform float u_layerSpeed[MAX_LAYERS + 1];
+
+const int MAX_WALLS = 4;                  // Must match Reflectors.MAX_WALLS
+uniform vec4 u_walls[MAX_WALLS];          // Wall segments (x1, y1, x2, y2)
+
+uniform int u_displayMode;                // 0 = instantaneous, 1 = time-averaged intensity
+uniform float u_dynamicRange;             // dB span shown in intensity mode
+uniform float u_intensityRef;             // Intensity mapped to 0 dB
 
 const float PI = 3.141592653589793;
+const int MAX_ELEMENTS = 4096;            // Must match HeatmapRenderer.MAX_ELEMENTS
+
+vec4 fetchElement(float index, float row) {
+    float col = mod(index, u_elementDataSize.x);
+    float block = floor(index / u_elementDataSize.x);
+    vec2 uv = vec2(col + 0.5, block * 5.0 + row + 0.5) / u_elementDataSize;
+    return texture2D(u_elementData, uv);
+}
+
+// Element factor, mirrors ElementPatterns.elementFactor
+// c: cosine to the element normal, s: component along the element face
+float elementFactor(float type, float param, float c, float s, float k) {
+    if (type < 0.5) return 1.0;                         // isotropic
+    if (type < 1.5) return c > 0.0 ? pow(c, param) : 0.0; // cos^n
+    if (type < 2.5) {                                   // baffled piston, width = param
+        if (c <= 0.0) return 0.0;
+        float x = 0.5 * k * param * s;
+        return abs(x) < 1e-6 ? 1.0 : sin(x) / x;
+    }
+    float s2 = 1.0 - s * s;                             // half-wave dipole along the face
+    return s2 < 1e-9 ? 0.0 : cos(0.5 * PI * s) / sqrt(s2);
+}
+
+// Refracted ray from an element at depth y0 to the point at y0 + offset.y, mirrors
+// Layers.tracePath. Returns (travel time, path length, launch sine, launch cosine),
+// the time in units of 1 / u_speedOfSound. WebGL only allows loop indices as uniform
+// array indices here, so the thickness crossed in region i is computed inline
+vec4 tracePath(vec3 offset, float y0) {
+    float lateral = length(offset.xz);
+    float dist = length(offset);
+    float low = min(y0, y0 + offset.y);
+    float high = max(y0, y0 + offset.y);
+
+    float maxSpeed = 0.0;
+    float launchSpeed = 0.0;
+    float startSpeed = 1.0;
+    int count = 0;
+    for (int i = 0; i <= MAX_LAYERS; i++) {
+        if (y0 >= u_layerBounds[i]) startSpeed = u_layerSpeed[i];
+        if (min(high, u_layerBounds[i + 1]) > max(low, u_layerBounds[i])) {
+            maxSpeed = max(maxSpeed, u_layerSpeed[i]);
+            // First region below the element, or last above it
+            if (offset.y < 0.0 || count == 0) launchSpeed = u_layerSpeed[i];
+            count++;
+        }
+    }
+
+    // Straight paths inside one layer
+    if (count < 2) {
+        float speed = count == 0 ? startSpeed : maxSpeed;
+        return vec4(dist / speed, dist, lateral / max(dist, 1e-6), abs(offset.y) / max(dist, 1e-6));
+    }
+
+    // Newton on u = tan of the angle in the fastest layer, from below (concave)
+    float u = 0.0;
+    for (int iter = 0; iter < RAY_ITERATIONS; iter++) {
+        float reach = 0.0;
+        float slope = 0.0;
+        for (int i = 0; i <= MAX_LAYERS; i++) {
+            float h = min(high, u_layerBounds[i + 1]) - max(low, u_layerBounds[i]);
+            // Skipped regions may be faster than maxSpeed (r > 1)
+            if (h <= 0.0) continue;
+            float r = u_layerSpeed[i] / maxSpeed;
+            float s = 1.0 + u * u * (1.0 - r * r);
+            reach += h * r * u / sqrt(s);
+            slope += h * r / (s * sqrt(s));
+        }
+        float step = (lateral - reach) / slope;
+        u += step;
+        if (step < 1e-6 * (1.0 + u)) break;
+    }
+
+    float time = 0.0;
+    float pathLength = 0.0;
+    float secant = sqrt(1.0 + u * u);
+    for (int i = 0; i <= MAX_LAYERS; i++) {
+        float h = min(high, u_layerBounds[i + 1]) - max(low, u_layerBounds[i]);
+        if (h <= 0.0) continue;
+        float r = u_layerSpeed[i] / maxSpeed;
+        float segment = h * secant / sqrt(1.0 + u * u * (1.0 - r * r));
+        pathLength += segment;
+        time += segment / u_layerSpeed[i];
+    }
+
+    float launchSine = launchSpeed / maxSpeed * u / secant;
+    return vec4(time, pathLength, launchSine, sqrt(max(0.0, 1.0 - launchSine * launchSine)));
+}
+
+// Specular point of the reflection in wall index (1-based) of a source at src toward p,
+// mirrors Reflectors.specularPoint. Returns (x, y, fraction of the path from the
+// source), or a negative fraction if the wall does not reflect toward p
+vec3 specularPoint(float index, vec2 src, vec2 p) {
+    vec4 wall = vec4(0.0);
+    for (int w = 0; w < MAX_WALLS; w++) {
+        if (abs(float(w + 1) - index) < 0.5) wall = u_walls[w];
+    }
+    vec2 d = wall.zw - wall.xy;
+    vec2 foot = wall.xy + d * dot(src - wall.xy, d) / dot(d, d);
+    vec2 image = 2.0 * foot - src;
+    float si = d.x * (image.y - wall.y) - d.y * (image.x - wall.x);
+    float sp = d.x * (p.y - wall.y) - d.y * (p.x - wall.x);
+    if (si * sp >= 0.0) return vec3(0.0, 0.0, -1.0);
+
+    float t = si / (si - sp);
+    vec2 hit = mix(image, p, t);
+    float s = dot(hit - wall.xy, d) / dot(d, d);
+    return s >= 0.0 && s <= 1.0 ? vec3(hit, t) : vec3(0.0, 0.0, -1.0);
+}
+
+// Dark-to-bright thermal ramp for the dB display
+vec3 intensityColor(float t) {
+    vec3 c = mix(vec3(0.0), vec3(0.35, 0.0, 0.5), smoothstep(0.0, 0.35, t));
+    c = mix(c, vec3(0.9, 0.2, 0.1), smoothstep(0.3, 0.7, t));
+    c = mix(c, vec3(1.0, 0.9, 0.3), smoothstep(0.65, 0.95, t));
+    return mix(c, vec3(1.0), smoothstep(0.95, 1.0, t));
+}
 
 void main() {
     // Map pixel to physics coordinates (Meters)
@@ -20,36 +170,128 @@ void main() {
     float aspect = u_resolution.x / u_resolution.y;
     uv.x *= aspect;
     vec2 pos = uv * u_fieldSize + u_fieldCenter;
-    
+
     float fieldSum = 0.0;
-    
+
+    // Intensity mode: elements arrive sorted by (group, frequency). Elements sharing
+    // both add as phasors, and each run adds in power (cross terms average out)
+    vec2 phasor = vec2(0.0);
+    float groupFreq = -1.0;
+    float groupId = -1.0;
+    float intensitySum = 0.0;
+
     // Physics Loop
-    for (int i = 0; i < 64; i++) {
+    for (int i = 0; i < MAX_ELEMENTS; i++) {
         if (i >= u_elementCount) break;
-        
-        vec4 elem = u_elementPositions[i];
-        float freq = u_elementFrequencies[i];
-        
-        // elem.xy is in meters
-        float dist = distance(pos, elem.xy);
-        
-        // spread factor
-        float spread = 1.0 / sqrt(dist + 0.1); 
-        
+
+        vec4 elem = fetchElement(float(i), 0.0);
+        vec4 extra = fetchElement(float(i), 1.0);
+        vec4 placement = fetchElement(float(i), 2.0);
+        vec4 timing = fetchElement(float(i), 3.0);
+        vec4 pattern = fetchElement(float(i), 4.0);
+        float freq = extra.r;
+        float modRate = extra.g;
+        float modDepth = extra.b;
+
+        // A wall reflection runs to the specular point first, if the wall reflects toward pos
+        vec3 target = vec3(pos, u_sliceHeight);
+        vec3 bounce = vec3(0.0, 0.0, -1.0);
+        if (pattern.w > 0.5) {
+            bounce = specularPoint(pattern.w, elem.xy, pos);
+            if (bounce.z < 0.0) continue;
+            target = vec3(bounce.xy, mix(placement.x, u_sliceHeight, bounce.z));
+        }
+
+        // elem.xy is in meters, placement.x is the element height
+        vec3 offset = vec3(target.xy - elem.xy, target.z - placement.x);
+        float dist = length(offset);
+        vec3 dir = offset / max(dist, 1e-6);
+        float travel = dist / u_speedOfSound;
+
+        // Through layers: refracted ray length, travel time and launch direction
+        if (u_layerCount > 0) {
+            vec4 ray = tracePath(offset, elem.y);
+            float lateral = length(offset.xz);
+            vec2 across = lateral > 0.0 ? offset.xz / lateral * ray.z : vec2(0.0);
+            travel = ray.x / u_speedOfSound;
+            dist = ray.y;
+            dir = vec3(across.x, sign(offset.y) * ray.w, across.y);
+        }
+
+        // Second leg of a reflection, from the specular point on to pos
+        if (bounce.z >= 0.0) {
+            vec3 leg = vec3(pos, u_sliceHeight) - target;
+            float legLength = length(leg);
+            float legTravel = legLength / u_speedOfSound;
+            if (u_layerCount > 0) {
+                vec4 ray = tracePath(leg, target.y);
+                legLength = ray.y;
+                legTravel = ray.x / u_speedOfSound;
+            }
+            dist += legLength;
+            travel += legTravel;
+        }
+
         // Calculate physics parameters for this specific element's frequency
         float wavelength = u_speedOfSound / freq;
         float k = 2.0 * PI / wavelength;
-        
-        // elem.z is the phase offset (phi) from PhasedArray
-        // u_time * 2.0 * PI * freq is the temporal component (omega * t)
-        float totalPhase = k * dist - u_time * 2.0 * PI * freq - elem.z;
-        fieldSum += sin(totalPhase) * spread * elem.w;
+        float omega = 2.0 * PI * freq;
+
+        // spread factor, shaped by the element pattern about its normal
+        vec2 normal = vec2(sin(pattern.x), cos(pattern.x));
+        float factor = elementFactor(pattern.y, pattern.z, dot(dir.xy, normal), dir.x * normal.y - dir.y * normal.x, k);
+        float spread = factor / sqrt(dist + 0.1);
+
+        // Medium absorption at this element's frequency
+        spread *= exp(-u_absorption * pow(freq, u_absorptionPower) * dist);
+
+        if (u_displayMode == 1) {
+            if (freq != groupFreq || extra.a != groupId) {
+                intensitySum += dot(phasor, phasor);
+                phasor = vec2(0.0);
+                groupFreq = freq;
+                groupId = extra.a;
+            }
+            // An AM envelope 1 + m cos adds m^2/2 to the mean power
+            float phase = omega * travel - elem.z;
+            phasor += vec2(cos(phase), sin(phase)) * spread * elem.w * sqrt(1.0 + 0.5 * modDepth * modDepth);
+        } else {
+            float retarded = u_time - travel;
+
+            // AM envelope evaluated at the retarded time
+            float envelope = 1.0 + modDepth * cos(2.0 * PI * modRate * retarded);
+
+            // Pulse envelope and chirp phase at the element's emission time (see Excitation.js)
+            float chirpPhase = 0.0;
+            if (placement.y > 0.5) {
+                float u = mod(retarded - timing.x, timing.y) - timing.z;
+                if (placement.y < 1.5) {
+                    envelope *= exp(-u * u / (2.0 * placement.z * placement.z));
+                } else {
+                    envelope *= abs(u) < 0.5 * placement.z ? 0.5 + 0.5 * cos(2.0 * PI * u / placement.z) : 0.0;
+                    chirpPhase = PI * placement.w * u * u;
+                }
+            }
+
+            // elem.z is the phase offset (phi) from PhasedArray
+            // omega * travel is k * dist in a homogeneous medium
+            float totalPhase = omega * (travel - u_time) - elem.z - chirpPhase;
+            fieldSum += sin(totalPhase) * spread * elem.w * envelope;
+        }
+    }
+
+    if (u_displayMode == 1) {
+        intensitySum += dot(phasor, phasor);
+        float db = 10.0 * log(intensitySum / u_intensityRef + 1e-12) / log(10.0);
+        float level = clamp(1.0 + db / u_dynamicRange, 0.0, 1.0);
+        gl_FragColor = vec4(intensityColor(level), 1.0);
+        return;
     }
-    
+
     // Normalize
     float intensity = fieldSum / (sqrt(float(u_elementCount)) + 0.1);
     intensity = clamp(intensity, -1.0, 1.0);
-    
+
     // High-Contrast Coloring (Black-Blue-Red)
     vec3 color = vec3(0.0);
     if (intensity > 0.0) {
@@ -62,4 +304,4 @@ void main() {
 
     gl_FragColor = vec4(color, 1.0);
 }
-`;
\ No newline at end of file
+`;